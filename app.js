@@ -11,19 +11,45 @@ const { customCSS } = require('./src/config/swaggerUI');
 const connectDB = require('./src/utils/database');
 const errorHandler = require('./src/middleware/errorHandler');
 const { handleDatabaseError } = require('./src/middleware/database');
+const { registerJob, startScheduler } = require('./src/services/scheduler');
+const { generateScheduledRides } = require('./src/services/recurringRides');
+const { closeAllClients, startRealtimeRelay, stopRealtimeRelay } = require('./src/services/realtime');
+const { startJobWorkers, stopJobWorkers } = require('./src/services/jobQueue');
+const { retryDueDeliveries } = require('./src/services/webhookService');
+const webhookConfig = require('./src/config/webhooks');
+const { sendRideReminders, flagMissedRides } = require('./src/services/rideReminders');
+const rideReminderConfig = require('./src/config/rideReminders');
+const { runDispatch } = require('./src/services/dispatchService');
+const dispatchConfig = require('./src/config/dispatch');
+const { poolRides } = require('./src/services/ridePooling');
+const ridePoolingConfig = require('./src/config/ridePooling');
+const driverConfig = require('./src/config/drivers');
 
 // Route files
 const auth = require('./src/routes/auth');
 const users = require('./src/routes/users');
 const rides = require('./src/routes/rides');
+const rideSchedules = require('./src/routes/rideSchedules');
 const admin = require('./src/routes/admin');
+const manager = require('./src/routes/manager');
 const notifications = require('./src/routes/notifications');
+const events = require('./src/routes/events');
+const driverApp = require('./src/routes/driverApp');
+const share = require('./src/routes/share');
 
 const app = express();
 
 // Connect to database
 connectDB();
 
+// Background jobs
+registerJob('recurring-rides', generateScheduledRides);
+registerJob('ride-reminders', sendRideReminders, { intervalMinutes: rideReminderConfig.intervalMinutes });
+registerJob('missed-rides', flagMissedRides, { intervalMinutes: rideReminderConfig.intervalMinutes });
+registerJob('ride-pooling', poolRides, { intervalMinutes: ridePoolingConfig.intervalMinutes });
+registerJob('dispatch', runDispatch, { intervalMinutes: dispatchConfig.intervalMinutes });
+registerJob('webhook-retries', retryDueDeliveries, { intervalMinutes: webhookConfig.retryIntervalMinutes });
+
 // Enable CORS for frontend
 const allowedOrigins = process.env.CORS_ORIGIN 
   ? process.env.CORS_ORIGIN.split(',') 
@@ -58,10 +84,22 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // The driver app has its own limit below
+  skip: (req) => req.path.startsWith('/driver/')
 });
 app.use('/api/', limiter);
 
+// Driver app location pings come every few seconds during a trip; each
+// driver's token is counted separately
+const driverAppLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: driverConfig.appRateLimitMax,
+  keyGenerator: (req) => req.headers['x-driver-token'] || req.ip,
+  message: 'Too many requests from this driver app, please try again later.'
+});
+app.use('/api/driver/', driverAppLimiter);
+
 // Body parser
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -137,9 +175,14 @@ app.get('/docs', (req, res) => {
 // Mount routers
 app.use('/api/auth', auth);
 app.use('/api/users', users);
+app.use('/api/rides/schedules', rideSchedules);
 app.use('/api/rides', rides);
 app.use('/api/admin', admin);
+app.use('/api/manager', manager);
 app.use('/api/notifications', notifications);
+app.use('/api/events', events);
+app.use('/api/driver', driverApp);
+app.use('/api/share', share);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -162,12 +205,18 @@ const server = app.listen(PORT, () => {
   console.log(`API Documentation: http://localhost:${PORT}/api-docs`);
   console.log(`Health Check: http://localhost:${PORT}/health`);
   console.log(`⚡ Server started at: ${new Date().toISOString()}`);
+  startScheduler();
+  startJobWorkers();
+  startRealtimeRelay();
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
   // Close server & exit process
+  stopRealtimeRelay();
+  closeAllClients();
+  stopJobWorkers();
   server.close(() => {
     process.exit(1);
   });
@@ -0,0 +1,5 @@
+// Multi-level approval settings
+module.exports = {
+  // Rides with an estimated fare above this also need finance approval
+  financeApprovalThreshold: parseFloat(process.env.FINANCE_APPROVAL_THRESHOLD) || 1000
+};
@@ -0,0 +1,20 @@
+// Driver dispatch settings (all overridable through environment variables)
+module.exports = {
+  // Set DISPATCH_AUTO_ENABLED=false to only dispatch from the admin endpoint
+  autoDispatch: process.env.DISPATCH_AUTO_ENABLED !== 'false',
+  // Approved rides are dispatched automatically this long before pickup
+  leadMinutes: parseInt(process.env.DISPATCH_LEAD_MINUTES, 10) || 60,
+  // How long a driver has to accept an offer before it goes to the next candidate
+  offerTimeoutSeconds: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 120,
+  // Drivers whose last known position is further from the pickup are skipped
+  maxPickupDistanceKm: parseFloat(process.env.DISPATCH_MAX_PICKUP_DISTANCE_KM) || 15,
+  // Offers made before the ride is left for manual assignment
+  maxOffers: parseInt(process.env.DISPATCH_MAX_OFFERS, 10) || 5,
+  // Score = distance (km) * distanceWeight + rides already booked that day * loadWeight;
+  // drivers without a known position count as being this far away
+  distanceWeight: parseFloat(process.env.DISPATCH_DISTANCE_WEIGHT) || 1,
+  loadWeight: parseFloat(process.env.DISPATCH_LOAD_WEIGHT) || 2,
+  unknownDistanceKm: parseFloat(process.env.DISPATCH_UNKNOWN_DISTANCE_KM) || 10,
+  // How often the scheduler expires offers and starts due dispatches
+  intervalMinutes: parseInt(process.env.DISPATCH_INTERVAL_MINUTES, 10) || 1
+};
@@ -0,0 +1,10 @@
+// Driver scheduling settings (all overridable through environment variables)
+module.exports = {
+  // Gap a driver needs between two rides
+  bookingBufferMinutes: parseInt(process.env.DRIVER_BOOKING_BUFFER_MINUTES, 10) || 15,
+  // Assumed trip duration for rides without a fare estimate
+  defaultRideMinutes: parseInt(process.env.DRIVER_DEFAULT_RIDE_MINUTES, 10) || 60,
+  // Requests each driver app may make per 15 minutes. The app sends a location
+  // ping every few seconds during a trip, far above the general API limit.
+  appRateLimitMax: parseInt(process.env.DRIVER_APP_RATE_LIMIT_MAX, 10) || 600
+};
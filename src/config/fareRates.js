@@ -0,0 +1,47 @@
+// Default rate card used by the fare calculator.
+// Override any top-level key by setting FARE_RATE_CARD to a JSON object.
+const defaultRateCard = {
+  currency: 'INR',
+  // Used to derive trip duration when only distance is known
+  averageSpeedKmph: 25,
+  // Used when neither coordinates nor distance are supplied
+  defaultDistanceKm: 10,
+  minimumFare: 80,
+  defaultVehicleClass: 'sedan',
+  vehicleClasses: {
+    bike: { baseFare: 20, perKm: 6, perMinute: 1 },
+    auto: { baseFare: 30, perKm: 10, perMinute: 1.5 },
+    sedan: { baseFare: 60, perKm: 14, perMinute: 2 },
+    suv: { baseFare: 80, perKm: 18, perMinute: 2.5 }
+  },
+  // Percentages are applied to base + distance + time. Hours are local time
+  // (APP_UTC_OFFSET_MINUTES, the same offset schedules and policies use).
+  nightSurcharge: {
+    startHour: 22,
+    endHour: 6,
+    percent: 25
+  },
+  peakSurcharge: {
+    days: [1, 2, 3, 4, 5], // Monday - Friday
+    windows: [
+      { startHour: 8, endHour: 11 },
+      { startHour: 17, endHour: 20 }
+    ],
+    percent: 20
+  }
+};
+
+const loadRateCard = () => {
+  if (!process.env.FARE_RATE_CARD) {
+    return defaultRateCard;
+  }
+
+  try {
+    return { ...defaultRateCard, ...JSON.parse(process.env.FARE_RATE_CARD) };
+  } catch (error) {
+    console.error('Invalid FARE_RATE_CARD, using default rate card:', error.message);
+    return defaultRateCard;
+  }
+};
+
+module.exports = loadRateCard();
@@ -0,0 +1,18 @@
+// Background job queue settings (all overridable through environment variables)
+module.exports = {
+  // Set JOB_WORKERS_ENABLED=false to only enqueue jobs in this process
+  // (e.g. when dedicated worker instances process the queue)
+  workersEnabled: process.env.JOB_WORKERS_ENABLED !== 'false',
+  // Number of jobs this process works on in parallel
+  concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 2,
+  // How often idle workers look for due jobs
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000,
+  // Attempts before a job is dead-lettered
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+  // Delay before the first retry; doubled after every failed attempt
+  retryBaseSeconds: parseInt(process.env.JOB_RETRY_BASE_SECONDS, 10) || 10,
+  // Jobs still processing after this long are assumed abandoned and picked up again
+  lockTimeoutMinutes: parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES, 10) || 5,
+  // Completed jobs are removed after this many days
+  retentionDays: parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7
+};
@@ -0,0 +1,23 @@
+// Outgoing mail settings (all overridable through environment variables)
+module.exports = {
+  // smtp: deliver through SMTP_HOST
+  // file: write .eml files to MAIL_FILE_DIR (dev/tests)
+  // console: print each message with its text body (default when SMTP is not
+  // configured), so links such as password resets can be followed in development
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+  from: process.env.MAIL_FROM || 'Rapido Corporate <no-reply@rapido-corporate.local>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  },
+  fileDir: process.env.MAIL_FILE_DIR || 'logs/mail',
+  // Delivery attempts per message. Emails are sent from the job queue, which
+  // spaces the retries out with its own backoff.
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 3,
+  // Frontend base URL used in links, e.g. the password reset page
+  appUrl: process.env.APP_URL || 'http://localhost:3000'
+};
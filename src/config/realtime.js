@@ -0,0 +1,7 @@
+// Real-time event stream settings (all overridable through environment variables)
+module.exports = {
+  // How often each API instance looks for new events to stream
+  pollIntervalMs: parseInt(process.env.REALTIME_POLL_INTERVAL_MS, 10) || 1000,
+  // Events are kept this long; streams only ever read the last few seconds
+  retentionMinutes: parseInt(process.env.REALTIME_RETENTION_MINUTES, 10) || 10
+};
@@ -0,0 +1,5 @@
+// Ride feedback settings (overridable through environment variables)
+module.exports = {
+  // How long after the first submission an employee may still change their feedback
+  editWindowHours: parseInt(process.env.RIDE_FEEDBACK_EDIT_WINDOW_HOURS, 10) || 24
+};
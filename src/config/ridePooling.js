@@ -0,0 +1,27 @@
+// Ride pooling settings (all overridable through environment variables)
+const parseList = (value, fallback) => {
+  if (!value) return fallback;
+  const items = value.split(',').map(v => v.trim()).filter(Boolean);
+  return items.length ? items : fallback;
+};
+
+module.exports = {
+  // Set RIDE_POOLING_ENABLED=false to stop forming new pools
+  enabled: process.env.RIDE_POOLING_ENABLED !== 'false',
+  // Vehicle classes that can carry a pool
+  vehicleClasses: parseList(process.env.RIDE_POOLING_VEHICLE_CLASSES, ['auto', 'sedan', 'suv']),
+  // Employees sharing one trip, including the first; lowered to the seats of
+  // the largest active vehicle of the class
+  maxRiders: parseInt(process.env.RIDE_POOLING_MAX_RIDERS, 10) || 3,
+  // Every pickup (and every drop) in a pool lies within this distance of the others
+  pickupRadiusKm: parseFloat(process.env.RIDE_POOLING_PICKUP_RADIUS_KM) || 2,
+  dropRadiusKm: parseFloat(process.env.RIDE_POOLING_DROP_RADIUS_KM) || 3,
+  // Pickup times in a pool are at most this far apart
+  windowMinutes: parseInt(process.env.RIDE_POOLING_WINDOW_MINUTES, 10) || 15,
+  // The pool pays the longest solo fare plus this much per extra rider
+  extraRiderPercent: parseFloat(process.env.RIDE_POOLING_EXTRA_RIDER_PERCENT) || 20,
+  // Only rides starting within this many hours are pooled
+  lookaheadHours: parseInt(process.env.RIDE_POOLING_LOOKAHEAD_HOURS, 10) || 24,
+  // How often the scheduler looks for rides to pool
+  intervalMinutes: parseInt(process.env.RIDE_POOLING_INTERVAL_MINUTES, 10) || 5
+};
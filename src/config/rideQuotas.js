@@ -0,0 +1,26 @@
+// Per-employee ride limits. Department entries override the defaults and
+// limits set on a user (User.rideLimits) override both. null means no limit.
+const defaultQuotas = {
+  default: {
+    maxRidesPerWeek: null,
+    maxMonthlySpend: null,
+    maxRideFare: null
+  },
+  // e.g. { Sales: { maxRidesPerWeek: 20, maxMonthlySpend: 15000 } }
+  departments: {}
+};
+
+const loadQuotas = () => {
+  if (!process.env.RIDE_QUOTAS) {
+    return defaultQuotas;
+  }
+
+  try {
+    return { ...defaultQuotas, ...JSON.parse(process.env.RIDE_QUOTAS) };
+  } catch (error) {
+    console.error('Invalid RIDE_QUOTAS, using default ride quotas:', error.message);
+    return defaultQuotas;
+  }
+};
+
+module.exports = loadQuotas();
@@ -0,0 +1,18 @@
+// Ride reminder and no-show settings (all overridable through environment variables)
+const parseMinutes = (value, fallback) => {
+  if (!value) return fallback;
+  const minutes = value.split(',').map(v => parseInt(v, 10)).filter(v => v > 0);
+  return minutes.length ? minutes : fallback;
+};
+
+module.exports = {
+  // Minutes before scheduleTime at which the employee is reminded
+  reminderMinutes: parseMinutes(process.env.RIDE_REMINDER_MINUTES, [60, 15]).sort((a, b) => b - a),
+  // Approved rides with a driver that have not started this long after
+  // scheduleTime are flagged as no-show
+  noShowGraceMinutes: parseInt(process.env.RIDE_NO_SHOW_GRACE_MINUTES, 10) || 30,
+  // Approved rides without a driver are expired this long after scheduleTime
+  expireGraceMinutes: parseInt(process.env.RIDE_EXPIRE_GRACE_MINUTES, 10) || 60,
+  // How often the scheduler sends reminders and flags missed rides
+  intervalMinutes: parseInt(process.env.RIDE_REMINDER_INTERVAL_MINUTES, 10) || 1
+};
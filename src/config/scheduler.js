@@ -0,0 +1,9 @@
+// Background scheduler settings (all overridable through environment variables)
+module.exports = {
+  // Set RIDE_SCHEDULER_ENABLED=false to stop in-process background jobs
+  enabled: process.env.RIDE_SCHEDULER_ENABLED !== 'false',
+  // How often the scheduler wakes up
+  intervalMinutes: parseInt(process.env.RIDE_SCHEDULER_INTERVAL_MINUTES, 10) || 60,
+  // How many days ahead recurring schedules are turned into rides
+  lookaheadDays: parseInt(process.env.RIDE_SCHEDULE_LOOKAHEAD_DAYS, 10) || 7
+};
@@ -0,0 +1,7 @@
+// Login session settings (all overridable through environment variables)
+module.exports = {
+  // Lifetime of access tokens (JWT); clients renew them with the refresh token
+  accessTokenExpire: process.env.ACCESS_TOKEN_EXPIRE || '15m',
+  // A refresh token not used for this many days expires, ending the session
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30
+};
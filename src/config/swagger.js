@@ -33,6 +33,12 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter JWT token in the format: Bearer <token>'
+        },
+        driverToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Driver-Token',
+          description: 'Driver app token issued with POST /api/admin/drivers/{id}/app-token'
         }
       },
       schemas: {
@@ -72,9 +78,24 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'admin'],
+              enum: ['user', 'manager', 'admin'],
               example: 'user'
             },
+            managerId: {
+              type: 'string',
+              description: 'Line manager who approves this user\'s rides first',
+              example: '60d5ecb74d8b8e001c8e4b1d'
+            },
+            rideLimits: {
+              $ref: '#/components/schemas/RideLimits'
+            },
+            emergencyContacts: {
+              type: 'array',
+              description: 'Alerted when the user raises an SOS during a ride (at most 3)',
+              items: {
+                $ref: '#/components/schemas/EmergencyContact'
+              }
+            },
             isActive: {
               type: 'boolean',
               example: true
@@ -89,6 +110,30 @@ const options = {
             }
           }
         },
+        EmergencyContact: {
+          type: 'object',
+          required: ['name', 'phone'],
+          properties: {
+            name: {
+              type: 'string',
+              example: 'Jane Doe'
+            },
+            relationship: {
+              type: 'string',
+              example: 'Spouse'
+            },
+            phone: {
+              type: 'string',
+              example: '+919876543211'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'SOS alerts are emailed; contacts without an email are only passed to the incident.sos webhook',
+              example: 'jane.doe@example.com'
+            }
+          }
+        },
         UserRegistration: {
           type: 'object',
           required: ['firstName', 'lastName', 'email', 'password', 'phone', 'employeeId', 'department'],
@@ -130,7 +175,7 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'admin'],
+              enum: ['user', 'manager', 'admin'],
               default: 'user',
               example: 'user'
             }
@@ -152,57 +197,87 @@ const options = {
           }
         },
         // Ride Schemas
-        Ride: {
+        Location: {
           type: 'object',
           properties: {
-            _id: {
+            address: {
               type: 'string',
-              example: '60d5ecb74d8b8e001c8e4b1b'
+              example: 'Office Building A, Sector 5, Bangalore'
             },
-            userId: {
-              $ref: '#/components/schemas/User'
+            latitude: {
+              type: 'number',
+              example: 12.9716
             },
-            pickup: {
+            longitude: {
+              type: 'number',
+              example: 77.5946
+            },
+            landmark: {
+              type: 'string',
+              example: 'Near Metro Station'
+            },
+            location: {
               type: 'object',
+              description: 'GeoJSON point, coordinates are [longitude, latitude]',
               properties: {
-                address: {
+                type: {
                   type: 'string',
-                  example: 'Office Building A, Sector 5, Bangalore'
-                },
-                latitude: {
-                  type: 'number',
-                  example: 12.9716
+                  example: 'Point'
                 },
-                longitude: {
-                  type: 'number',
-                  example: 77.5946
-                },
-                landmark: {
-                  type: 'string',
-                  example: 'Near Metro Station'
+                coordinates: {
+                  type: 'array',
+                  items: {
+                    type: 'number'
+                  },
+                  example: [77.5946, 12.9716]
                 }
               }
-            },
-            drop: {
+            }
+          }
+        },
+        SavedPlace: {
+          allOf: [
+            { $ref: '#/components/schemas/Location' },
+            {
               type: 'object',
               properties: {
-                address: {
+                _id: {
                   type: 'string',
-                  example: 'Kempegowda International Airport, Bangalore'
-                },
-                latitude: {
-                  type: 'number',
-                  example: 13.1986
+                  example: '60d5ecb74d8b8e001c8e4b2a'
                 },
-                longitude: {
-                  type: 'number',
-                  example: 77.7066
+                name: {
+                  type: 'string',
+                  example: 'Home'
                 },
-                landmark: {
+                category: {
                   type: 'string',
-                  example: 'Terminal 1'
+                  enum: ['home', 'office', 'favourite'],
+                  example: 'home'
                 }
               }
+            }
+          ]
+        },
+        Ride: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              example: '60d5ecb74d8b8e001c8e4b1b'
+            },
+            userId: {
+              $ref: '#/components/schemas/User'
+            },
+            pickup: {
+              $ref: '#/components/schemas/Location'
+            },
+            drop: {
+              $ref: '#/components/schemas/Location'
+            },
+            distanceKm: {
+              type: 'number',
+              description: 'Straight-line pickup to drop distance',
+              example: 28
             },
             scheduleTime: {
               type: 'string',
@@ -211,17 +286,46 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled'],
+              enum: ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled', 'no_show', 'expired'],
               example: 'pending'
             },
+            vehicleClass: {
+              type: 'string',
+              enum: ['bike', 'auto', 'sedan', 'suv'],
+              example: 'sedan'
+            },
             estimatedFare: {
               type: 'number',
               example: 250
             },
+            fareBreakdown: {
+              $ref: '#/components/schemas/FareBreakdown'
+            },
             actualFare: {
               type: 'number',
               example: 240
             },
+            tripSummary: {
+              $ref: '#/components/schemas/TripSummary'
+            },
+            share: {
+              type: 'object',
+              description: 'Current share link of the ride (the token itself is never returned again)',
+              properties: {
+                createdAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                expiresAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                revokedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
             purpose: {
               type: 'string',
               example: 'Client meeting at airport'
@@ -232,7 +336,18 @@ const options = {
             },
             driver: {
               type: 'object',
+              description: 'Driver and vehicle as they were when assigned',
               properties: {
+                driverId: {
+                  type: 'string'
+                },
+                vehicleId: {
+                  type: 'string'
+                },
+                registrationNumber: {
+                  type: 'string',
+                  example: 'KA01AB1234'
+                },
                 name: {
                   type: 'string',
                   example: 'Rajesh Kumar'
@@ -245,6 +360,11 @@ const options = {
                   type: 'string',
                   example: 'Toyota Innova'
                 },
+                vendor: {
+                  type: 'string',
+                  description: 'Cab operator the driver works for',
+                  example: 'City Cabs'
+                },
                 rating: {
                   type: 'number',
                   minimum: 1,
@@ -256,6 +376,68 @@ const options = {
             approvedBy: {
               $ref: '#/components/schemas/User'
             },
+            autoApproved: {
+              type: 'boolean',
+              example: false
+            },
+            approvalPolicy: {
+              type: 'object',
+              description: 'Approval policy that matched when the ride was booked',
+              properties: {
+                policyId: {
+                  type: 'string'
+                },
+                name: {
+                  type: 'string',
+                  example: 'Office hours under 500'
+                },
+                action: {
+                  type: 'string',
+                  example: 'auto_approve'
+                },
+                evaluatedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            budgetCheck: {
+              type: 'object',
+              description: 'Department budget check at booking/approval',
+              properties: {
+                budgetId: {
+                  type: 'string'
+                },
+                month: {
+                  type: 'string',
+                  example: '2024-01'
+                },
+                remaining: {
+                  type: 'number',
+                  example: 15550
+                },
+                exceeded: {
+                  type: 'boolean',
+                  example: false
+                },
+                checkedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                releasedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'When the ride stopped counting against the budget (no-show/expired)'
+                }
+              }
+            },
+            approvalChain: {
+              type: 'array',
+              description: 'Approval levels the ride must pass, in order. Empty when a single admin approval is enough.',
+              items: {
+                $ref: '#/components/schemas/ApprovalStep'
+              }
+            },
             approvedAt: {
               type: 'string',
               format: 'date-time'
@@ -279,6 +461,82 @@ const options = {
               type: 'string',
               example: 'Meeting cancelled'
             },
+            noShowAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Set when an approved ride with a driver was not started in time'
+            },
+            expiredAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Set when an approved ride had no driver by pickup time'
+            },
+            remindersSent: {
+              type: 'array',
+              description: 'Reminder offsets (minutes before pickup) already sent',
+              items: {
+                type: 'integer'
+              },
+              example: [60, 15]
+            },
+            pooling: {
+              type: 'object',
+              description: 'Ride pooling; while pooled, estimatedFare is the employee\'s share of the pooled fare',
+              properties: {
+                optIn: {
+                  type: 'boolean',
+                  example: true
+                },
+                poolId: {
+                  type: 'string',
+                  description: 'Shared trip the ride belongs to'
+                },
+                lead: {
+                  type: 'boolean',
+                  description: 'The lead ride is dispatched for the whole pool'
+                },
+                soloFare: {
+                  type: 'number',
+                  description: 'Fare of the ride on its own',
+                  example: 320
+                },
+                pooledAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            dispatch: {
+              $ref: '#/components/schemas/RideDispatch'
+            },
+            statusHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  from: {
+                    type: 'string',
+                    example: 'pending'
+                  },
+                  to: {
+                    type: 'string',
+                    example: 'approved'
+                  },
+                  changedBy: {
+                    type: 'string',
+                    example: '60d5ecb74d8b8e001c8e4b1c'
+                  },
+                  changedAt: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  reason: {
+                    type: 'string',
+                    example: 'Approved for business meeting'
+                  }
+                }
+              }
+            },
             feedback: {
               type: 'object',
               properties: {
@@ -291,6 +549,22 @@ const options = {
                 comment: {
                   type: 'string',
                   example: 'Excellent service!'
+                },
+                tags: {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                    enum: ['punctuality', 'cleanliness', 'safety']
+                  },
+                  example: ['punctuality']
+                },
+                submittedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                editedAt: {
+                  type: 'string',
+                  format: 'date-time'
                 }
               }
             },
@@ -304,12 +578,76 @@ const options = {
             }
           }
         },
+        FareBreakdown: {
+          type: 'object',
+          properties: {
+            currency: {
+              type: 'string',
+              example: 'INR'
+            },
+            vehicleClass: {
+              type: 'string',
+              enum: ['bike', 'auto', 'sedan', 'suv'],
+              example: 'sedan'
+            },
+            distanceKm: {
+              type: 'number',
+              example: 12.3
+            },
+            durationMinutes: {
+              type: 'number',
+              example: 30
+            },
+            baseFare: {
+              type: 'number',
+              example: 60
+            },
+            distanceFare: {
+              type: 'number',
+              example: 172.2
+            },
+            timeFare: {
+              type: 'number',
+              example: 60
+            },
+            surcharges: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  code: {
+                    type: 'string',
+                    example: 'peak'
+                  },
+                  label: {
+                    type: 'string',
+                    example: 'Peak hour surcharge'
+                  },
+                  amount: {
+                    type: 'number',
+                    example: 58.44
+                  }
+                }
+              }
+            },
+            minimumFareApplied: {
+              type: 'boolean',
+              example: false
+            },
+            total: {
+              type: 'number',
+              example: 351
+            }
+          }
+        },
         RideRequest: {
           type: 'object',
-          required: ['pickup', 'drop', 'scheduleTime'],
+          required: ['scheduleTime'],
+          description: 'pickup/drop are required unless pickupPlaceId/dropPlaceId are given. The fare is estimated from their coordinates, or from the rate card\'s default distance when they have none.',
           properties: {
             pickup: {
               type: 'object',
+              description: 'A plain address string is also accepted',
               required: ['address'],
               properties: {
                 address: {
@@ -332,6 +670,7 @@ const options = {
             },
             drop: {
               type: 'object',
+              description: 'A plain address string is also accepted',
               required: ['address'],
               properties: {
                 address: {
@@ -357,6 +696,21 @@ const options = {
               format: 'date-time',
               example: '2024-01-15T10:30:00.000Z'
             },
+            pickupPlaceId: {
+              type: 'string',
+              description: 'Saved place to use instead of pickup',
+              example: '60d5ecb74d8b8e001c8e4b2a'
+            },
+            dropPlaceId: {
+              type: 'string',
+              description: 'Saved place to use instead of drop',
+              example: '60d5ecb74d8b8e001c8e4b2b'
+            },
+            vehicleClass: {
+              type: 'string',
+              enum: ['bike', 'auto', 'sedan', 'suv'],
+              example: 'sedan'
+            },
             purpose: {
               type: 'string',
               example: 'Client meeting at airport'
@@ -364,38 +718,1298 @@ const options = {
             specialRequirements: {
               type: 'string',
               example: 'Need AC car'
+            },
+            poolingOptIn: {
+              type: 'boolean',
+              description: 'Share the trip with colleagues going the same way for a lower fare',
+              default: false
             }
           }
         },
-        // Common Response Schemas
-        ApiResponse: {
+        // Ride Schedule Schemas
+        RideSchedule: {
           type: 'object',
           properties: {
-            success: {
-              type: 'boolean',
-              example: true
+            _id: {
+              type: 'string',
+              example: '60d5ecb74d8b8e001c8e4b3a'
             },
-            message: {
+            userId: {
               type: 'string',
-              example: 'Operation completed successfully'
+              example: '60d5ecb74d8b8e001c8e4b1a'
             },
-            data: {
-              type: 'object'
+            name: {
+              type: 'string',
+              example: 'Evening shift drop'
             },
-            count: {
-              type: 'number',
-              example: 5
-            }
-          }
-        },
-        ErrorResponse: {
-          type: 'object',
-          properties: {
-            success: {
-              type: 'boolean',
-              example: false
+            pickup: {
+              $ref: '#/components/schemas/Location'
             },
-            message: {
+            drop: {
+              $ref: '#/components/schemas/Location'
+            },
+            vehicleClass: {
+              type: 'string',
+              example: 'sedan'
+            },
+            daysOfWeek: {
+              type: 'array',
+              items: {
+                type: 'integer'
+              },
+              description: '0 = Sunday ... 6 = Saturday',
+              example: [1, 2, 3, 4, 5]
+            },
+            time: {
+              type: 'string',
+              description: 'Local pickup time (HH:mm)',
+              example: '18:30'
+            },
+            startDate: {
+              type: 'string',
+              format: 'date'
+            },
+            endDate: {
+              type: 'string',
+              format: 'date'
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'paused'],
+              example: 'active'
+            },
+            pausedUntil: {
+              type: 'string',
+              format: 'date-time'
+            },
+            skipDates: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'date'
+              },
+              example: ['2024-01-26']
+            },
+            lastGeneratedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        RideScheduleRequest: {
+          type: 'object',
+          required: ['daysOfWeek', 'time', 'startDate'],
+          description: 'pickup/drop are required unless pickupPlaceId/dropPlaceId are given',
+          properties: {
+            name: {
+              type: 'string',
+              example: 'Evening shift drop'
+            },
+            pickup: {
+              $ref: '#/components/schemas/Location'
+            },
+            drop: {
+              $ref: '#/components/schemas/Location'
+            },
+            pickupPlaceId: {
+              type: 'string'
+            },
+            dropPlaceId: {
+              type: 'string'
+            },
+            vehicleClass: {
+              type: 'string',
+              enum: ['bike', 'auto', 'sedan', 'suv']
+            },
+            purpose: {
+              type: 'string'
+            },
+            daysOfWeek: {
+              type: 'array',
+              items: {
+                type: 'integer'
+              },
+              example: [1, 2, 3, 4, 5]
+            },
+            time: {
+              type: 'string',
+              example: '18:30'
+            },
+            startDate: {
+              type: 'string',
+              format: 'date',
+              example: '2024-01-15'
+            },
+            endDate: {
+              type: 'string',
+              format: 'date',
+              example: '2024-06-30'
+            }
+          }
+        },
+        // Approval Policy Schemas
+        WebhookSubscription: {
+          type: 'object',
+          required: ['name', 'url', 'events'],
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            name: {
+              type: 'string',
+              example: 'Expense system'
+            },
+            url: {
+              type: 'string',
+              example: 'https://expenses.example.com/hooks/rapido'
+            },
+            events: {
+              type: 'array',
+              description: "Events to receive; '*' subscribes to all",
+              items: {
+                type: 'string',
+                enum: [
+                  'ride.created', 'ride.updated', 'ride.approved', 'ride.rejected', 'ride.cancelled',
+                  'ride.driver_assigned', 'ride.started', 'ride.completed', 'ride.no_show', 'ride.expired',
+                  'dispatch.offered', 'incident.sos', 'user.created', 'user.updated', 'user.deactivated', 'user.deleted', '*'
+                ]
+              },
+              example: ['ride.approved', 'user.deactivated']
+            },
+            secret: {
+              type: 'string',
+              readOnly: true,
+              description: 'HMAC signing secret, only returned when the subscription is created'
+            },
+            description: {
+              type: 'string'
+            },
+            isActive: {
+              type: 'boolean',
+              example: true
+            },
+            lastDeliveryAt: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true
+            },
+            lastDeliveryStatus: {
+              type: 'string',
+              enum: ['succeeded', 'failed'],
+              readOnly: true
+            }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            subscriptionId: {
+              type: 'string'
+            },
+            event: {
+              type: 'string',
+              example: 'ride.approved'
+            },
+            payload: {
+              type: 'object',
+              description: 'Signed JSON body: { id, event, createdAt, data }'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'succeeded', 'failed']
+            },
+            attempts: {
+              type: 'integer',
+              example: 1
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            responseStatus: {
+              type: 'integer',
+              example: 200
+            },
+            lastError: {
+              type: 'string'
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            redeliveryOf: {
+              type: 'string'
+            }
+          }
+        },
+        Driver: {
+          type: 'object',
+          required: ['name', 'phone', 'licenseNumber'],
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            name: {
+              type: 'string',
+              example: 'Rajesh Kumar'
+            },
+            phone: {
+              type: 'string',
+              example: '+919876543211'
+            },
+            licenseNumber: {
+              type: 'string',
+              example: 'KA0120190012345'
+            },
+            licenseExpiry: {
+              type: 'string',
+              format: 'date'
+            },
+            vendor: {
+              type: 'string',
+              example: 'City Cabs'
+            },
+            defaultVehicleId: {
+              type: 'string',
+              description: 'Vehicle used when a ride is assigned without one'
+            },
+            isActive: {
+              type: 'boolean',
+              example: true
+            },
+            location: {
+              type: 'object',
+              writeOnly: true,
+              description: 'Current position of the driver, used by automatic dispatch',
+              properties: {
+                latitude: {
+                  type: 'number',
+                  example: 12.9716
+                },
+                longitude: {
+                  type: 'number',
+                  example: 77.5946
+                }
+              }
+            },
+            lastLocation: {
+              type: 'object',
+              readOnly: true,
+              description: 'Last known position (GeoJSON Point, [longitude, latitude])',
+              properties: {
+                type: {
+                  type: 'string',
+                  example: 'Point'
+                },
+                coordinates: {
+                  type: 'array',
+                  items: {
+                    type: 'number'
+                  },
+                  example: [77.5946, 12.9716]
+                }
+              }
+            },
+            lastLocationAt: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true
+            },
+            appTokenIssuedAt: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true,
+              description: 'When the current driver app token was issued'
+            },
+            rating: {
+              type: 'object',
+              readOnly: true,
+              description: 'Average of employee feedback on rides the driver drove',
+              properties: {
+                average: {
+                  type: 'number',
+                  example: 4.6
+                },
+                count: {
+                  type: 'integer',
+                  example: 42
+                }
+              }
+            }
+          }
+        },
+        Vehicle: {
+          type: 'object',
+          required: ['registrationNumber', 'model', 'vehicleClass', 'capacity'],
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            registrationNumber: {
+              type: 'string',
+              example: 'KA01AB1234'
+            },
+            make: {
+              type: 'string',
+              example: 'Toyota'
+            },
+            model: {
+              type: 'string',
+              example: 'Innova'
+            },
+            color: {
+              type: 'string',
+              example: 'White'
+            },
+            vehicleClass: {
+              type: 'string',
+              enum: ['bike', 'auto', 'sedan', 'suv']
+            },
+            capacity: {
+              type: 'integer',
+              description: 'Passenger seats, excluding the driver',
+              example: 6
+            },
+            vendor: {
+              type: 'string',
+              example: 'City Cabs'
+            },
+            isActive: {
+              type: 'boolean',
+              example: true
+            }
+          }
+        },
+        LocationPing: {
+          type: 'object',
+          required: ['latitude', 'longitude'],
+          properties: {
+            latitude: {
+              type: 'number',
+              example: 12.9352
+            },
+            longitude: {
+              type: 'number',
+              example: 77.6245
+            },
+            speedKmh: {
+              type: 'number',
+              example: 32
+            },
+            heading: {
+              type: 'number',
+              description: 'Degrees clockwise from north',
+              example: 90
+            },
+            accuracyM: {
+              type: 'number',
+              example: 8
+            },
+            recordedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the device took the reading; defaults to the time the ping arrives. Ride pings recorded before the trip started or more than TRACKING_MAX_PING_AGE_MINUTES ago are refused.'
+            }
+          }
+        },
+        RideTrack: {
+          type: 'object',
+          properties: {
+            rideId: {
+              type: 'string'
+            },
+            status: {
+              type: 'string',
+              example: 'in_progress'
+            },
+            latest: {
+              type: 'object',
+              nullable: true,
+              description: 'Most recent position; null until the first ping',
+              properties: {
+                latitude: {
+                  type: 'number',
+                  example: 12.9352
+                },
+                longitude: {
+                  type: 'number',
+                  example: 77.6245
+                },
+                speedKmh: {
+                  type: 'number',
+                  example: 32
+                },
+                heading: {
+                  type: 'number',
+                  example: 90
+                },
+                recordedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            points: {
+              type: 'integer',
+              description: 'Pings received for the ride',
+              example: 214
+            },
+            travelledKm: {
+              type: 'number',
+              example: 8.42
+            },
+            path: {
+              type: 'array',
+              description: 'Travelled path as [longitude, latitude] pairs, oldest first',
+              items: {
+                type: 'array',
+                items: {
+                  type: 'number'
+                }
+              },
+              example: [[77.5946, 12.9716], [77.6101, 12.9512]]
+            },
+            remainingKm: {
+              type: 'number',
+              nullable: true,
+              description: 'Estimated road distance to the drop',
+              example: 6.1
+            },
+            speedKmh: {
+              type: 'number',
+              nullable: true,
+              description: 'Speed used for the ETA: the trip average once measurable, else the configured average',
+              example: 24.5
+            },
+            etaMinutes: {
+              type: 'integer',
+              nullable: true,
+              example: 15
+            },
+            etaAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        TripSummary: {
+          type: 'object',
+          description: 'How the actual fare was settled at completion; the measured fields are only set when the driver app recorded the trip',
+          properties: {
+            distanceKm: {
+              type: 'number',
+              description: 'Distance travelled along the recorded path',
+              example: 14.62
+            },
+            durationMinutes: {
+              type: 'integer',
+              description: 'Time between the first and last ping, within the times the ride was started and completed',
+              example: 41
+            },
+            points: {
+              type: 'integer',
+              example: 246
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            fareBreakdown: {
+              $ref: '#/components/schemas/FareBreakdown'
+            },
+            enteredFare: {
+              type: 'number',
+              description: 'Fare entered by the admin at completion',
+              example: 240
+            },
+            deviationPercent: {
+              type: 'number',
+              description: 'Actual fare relative to the estimate, in percent',
+              example: 36.4
+            },
+            fareFlagged: {
+              type: 'boolean',
+              description: 'The deviation exceeds TRACKING_FARE_DEVIATION_PERCENT',
+              example: true
+            },
+            route: {
+              type: 'object',
+              description: 'Recorded path thinned to TRACKING_MAX_PATH_POINTS, kept after the trip points expire. Left out when rides are read; the route export uses it.',
+              properties: {
+                coordinates: {
+                  type: 'array',
+                  items: {
+                    type: 'array',
+                    items: {
+                      type: 'number'
+                    }
+                  },
+                  example: [[77.5946, 12.9716], [77.6101, 12.9512]]
+                },
+                timestamps: {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                    format: 'date-time'
+                  }
+                }
+              }
+            },
+            computedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        RouteGeoJSON: {
+          type: 'object',
+          description: 'GeoJSON FeatureCollection with the recorded route and the booked pickup and drop',
+          properties: {
+            type: {
+              type: 'string',
+              example: 'FeatureCollection'
+            },
+            features: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    example: 'Feature'
+                  },
+                  geometry: {
+                    type: 'object',
+                    description: 'LineString for the route (Point when only one ping was recorded), Point for pickup and drop',
+                    example: { type: 'LineString', coordinates: [[77.5946, 12.9716], [77.6101, 12.9512]] }
+                  },
+                  properties: {
+                    type: 'object',
+                    description: 'kind (route, pickup or drop); the route also has rideId, source (trip_points, or trip_summary once the trip points have expired), points, distanceKm, startedAt, endedAt and timestamps',
+                    example: { kind: 'route', source: 'trip_points', points: 2, distanceKm: 2.75 }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Incident: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            type: {
+              type: 'string',
+              enum: ['sos'],
+              example: 'sos'
+            },
+            status: {
+              type: 'string',
+              enum: ['open', 'acknowledged', 'resolved'],
+              example: 'open'
+            },
+            rideId: {
+              type: 'string'
+            },
+            userId: {
+              type: 'string'
+            },
+            message: {
+              type: 'string',
+              example: 'Driver is not following the route'
+            },
+            location: {
+              type: 'object',
+              description: 'Last known position as a GeoJSON Point ([longitude, latitude])',
+              example: { type: 'Point', coordinates: [77.6245, 12.9352] }
+            },
+            locationSource: {
+              type: 'string',
+              enum: ['device', 'trip', 'driver', 'unknown'],
+              description: "Employee's phone, latest driver app ping of the ride, or the driver's last known location",
+              example: 'trip'
+            },
+            locationRecordedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            driver: {
+              type: 'object',
+              description: 'Driver and vehicle of the ride',
+              properties: {
+                driverId: {
+                  type: 'string'
+                },
+                name: {
+                  type: 'string'
+                },
+                phone: {
+                  type: 'string'
+                },
+                vehicle: {
+                  type: 'string'
+                },
+                registrationNumber: {
+                  type: 'string'
+                }
+              }
+            },
+            contactsNotified: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/EmergencyContact'
+              }
+            },
+            alertedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When admins and contacts were alerted; missing if the alert has not gone out yet'
+            },
+            acknowledgedBy: {
+              type: 'string'
+            },
+            acknowledgedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            resolvedBy: {
+              type: 'string'
+            },
+            resolvedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            resolution: {
+              type: 'string'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        SharedTrip: {
+          type: 'object',
+          description: 'What a share link shows; nothing else about the ride or the employee',
+          properties: {
+            status: {
+              type: 'string',
+              example: 'in_progress'
+            },
+            statusDisplay: {
+              type: 'string',
+              example: 'In Progress'
+            },
+            driver: {
+              type: 'object',
+              nullable: true,
+              description: 'Null until a driver is assigned',
+              properties: {
+                name: {
+                  type: 'string',
+                  example: 'Ravi Kumar'
+                },
+                vehicle: {
+                  type: 'string',
+                  example: 'Maruti Dzire (White)'
+                },
+                registrationNumber: {
+                  type: 'string',
+                  example: 'KA01AB1234'
+                },
+                rating: {
+                  type: 'number',
+                  example: 4.7
+                }
+              }
+            },
+            location: {
+              type: 'object',
+              nullable: true,
+              description: 'Latest position while the ride is in progress',
+              properties: {
+                latitude: {
+                  type: 'number',
+                  example: 12.9352
+                },
+                longitude: {
+                  type: 'number',
+                  example: 77.6245
+                },
+                heading: {
+                  type: 'number',
+                  example: 90
+                },
+                recordedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        RideDispatch: {
+          type: 'object',
+          description: 'Progress of automatic driver dispatch',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['offered', 'assigned', 'failed'],
+              description: 'failed: no driver accepted; the ride needs a manual assignment'
+            },
+            offers: {
+              type: 'integer',
+              description: 'Offers made in the current dispatch',
+              example: 2
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            failureReason: {
+              type: 'string',
+              example: 'No driver accepted after 5 offers'
+            }
+          }
+        },
+        DispatchOffer: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            rideId: {
+              type: 'string'
+            },
+            driverId: {
+              $ref: '#/components/schemas/Driver'
+            },
+            vehicleId: {
+              $ref: '#/components/schemas/Vehicle'
+            },
+            status: {
+              type: 'string',
+              enum: ['offered', 'accepted', 'declined', 'expired', 'cancelled']
+            },
+            attempt: {
+              type: 'integer',
+              description: 'Position of the offer in its dispatch (1 = first choice)',
+              example: 1
+            },
+            distanceKm: {
+              type: 'number',
+              description: 'Driver distance from the pickup when offered; null when unknown',
+              example: 3.4
+            },
+            load: {
+              type: 'integer',
+              description: 'Rides the driver was already booked for that day',
+              example: 2
+            },
+            score: {
+              type: 'number',
+              description: 'Matching score; lower is better',
+              example: 7.4
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            respondedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            declineReason: {
+              type: 'string'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            name: {
+              type: 'string',
+              example: 'notification.ride_update'
+            },
+            payload: {
+              type: 'object',
+              example: {
+                rideId: '60d5ecb74b24a1234567890c',
+                status: 'approved'
+              }
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'processing', 'completed', 'dead'],
+              description: 'dead: every attempt failed; the job waits for an admin retry'
+            },
+            attempts: {
+              type: 'integer',
+              example: 1
+            },
+            maxAttempts: {
+              type: 'integer',
+              example: 5
+            },
+            runAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Earliest time of the next attempt'
+            },
+            lockedBy: {
+              type: 'string',
+              description: 'Worker processing the job'
+            },
+            lastError: {
+              type: 'string'
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            deadAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        EmailLog: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            to: {
+              type: 'string',
+              example: 'john.doe@company.com'
+            },
+            template: {
+              type: 'string',
+              enum: ['reset_password', 'ride_approved', 'ride_rejected', 'ride_reminder'],
+              example: 'ride_approved'
+            },
+            subject: {
+              type: 'string'
+            },
+            transport: {
+              type: 'string',
+              enum: ['smtp', 'file', 'console']
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'sent', 'failed'],
+              example: 'sent'
+            },
+            attempts: {
+              type: 'integer',
+              example: 1
+            },
+            lastError: {
+              type: 'string'
+            },
+            messageId: {
+              type: 'string'
+            },
+            sentAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            userId: {
+              type: 'string'
+            },
+            rideId: {
+              type: 'string'
+            }
+          }
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            recipient: {
+              type: 'string'
+            },
+            type: {
+              type: 'string',
+              enum: [
+                'new_ride_request',
+                'approval_required',
+                'ride_approved',
+                'ride_rejected',
+                'ride_driver_assigned',
+                'ride_in_progress',
+                'ride_completed',
+                'ride_cancelled',
+                'ride_reminder',
+                'ride_no_show',
+                'ride_expired',
+                'ride_pooled',
+                'dispatch_failed',
+                'fare_deviation',
+                'sos_alert',
+                'sos_acknowledged',
+                'budget_alert'
+              ],
+              example: 'ride_approved'
+            },
+            title: {
+              type: 'string',
+              example: 'Ride Approved'
+            },
+            message: {
+              type: 'string',
+              example: 'Ride approved by Jane Admin'
+            },
+            payload: {
+              type: 'object',
+              description: 'Type-specific data such as rideId, pickup, drop and scheduleTime'
+            },
+            read: {
+              type: 'boolean',
+              example: false
+            },
+            readAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        RideLimits: {
+          type: 'object',
+          description: 'Per-employee limits; null means no limit',
+          properties: {
+            maxRidesPerWeek: {
+              type: 'integer',
+              nullable: true,
+              example: 10
+            },
+            maxMonthlySpend: {
+              type: 'number',
+              nullable: true,
+              example: 8000
+            },
+            maxRideFare: {
+              type: 'number',
+              nullable: true,
+              example: 1500
+            }
+          }
+        },
+        RideQuota: {
+          type: 'object',
+          properties: {
+            limits: {
+              $ref: '#/components/schemas/RideLimits'
+            },
+            period: {
+              type: 'object',
+              properties: {
+                weekStart: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                weekEnd: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                month: {
+                  type: 'string',
+                  example: '2024-01'
+                }
+              }
+            },
+            used: {
+              type: 'object',
+              properties: {
+                ridesThisWeek: {
+                  type: 'integer',
+                  example: 4
+                },
+                spendThisMonth: {
+                  type: 'number',
+                  example: 3150
+                }
+              }
+            },
+            remaining: {
+              type: 'object',
+              description: 'null when the matching limit is not set',
+              properties: {
+                ridesThisWeek: {
+                  type: 'integer',
+                  nullable: true,
+                  example: 6
+                },
+                spendThisMonth: {
+                  type: 'number',
+                  nullable: true,
+                  example: 4850
+                }
+              }
+            }
+          }
+        },
+        Budget: {
+          type: 'object',
+          required: ['department', 'month', 'amount'],
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            department: {
+              type: 'string',
+              enum: ['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations'],
+              example: 'Engineering'
+            },
+            month: {
+              type: 'string',
+              description: 'Local calendar month (YYYY-MM)',
+              example: '2024-01'
+            },
+            amount: {
+              type: 'number',
+              example: 50000
+            },
+            enforcement: {
+              type: 'string',
+              enum: ['block', 'flag'],
+              default: 'flag',
+              description: 'block refuses rides over the remaining budget; flag accepts them but leaves them for manual approval'
+            },
+            alertThresholds: {
+              type: 'array',
+              items: {
+                type: 'number'
+              },
+              default: [80, 100],
+              description: 'Percentages of the budget at which admins are alerted'
+            },
+            alertsSent: {
+              type: 'array',
+              items: {
+                type: 'number'
+              }
+            },
+            notes: {
+              type: 'string'
+            }
+          }
+        },
+        BudgetUsage: {
+          type: 'object',
+          properties: {
+            department: {
+              type: 'string',
+              example: 'Engineering'
+            },
+            month: {
+              type: 'string',
+              example: '2024-01'
+            },
+            amount: {
+              type: 'number',
+              example: 50000
+            },
+            enforcement: {
+              type: 'string',
+              example: 'block'
+            },
+            rides: {
+              type: 'integer',
+              example: 120
+            },
+            consumed: {
+              type: 'number',
+              description: 'Completed rides, at actual fare where recorded',
+              example: 30250
+            },
+            committed: {
+              type: 'number',
+              description: 'Approved and in-progress rides, at estimated fare',
+              example: 4200
+            },
+            remaining: {
+              type: 'number',
+              example: 15550
+            },
+            percentUsed: {
+              type: 'number',
+              example: 68.9
+            }
+          }
+        },
+        ApprovalStep: {
+          type: 'object',
+          properties: {
+            level: {
+              type: 'integer',
+              example: 1
+            },
+            role: {
+              type: 'string',
+              enum: ['manager', 'finance'],
+              description: 'manager steps are decided by the employee\'s manager, finance steps by admins',
+              example: 'manager'
+            },
+            approverId: {
+              type: 'string',
+              description: 'Assigned approver for manager steps',
+              example: '60d5ecb74d8b8e001c8e4b1d'
+            },
+            decision: {
+              type: 'string',
+              enum: ['pending', 'approved', 'rejected'],
+              example: 'pending'
+            },
+            decidedBy: {
+              type: 'string'
+            },
+            decidedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            comment: {
+              type: 'string'
+            }
+          }
+        },
+        ApprovalPolicy: {
+          type: 'object',
+          required: ['name', 'action'],
+          properties: {
+            _id: {
+              type: 'string',
+              example: '60d5ecb74d8b8e001c8e4b4a'
+            },
+            name: {
+              type: 'string',
+              example: 'Office hours under 500'
+            },
+            description: {
+              type: 'string'
+            },
+            priority: {
+              type: 'integer',
+              description: 'Lower values are evaluated first',
+              example: 50
+            },
+            action: {
+              type: 'string',
+              enum: ['auto_approve', 'require_approval'],
+              example: 'auto_approve'
+            },
+            conditions: {
+              type: 'object',
+              description: 'All conditions that are set must match',
+              properties: {
+                maxFare: {
+                  type: 'number',
+                  example: 500
+                },
+                minDistanceKm: {
+                  type: 'number'
+                },
+                maxDistanceKm: {
+                  type: 'number',
+                  example: 25
+                },
+                departments: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  }
+                },
+                daysOfWeek: {
+                  type: 'array',
+                  items: {
+                    type: 'integer'
+                  },
+                  description: '0 = Sunday ... 6 = Saturday'
+                },
+                timeWindow: {
+                  type: 'object',
+                  properties: {
+                    start: {
+                      type: 'string',
+                      example: '08:00'
+                    },
+                    end: {
+                      type: 'string',
+                      example: '20:00'
+                    }
+                  }
+                }
+              }
+            },
+            isActive: {
+              type: 'boolean',
+              example: true
+            }
+          }
+        },
+        // Common Response Schemas
+        ApiResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            message: {
+              type: 'string',
+              example: 'Operation completed successfully'
+            },
+            data: {
+              type: 'object'
+            },
+            count: {
+              type: 'number',
+              example: 5
+            }
+          }
+        },
+        ErrorResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: false
+            },
+            message: {
               type: 'string',
               example: 'Error message'
             },
@@ -481,6 +2095,21 @@ const options = {
             }
           }
         },
+        InvalidTransitionError: {
+          description: 'Illegal ride status transition',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                message: 'Cannot change ride status from rejected to cancelled',
+                code: 'INVALID_STATUS_TRANSITION'
+              }
+            }
+          }
+        },
         RateLimitError: {
           description: 'Too many requests',
           content: {
@@ -524,6 +2153,30 @@ const options = {
         name: 'Rides',
         description: 'Ride booking and management endpoints'
       },
+      {
+        name: 'Ride Schedules',
+        description: 'Recurring ride schedules that generate ride requests ahead of time'
+      },
+      {
+        name: 'Notifications',
+        description: 'Per-user notification inbox'
+      },
+      {
+        name: 'Events',
+        description: 'Real-time ride events over Server-Sent Events'
+      },
+      {
+        name: 'Driver App',
+        description: 'Location reporting and ride offer responses by the driver app, authenticated by the driver app token'
+      },
+      {
+        name: 'Trip Sharing',
+        description: 'Read-only view of a ride shared by its employee, authenticated by the share token'
+      },
+      {
+        name: 'Manager',
+        description: 'Endpoints for managers to review and approve their reports\' rides'
+      },
       {
         name: 'Admin',
         description: 'Administrative endpoints for ride approval and user management'
@@ -0,0 +1,21 @@
+// Live trip tracking settings (all overridable through environment variables)
+module.exports = {
+  // Trip location pings are deleted this many days after they were received
+  retentionDays: parseInt(process.env.TRACKING_RETENTION_DAYS, 10) || 30,
+  // Speed assumed for the ETA until the trip has enough pings to measure its own
+  averageSpeedKmh: parseFloat(process.env.TRACKING_AVERAGE_SPEED_KMH) || 25,
+  // Minutes of travel needed before the measured speed is used for the ETA
+  minMeasuredMinutes: parseInt(process.env.TRACKING_MIN_MEASURED_MINUTES, 10) || 5,
+  // Road distance is estimated as the straight-line distance times this factor
+  roadFactor: parseFloat(process.env.TRACKING_ROAD_FACTOR) || 1.3,
+  // The travelled path returned by the track endpoint is thinned to this many points
+  maxPathPoints: parseInt(process.env.TRACKING_MAX_PATH_POINTS, 10) || 500,
+  // Ride pings recorded longer ago than this (by the device clock) are refused,
+  // so a trip cannot be padded with backdated pings
+  maxPingAgeMinutes: parseInt(process.env.TRACKING_MAX_PING_AGE_MINUTES, 10) || 30,
+  // Pings needed before the actual fare is computed from the recorded trip
+  minFarePoints: parseInt(process.env.TRACKING_MIN_FARE_POINTS, 10) || 2,
+  // Completed rides whose actual fare differs from the estimate by more than
+  // this percentage are flagged for review
+  fareDeviationPercent: parseFloat(process.env.TRACKING_FARE_DEVIATION_PERCENT) || 30
+};
@@ -0,0 +1,7 @@
+// Trip sharing link settings (all overridable through environment variables)
+module.exports = {
+  // Longest a share link stays valid; employees may ask for a shorter time
+  maxHours: parseInt(process.env.TRIP_SHARING_MAX_HOURS, 10) || 12,
+  // Validity of a link when the employee does not choose one
+  defaultHours: parseInt(process.env.TRIP_SHARING_DEFAULT_HOURS, 10) || 4
+};
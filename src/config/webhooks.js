@@ -0,0 +1,11 @@
+// Outbound webhook settings (all overridable through environment variables)
+module.exports = {
+  // Delivery attempts before a delivery is marked failed
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  // Delay before the first retry; doubled after every failed attempt
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+  // How long to wait for the receiver to answer
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  // How often the scheduler picks up due retries
+  retryIntervalMinutes: parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MINUTES, 10) || 1
+};
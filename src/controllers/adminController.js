@@ -1,6 +1,15 @@
 const Ride = require('../models/Ride');
 const User = require('../models/User');
 const AdminAction = require('../models/AdminAction');
+const EmailLog = require('../models/EmailLog');
+const ErrorResponse = require('../utils/errorResponse');
+const { getPendingStep, recordDecision } = require('../services/approvalChain');
+const { checkRideBudget, sendBudgetAlerts } = require('../services/budgetService');
+const { assignDriverToRide } = require('../services/driverService');
+const { queueDispatch, cancelOpenOffers } = require('../services/dispatchService');
+const { shareDriverWithPool, startPoolFollowers, completePoolFollowers } = require('../services/ridePooling');
+const { settleActualFare, reportFareDeviation } = require('../services/tracking');
+const { logAdminAction } = require('../services/auditLog');
 const { notifyUserRideUpdate } = require('./notificationController');
 
 // @desc    Get all rides for admin
@@ -23,6 +32,11 @@ const getAllRides = async (req, res, next) => {
     if (userId) {
       query.userId = userId;
     }
+
+    // Completed rides whose actual fare was far from the estimate
+    if (req.query.fareFlagged === 'true') {
+      query['tripSummary.fareFlagged'] = true;
+    }
     
     if (startDate || endDate) {
       query.scheduleTime = {};
@@ -78,25 +92,36 @@ const approveRide = async (req, res, next) => {
       });
     }
 
-    if (ride.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only approve pending rides'
-      });
+    // Rides with an approval chain are approved one level at a time
+    const step = getPendingStep(ride)
+      ? recordDecision(ride, req.user, 'approved', req.body.comments)
+      : null;
+    if (!step) {
+      ride.transitionTo('approved', { by: req.user.id, reason: req.body.comments });
     }
-
-    ride.status = 'approved';
-    ride.approvedBy = req.user.id;
-    ride.approvedAt = new Date();
     ride.adminComments = req.body.comments || '';
 
+    const nextStep = getPendingStep(ride);
+    let owner;
+    if (!nextStep) {
+      // Spend may have changed since booking, so check the budget again
+      owner = await User.findById(ride.userId).select('department');
+      await checkRideBudget(ride, owner?.department);
+      ride.approvedBy = req.user.id;
+      ride.approvedAt = new Date();
+    }
+
     await ride.save();
 
     // Send notification to user about ride approval
-    await notifyUserRideUpdate(ride._id, 'approved', req.user.id);
+    if (!nextStep) {
+      await notifyUserRideUpdate(ride._id, 'approved', req.user.id);
+      await sendBudgetAlerts(owner?.department, ride.scheduleTime);
+      await queueDispatch(ride);
+    }
 
     // Log admin action
-    await AdminAction.create({
+    await logAdminAction({
       adminId: req.user.id,
       action: 'approve_ride',
       targetType: 'ride',
@@ -104,13 +129,17 @@ const approveRide = async (req, res, next) => {
       details: {
         rideId: ride._id,
         userId: ride.userId,
+        approvalLevel: step?.level,
+        approvalRole: step?.role,
         comments: req.body.comments
       }
     });
 
     res.status(200).json({
       success: true,
-      message: 'Ride approved successfully',
+      message: nextStep
+        ? `Approval recorded; awaiting ${nextStep.role} approval`
+        : 'Ride approved successfully',
       data: {
         ride
       }
@@ -134,14 +163,13 @@ const rejectRide = async (req, res, next) => {
       });
     }
 
-    if (ride.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only reject pending rides'
-      });
+    // Rejecting any level of an approval chain rejects the ride
+    const step = getPendingStep(ride)
+      ? recordDecision(ride, req.user, 'rejected', req.body.reason)
+      : null;
+    if (!step) {
+      ride.transitionTo('rejected', { by: req.user.id, reason: req.body.reason });
     }
-
-    ride.status = 'rejected';
     ride.rejectedBy = req.user.id;
     ride.rejectedAt = new Date();
     ride.rejectionReason = req.body.reason || 'Not approved';
@@ -153,7 +181,7 @@ const rejectRide = async (req, res, next) => {
     await notifyUserRideUpdate(ride._id, 'rejected', req.user.id);
 
     // Log admin action
-    await AdminAction.create({
+    await logAdminAction({
       adminId: req.user.id,
       action: 'reject_ride',
       targetType: 'ride',
@@ -161,6 +189,8 @@ const rejectRide = async (req, res, next) => {
       details: {
         rideId: ride._id,
         userId: ride.userId,
+        approvalLevel: step?.level,
+        approvalRole: step?.role,
         reason: req.body.reason,
         comments: req.body.comments
       }
@@ -178,6 +208,178 @@ const rejectRide = async (req, res, next) => {
   }
 };
 
+// @desc    Assign driver to ride
+// @route   PUT /api/admin/rides/:id/assign-driver
+// @access  Private/Admin
+const assignDriver = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    // A driver can only be assigned to a ride that is ready to start
+    if (!Ride.canTransition(ride.status, 'in_progress')) {
+      return next(new ErrorResponse(
+        `Cannot assign a driver to a ${ride.status} ride`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      ));
+    }
+
+    await assignDriverToRide(ride, req.body);
+
+    // A manual assignment takes over from automatic dispatch
+    if (ride.dispatch?.status) {
+      ride.dispatch.status = 'assigned';
+      ride.dispatch.updatedAt = new Date();
+    }
+
+    await ride.save();
+    await cancelOpenOffers(ride._id);
+
+    // Send notification to user about driver assignment
+    await notifyUserRideUpdate(ride._id, 'driver_assigned', req.user.id);
+    await shareDriverWithPool(ride, req.user.id);
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'assign_driver',
+      targetType: 'ride',
+      targetId: ride._id,
+      details: {
+        rideId: ride._id,
+        userId: ride.userId,
+        driver: ride.driver
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver assigned successfully',
+      data: {
+        ride
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark ride as started
+// @route   PUT /api/admin/rides/:id/start
+// @access  Private/Admin
+const startRide = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    if (!ride.driver || !ride.driver.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assign a driver before starting the ride'
+      });
+    }
+
+    ride.transitionTo('in_progress', { by: req.user.id });
+    ride.startedAt = new Date();
+
+    await ride.save();
+
+    // Send notification to user about ride start
+    await notifyUserRideUpdate(ride._id, 'in_progress', req.user.id);
+    await startPoolFollowers(ride, req.user.id);
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'start_ride',
+      targetType: 'ride',
+      targetId: ride._id,
+      details: {
+        rideId: ride._id,
+        userId: ride.userId,
+        startedAt: ride.startedAt
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride started successfully',
+      data: {
+        ride
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark ride as completed
+// @route   PUT /api/admin/rides/:id/complete
+// @access  Private/Admin
+const completeRide = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    ride.transitionTo('completed', { by: req.user.id });
+    ride.completedAt = new Date();
+    await settleActualFare(ride, req.body.actualFare);
+
+    await ride.save();
+
+    // Send notification to user about ride completion
+    await notifyUserRideUpdate(ride._id, 'completed', req.user.id);
+    await reportFareDeviation(ride);
+    await completePoolFollowers(ride, req.user.id);
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'complete_ride',
+      targetType: 'ride',
+      targetId: ride._id,
+      details: {
+        rideId: ride._id,
+        userId: ride.userId,
+        actualFare: ride.actualFare,
+        estimatedFare: ride.estimatedFare,
+        enteredFare: ride.tripSummary.enteredFare,
+        measuredDistanceKm: ride.tripSummary.distanceKm,
+        fareFlagged: ride.tripSummary.fareFlagged
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride completed successfully',
+      data: {
+        ride
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get ride analytics
 // @route   GET /api/admin/analytics
 // @access  Private/Admin
@@ -201,6 +403,8 @@ const getRideAnalytics = async (req, res, next) => {
     const rejectedRides = await Ride.countDocuments({ ...matchQuery, status: 'rejected' });
     const completedRides = await Ride.countDocuments({ ...matchQuery, status: 'completed' });
     const cancelledRides = await Ride.countDocuments({ ...matchQuery, status: 'cancelled' });
+    const noShowRides = await Ride.countDocuments({ ...matchQuery, status: 'no_show' });
+    const expiredRides = await Ride.countDocuments({ ...matchQuery, status: 'expired' });
 
     // Get total users count
     const totalUsers = await User.countDocuments({ role: { $ne: 'admin' } });
@@ -259,6 +463,83 @@ const getRideAnalytics = async (req, res, next) => {
       }
     ]);
 
+    // Employee feedback on completed rides, per driver, vendor and tag
+    const [ratings] = await Ride.aggregate([
+      { $match: { ...matchQuery, 'feedback.rating': { $exists: true } } },
+      {
+        $facet: {
+          overall: [
+            { $group: { _id: null, avgRating: { $avg: '$feedback.rating' }, ratings: { $sum: 1 } } }
+          ],
+          drivers: [
+            { $match: { 'driver.name': { $exists: true } } },
+            {
+              $group: {
+                // Registry drivers by id; rides from before the registry by phone
+                _id: { $ifNull: ['$driver.driverId', '$driver.phone'] },
+                name: { $last: '$driver.name' },
+                phone: { $last: '$driver.phone' },
+                vendor: { $last: '$driver.vendor' },
+                avgRating: { $avg: '$feedback.rating' },
+                ratings: { $sum: 1 }
+              }
+            },
+            { $sort: { avgRating: -1, ratings: -1 } },
+            { $limit: 20 }
+          ],
+          vendors: [
+            { $match: { 'driver.vendor': { $exists: true } } },
+            {
+              $group: {
+                _id: '$driver.vendor',
+                avgRating: { $avg: '$feedback.rating' },
+                ratings: { $sum: 1 },
+                drivers: { $addToSet: '$driver.phone' }
+              }
+            },
+            { $addFields: { drivers: { $size: '$drivers' } } },
+            { $sort: { avgRating: -1 } }
+          ],
+          tags: [
+            { $unwind: '$feedback.tags' },
+            {
+              $group: {
+                _id: '$feedback.tags',
+                count: { $sum: 1 },
+                avgRating: { $avg: '$feedback.rating' }
+              }
+            },
+            { $sort: { count: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    // Pooled rides and what sharing saved against their solo fares
+    const [pooling] = await Ride.aggregate([
+      { $match: { ...matchQuery, 'pooling.poolId': { $exists: true } } },
+      {
+        $group: {
+          _id: null,
+          pooledRides: { $sum: 1 },
+          pools: { $addToSet: '$pooling.poolId' },
+          soloFare: { $sum: '$pooling.soloFare' },
+          pooledFare: { $sum: '$estimatedFare' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          pooledRides: 1,
+          pools: { $size: '$pools' },
+          soloFare: 1,
+          pooledFare: 1,
+          savings: { $round: [{ $subtract: ['$soloFare', '$pooledFare'] }, 2] }
+        }
+      }
+    ]);
+    const optedInRides = await Ride.countDocuments({ ...matchQuery, 'pooling.optIn': true });
+
     res.status(200).json({
       success: true,
       data: {
@@ -269,6 +550,8 @@ const getRideAnalytics = async (req, res, next) => {
           rejectedRides,
           completedRides,
           cancelledRides,
+          noShowRides,
+          expiredRides,
           totalUsers,
           approvalRate: totalRides > 0 ? ((approvedRides / totalRides) * 100).toFixed(2) : 0
         },
@@ -279,6 +562,17 @@ const getRideAnalytics = async (req, res, next) => {
           avgFare: 0,
           maxFare: 0,
           minFare: 0
+        },
+        ratingAnalytics: {
+          avgRating: ratings.overall[0]?.avgRating ?? null,
+          ratings: ratings.overall[0]?.ratings || 0,
+          drivers: ratings.drivers,
+          vendors: ratings.vendors,
+          tags: ratings.tags
+        },
+        poolingAnalytics: {
+          optedInRides,
+          ...(pooling || { pooledRides: 0, pools: 0, soloFare: 0, pooledFare: 0, savings: 0 })
         }
       }
     });
@@ -322,6 +616,44 @@ const getAdminActions = async (req, res, next) => {
   }
 };
 
+// @desc    Get email delivery logs
+// @route   GET /api/admin/emails
+// @access  Private/Admin
+const getEmailLogs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.template) query.template = req.query.template;
+
+    const emails = await EmailLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await EmailLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: emails.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: {
+        emails
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get recent activity for dashboard
 // @route   GET /api/admin/recent-activity
 // @access  Private/Admin
@@ -331,7 +663,7 @@ const getRecentActivity = async (req, res, next) => {
     
     // Get recent rides (status changes)
     const recentRides = await Ride.find({
-      status: { $in: ['approved', 'rejected', 'completed', 'in-progress'] },
+      status: { $in: ['approved', 'rejected', 'completed', 'in_progress'] },
       updatedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
     })
       .populate('userId', 'firstName lastName')
@@ -357,22 +689,22 @@ const getRecentActivity = async (req, res, next) => {
       switch (ride.status) {
         case 'approved':
           activityType = 'ride_approved';
-          description = `${ride.userId?.firstName} ${ride.userId?.lastName}'s ride to ${ride.destination} was approved`;
+          description = `${ride.userId?.firstName} ${ride.userId?.lastName}'s ride to ${ride.drop?.address} was approved`;
           icon = 'check-circle';
           break;
         case 'rejected':
           activityType = 'ride_rejected';
-          description = `${ride.userId?.firstName} ${ride.userId?.lastName}'s ride to ${ride.destination} was rejected`;
+          description = `${ride.userId?.firstName} ${ride.userId?.lastName}'s ride to ${ride.drop?.address} was rejected`;
           icon = 'x-circle';
           break;
         case 'completed':
           activityType = 'ride_completed';
-          description = `${ride.userId?.firstName} ${ride.userId?.lastName}'s ride to ${ride.destination} was completed`;
+          description = `${ride.userId?.firstName} ${ride.userId?.lastName}'s ride to ${ride.drop?.address} was completed`;
           icon = 'check';
           break;
-        case 'in-progress':
+        case 'in_progress':
           activityType = 'ride_started';
-          description = `${ride.userId?.firstName} ${ride.userId?.lastName}'s ride to ${ride.destination} has started`;
+          description = `${ride.userId?.firstName} ${ride.userId?.lastName}'s ride to ${ride.drop?.address} has started`;
           icon = 'truck';
           break;
         default:
@@ -389,7 +721,7 @@ const getRecentActivity = async (req, res, next) => {
           rideId: ride._id,
           userId: ride.userId?._id,
           userName: `${ride.userId?.firstName} ${ride.userId?.lastName}`,
-          destination: ride.destination,
+          destination: ride.drop?.address,
           status: ride.status
         }
       };
@@ -399,30 +731,55 @@ const getRecentActivity = async (req, res, next) => {
     const adminActivities = recentActions.map(action => {
       let description = '';
       let icon = 'user';
+      const adminName = action.actorType === 'system'
+        ? 'System'
+        : `${action.adminId?.firstName} ${action.adminId?.lastName}`;
 
       switch (action.action) {
         case 'approve_ride':
-          description = `${action.adminId?.firstName} ${action.adminId?.lastName} approved a ride request`;
+          description = `${adminName} approved a ride request`;
           icon = 'check-circle';
           break;
         case 'reject_ride':
-          description = `${action.adminId?.firstName} ${action.adminId?.lastName} rejected a ride request`;
+          description = `${adminName} rejected a ride request`;
           icon = 'x-circle';
           break;
+        case 'assign_driver':
+          description = `${adminName} assigned a driver to a ride`;
+          icon = 'user-check';
+          break;
+        case 'start_ride':
+          description = `${adminName} started a ride`;
+          icon = 'truck';
+          break;
+        case 'complete_ride':
+          description = `${adminName} completed a ride`;
+          icon = 'check';
+          break;
+        case 'auto_approve_ride':
+          description = `A ride request was auto-approved by policy ${action.details?.policyName}`;
+          icon = 'zap';
+          break;
+        case 'create_policy':
+        case 'update_policy':
+        case 'delete_policy':
+          description = `${adminName} changed approval policy ${action.details?.name}`;
+          icon = 'sliders';
+          break;
         case 'create_user':
-          description = `${action.adminId?.firstName} ${action.adminId?.lastName} created a new user account`;
+          description = `${adminName} created a new user account`;
           icon = 'user-plus';
           break;
         case 'update_user':
-          description = `${action.adminId?.firstName} ${action.adminId?.lastName} updated user information`;
+          description = `${adminName} updated user information`;
           icon = 'user';
           break;
         case 'delete_user':
-          description = `${action.adminId?.firstName} ${action.adminId?.lastName} deleted a user account`;
+          description = `${adminName} deleted a user account`;
           icon = 'user-minus';
           break;
         default:
-          description = `${action.adminId?.firstName} ${action.adminId?.lastName} performed an admin action`;
+          description = `${adminName} performed an admin action`;
       }
 
       return {
@@ -433,7 +790,7 @@ const getRecentActivity = async (req, res, next) => {
         timestamp: action.createdAt,
         data: {
           adminId: action.adminId?._id,
-          adminName: `${action.adminId?.firstName} ${action.adminId?.lastName}`,
+          adminName,
           targetType: action.targetType,
           targetId: action.targetId,
           details: action.details
@@ -462,7 +819,11 @@ module.exports = {
   getAllRides,
   approveRide,
   rejectRide,
+  assignDriver,
+  startRide,
+  completeRide,
   getRideAnalytics,
   getAdminActions,
+  getEmailLogs,
   getRecentActivity
 };
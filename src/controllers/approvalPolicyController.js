@@ -0,0 +1,156 @@
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const { logAdminAction } = require('../services/auditLog');
+
+// Fields an admin may set on a policy
+const POLICY_FIELDS = ['name', 'description', 'priority', 'action', 'conditions', 'isActive'];
+
+const pickPolicyFields = (body) => {
+  const fields = {};
+  POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get approval policies
+// @route   GET /api/admin/policies
+// @access  Private/Admin
+const getPolicies = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined && req.query.isActive !== '') {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const policies = await ApprovalPolicy.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: {
+        policies
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create approval policy
+// @route   POST /api/admin/policies
+// @access  Private/Admin
+const createPolicy = async (req, res, next) => {
+  try {
+    const policy = await ApprovalPolicy.create({
+      ...pickPolicyFields(req.body),
+      createdBy: req.user.id
+    });
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'create_policy',
+      targetType: 'policy',
+      targetId: policy._id,
+      details: {
+        name: policy.name,
+        action: policy.action,
+        conditions: policy.conditions
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval policy created successfully',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update approval policy
+// @route   PUT /api/admin/policies/:id
+// @access  Private/Admin
+const updatePolicy = async (req, res, next) => {
+  try {
+    const policy = await ApprovalPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval policy not found'
+      });
+    }
+
+    policy.set(pickPolicyFields(req.body));
+    await policy.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'update_policy',
+      targetType: 'policy',
+      targetId: policy._id,
+      details: {
+        name: policy.name,
+        changes: pickPolicyFields(req.body)
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval policy updated successfully',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete approval policy
+// @route   DELETE /api/admin/policies/:id
+// @access  Private/Admin
+const deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await ApprovalPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval policy not found'
+      });
+    }
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'delete_policy',
+      targetType: 'policy',
+      targetId: policy._id,
+      details: {
+        name: policy.name
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Approval policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
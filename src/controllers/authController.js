@@ -1,5 +1,4 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const { 
   sendTokenResponse, 
   comparePassword, 
@@ -10,6 +9,22 @@ const {
   generateResetToken,
   hashResetToken
 } = require('../utils/auth');
+const mailConfig = require('../config/mail');
+const { sendTemplateEmail } = require('../services/mail/mailer');
+const { startSession, rotateSession, revokeFamily, revokeUserSessions } = require('../services/sessionService');
+
+// Fields a user may change on their own profile. Role, managerId, rideLimits
+// and department (which decides budgets, quota defaults and approval
+// policies) are set by admins.
+const PROFILE_FIELDS = ['firstName', 'lastName', 'phone', 'emergencyContacts'];
+
+const pickProfileFields = (body) => {
+  const fields = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -52,7 +67,7 @@ const register = async (req, res, next) => {
       role
     });
 
-    sendTokenResponse(user, 201, res);
+    sendTokenResponse(user, 201, res, await startSession(user, req));
   } catch (error) {
     console.error('Registration error:', error.message);
     next(error);
@@ -92,7 +107,7 @@ const login = async (req, res, next) => {
       });
     }
 
-    sendTokenResponse(user, 200, res);
+    sendTokenResponse(user, 200, res, await startSession(user, req));
   } catch (error) {
     console.error('Login error:', error.message);
     next(error);
@@ -123,41 +138,9 @@ const getMe = async (req, res, next) => {
 // @access  Private
 const updateProfile = async (req, res, next) => {
   try {
-    const { firstName, lastName, phone, department } = req.body;
-
-    // Check if email is being updated and if it's already taken
-    if (req.body.email) {
-      const existingUser = await User.findOne({ 
-        email: req.body.email, 
-        _id: { $ne: req.user.id } 
-      });
-      
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email is already taken'
-        });
-      }
-    }
-
-    // Check if employeeId is being updated and if it's already taken
-    if (req.body.employeeId) {
-      const existingUser = await User.findOne({ 
-        employeeId: req.body.employeeId, 
-        _id: { $ne: req.user.id } 
-      });
-      
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Employee ID is already taken'
-        });
-      }
-    }
-
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      req.body,
+      pickProfileFields(req.body),
       {
         new: true,
         runValidators: true
@@ -210,9 +193,12 @@ const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays logged in
+    await revokeUserSessions(user._id, 'password_change', { exceptFamilyId: req.sessionId });
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully; other sessions have been logged out'
     });
   } catch (error) {
     console.error('Change password error:', error.message);
@@ -225,6 +211,9 @@ const changePassword = async (req, res, next) => {
 // @access  Private
 const logout = async (req, res, next) => {
   try {
+    // The access token and refresh tokens of this session stop working
+    await revokeFamily(req.sessionId, 'logout');
+
     sendLogoutResponse(res);
   } catch (error) {
     console.error('Logout error:', error.message);
@@ -256,14 +245,16 @@ const forgotPassword = async (req, res, next) => {
     user.resetPasswordExpire = resetTokenExpire;
     await user.save();
 
-    // TODO: Send email with reset token
-    // For now, just return the token (in production, send via email)
+    // Delivered (with retries) from the job queue; an undelivered token just expires
+    await sendTemplateEmail('reset_password', user.email, {
+      user,
+      resetUrl: `${mailConfig.appUrl}/reset-password/${resetToken}`,
+      expiresInMinutes: Math.round((resetTokenExpire - Date.now()) / 60000)
+    }, { userId: user._id });
+
     res.status(200).json({
       success: true,
-      message: 'Password reset token sent to email',
-      data: {
-        resetToken // Remove this in production
-      }
+      message: 'Password reset token sent to email'
     });
   } catch (error) {
     console.error('Forgot password error:', error.message);
@@ -311,6 +302,9 @@ const resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id, 'password_reset');
+
     res.status(200).json({
       success: true,
       message: 'Password reset successfully'
@@ -335,26 +329,10 @@ const refreshToken = async (req, res, next) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
-    }
-
-    // Get user
-    const user = await User.findById(decoded.id);
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found or inactive'
-      });
-    }
+    // The refresh token is single-use; the response carries its replacement
+    const { user, ...tokens } = await rotateSession(refreshToken, req);
 
-    // Generate new access token
-    sendTokenResponse(user, 200, res);
+    sendTokenResponse(user, 200, res, tokens);
   } catch (error) {
     console.error('Refresh token error:', error.message);
     next(error);
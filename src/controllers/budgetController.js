@@ -0,0 +1,193 @@
+const Budget = require('../models/Budget');
+const { getBudgetUsage } = require('../services/budgetService');
+const { logAdminAction } = require('../services/auditLog');
+const { toLocalMonth } = require('../utils/time');
+
+// Fields an admin may set on a budget
+const BUDGET_FIELDS = ['department', 'month', 'amount', 'enforcement', 'alertThresholds', 'notes'];
+
+const pickBudgetFields = (body) => {
+  const fields = {};
+  BUDGET_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get department budgets
+// @route   GET /api/admin/budgets
+// @access  Private/Admin
+const getBudgets = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.department) query.department = req.query.department;
+    if (req.query.month) query.month = req.query.month;
+
+    const budgets = await Budget.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ month: -1, department: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: budgets.length,
+      data: {
+        budgets
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create department budget
+// @route   POST /api/admin/budgets
+// @access  Private/Admin
+const createBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.create({
+      ...pickBudgetFields(req.body),
+      createdBy: req.user.id
+    });
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'create_budget',
+      targetType: 'budget',
+      targetId: budget._id,
+      details: {
+        department: budget.department,
+        month: budget.month,
+        amount: budget.amount,
+        enforcement: budget.enforcement
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: {
+        budget
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update department budget
+// @route   PUT /api/admin/budgets/:id
+// @access  Private/Admin
+const updateBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    const changes = pickBudgetFields(req.body);
+    budget.set({ ...changes, updatedBy: req.user.id });
+
+    // Thresholds are measured against the new amount, so alert again
+    if (budget.isModified('amount') || budget.isModified('alertThresholds')) {
+      budget.alertsSent = [];
+    }
+
+    await budget.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'update_budget',
+      targetType: 'budget',
+      targetId: budget._id,
+      details: {
+        department: budget.department,
+        month: budget.month,
+        changes
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: {
+        budget
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete department budget
+// @route   DELETE /api/admin/budgets/:id
+// @access  Private/Admin
+const deleteBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findByIdAndDelete(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'delete_budget',
+      targetType: 'budget',
+      targetId: budget._id,
+      details: {
+        department: budget.department,
+        month: budget.month,
+        amount: budget.amount
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Consumed vs. remaining budget per department for a month
+// @route   GET /api/admin/budgets/report
+// @access  Private/Admin
+const getBudgetReport = async (req, res, next) => {
+  try {
+    const month = req.query.month || toLocalMonth(new Date());
+    const query = { month };
+    if (req.query.department) query.department = req.query.department;
+
+    const budgets = await Budget.find(query).sort({ department: 1 });
+    const report = await Promise.all(budgets.map(budget => getBudgetUsage(budget)));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        month,
+        budgets: report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetReport
+};
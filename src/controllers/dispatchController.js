@@ -0,0 +1,158 @@
+const Ride = require('../models/Ride');
+const DispatchOffer = require('../models/DispatchOffer');
+const ErrorResponse = require('../utils/errorResponse');
+const { dispatchRide, getOpenOffers, acceptOffer, declineOffer } = require('../services/dispatchService');
+const { logAdminAction } = require('../services/auditLog');
+
+// @desc    Get a ride's dispatch progress and offer history
+// @route   GET /api/admin/rides/:id/dispatch
+// @access  Private/Admin
+const getRideDispatch = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id).select('status scheduleTime vehicleClass driver dispatch');
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const offers = await DispatchOffer.find({ rideId: ride._id })
+      .populate('driverId', 'name phone vendor rating')
+      .populate('vehicleId', 'registrationNumber make model vehicleClass')
+      .populate('requestedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: offers.length,
+      data: {
+        dispatch: ride.dispatch,
+        ride,
+        offers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start (or restart) dispatching a ride to drivers
+// @route   POST /api/admin/rides/:id/dispatch
+// @access  Private/Admin
+const dispatchRideNow = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const offer = await dispatchRide(ride, { requestedBy: req.user.id });
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'dispatch_ride',
+      targetType: 'ride',
+      targetId: ride._id,
+      details: {
+        rideId: ride._id,
+        offerId: offer?._id,
+        driverId: offer?.driverId,
+        failureReason: ride.dispatch.failureReason
+      }
+    });
+
+    if (!offer) {
+      return next(new ErrorResponse(ride.dispatch.failureReason, 409, 'NO_DRIVER_AVAILABLE'));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride offered to a driver',
+      data: {
+        dispatch: ride.dispatch,
+        offer
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the driver's open ride offers
+// @route   GET /api/driver/offers
+// @access  Private/Driver app
+const getDriverOffers = async (req, res, next) => {
+  try {
+    const offers = await getOpenOffers(req.driver);
+
+    res.status(200).json({
+      success: true,
+      count: offers.length,
+      data: {
+        offers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept a dispatch offer
+// @route   POST /api/driver/offers/:id/accept
+// @access  Private/Driver app
+const acceptDispatchOffer = async (req, res, next) => {
+  try {
+    const { offer, ride } = await acceptOffer(req.params.id, req.driver);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer accepted; the ride is assigned to you',
+      data: {
+        offerId: offer._id,
+        ride: {
+          id: ride._id,
+          scheduleTime: ride.scheduleTime,
+          pickup: ride.pickup,
+          drop: ride.drop,
+          vehicleClass: ride.vehicleClass
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Decline a dispatch offer
+// @route   POST /api/driver/offers/:id/decline
+// @access  Private/Driver app
+const declineDispatchOffer = async (req, res, next) => {
+  try {
+    const offer = await declineOffer(req.params.id, req.driver, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined',
+      data: {
+        offerId: offer._id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRideDispatch,
+  dispatchRideNow,
+  getDriverOffers,
+  acceptDispatchOffer,
+  declineDispatchOffer
+};
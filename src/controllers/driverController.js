@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const Driver = require('../models/Driver');
+const Vehicle = require('../models/Vehicle');
+const Ride = require('../models/Ride');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/regex');
+const { BOOKED_STATUSES } = require('../services/driverService');
+const { logAdminAction } = require('../services/auditLog');
+
+// Fields an admin may set on a driver. Deactivation goes through
+// deactivateDriver, which checks the driver's upcoming rides.
+const DRIVER_FIELDS = ['name', 'phone', 'licenseNumber', 'licenseExpiry', 'vendor', 'defaultVehicleId'];
+
+const pickDriverFields = (body) => {
+  const fields = {};
+  DRIVER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  // Position reported by the operator, used by automatic dispatch
+  if (body.location) {
+    fields.lastLocation = {
+      type: 'Point',
+      coordinates: [Number(body.location.longitude), Number(body.location.latitude)]
+    };
+    fields.lastLocationAt = new Date();
+  }
+  return fields;
+};
+
+const checkDefaultVehicle = async (vehicleId) => {
+  if (!vehicleId) return;
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle || !vehicle.isActive) {
+    throw new ErrorResponse('defaultVehicleId must refer to an active vehicle', 400);
+  }
+};
+
+// @desc    Get drivers
+// @route   GET /api/admin/drivers
+// @access  Private/Admin
+const getDrivers = async (req, res, next) => {
+  try {
+    const { isActive, vendor, search } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = {};
+    if (isActive !== undefined && isActive !== '') query.isActive = isActive === 'true';
+    if (vendor) query.vendor = vendor;
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { phone: { $regex: pattern, $options: 'i' } },
+        { licenseNumber: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const drivers = await Driver.find(query)
+      .populate('defaultVehicleId', 'registrationNumber make model vehicleClass capacity')
+      .sort({ name: 1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await Driver.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: drivers.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: {
+        drivers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get driver with upcoming rides
+// @route   GET /api/admin/drivers/:id
+// @access  Private/Admin
+const getDriver = async (req, res, next) => {
+  try {
+    const driver = await Driver.findById(req.params.id)
+      .populate('defaultVehicleId', 'registrationNumber make model vehicleClass capacity');
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const upcomingRides = await Ride.find({
+      'driver.driverId': driver._id,
+      status: { $in: BOOKED_STATUSES }
+    })
+      .select('scheduleTime status pickup.address drop.address driver.vehicle fareBreakdown.durationMinutes')
+      .sort({ scheduleTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        driver,
+        upcomingRides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Register driver
+// @route   POST /api/admin/drivers
+// @access  Private/Admin
+const createDriver = async (req, res, next) => {
+  try {
+    const fields = pickDriverFields(req.body);
+    await checkDefaultVehicle(fields.defaultVehicleId);
+
+    const driver = await Driver.create({
+      ...fields,
+      createdBy: req.user.id
+    });
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'create_driver',
+      targetType: 'driver',
+      targetId: driver._id,
+      details: {
+        name: driver.name,
+        phone: driver.phone,
+        vendor: driver.vendor
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Driver created successfully',
+      data: {
+        driver
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update driver
+// @route   PUT /api/admin/drivers/:id
+// @access  Private/Admin
+const updateDriver = async (req, res, next) => {
+  try {
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const fields = pickDriverFields(req.body);
+    await checkDefaultVehicle(fields.defaultVehicleId);
+
+    // A deactivated driver can be brought back here
+    if (req.body.isActive === true) fields.isActive = true;
+
+    driver.set({ ...fields, updatedBy: req.user.id });
+    await driver.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'update_driver',
+      targetType: 'driver',
+      targetId: driver._id,
+      details: {
+        name: driver.name,
+        changes: fields
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver updated successfully',
+      data: {
+        driver
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate driver
+// @route   DELETE /api/admin/drivers/:id
+// @access  Private/Admin
+const deactivateDriver = async (req, res, next) => {
+  try {
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    // Rides keep their snapshot, but upcoming ones need someone to drive them
+    const upcoming = await Ride.countDocuments({
+      'driver.driverId': driver._id,
+      status: { $in: BOOKED_STATUSES }
+    });
+    if (upcoming > 0) {
+      return next(new ErrorResponse(
+        `Driver has ${upcoming} upcoming ride(s); reassign them before deactivating`,
+        409,
+        'DRIVER_HAS_UPCOMING_RIDES'
+      ));
+    }
+
+    driver.isActive = false;
+    driver.updatedBy = req.user.id;
+    await driver.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'deactivate_driver',
+      targetType: 'driver',
+      targetId: driver._id,
+      details: {
+        name: driver.name,
+        phone: driver.phone
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Issue a driver app token (replaces the previous one)
+// @route   POST /api/admin/drivers/:id/app-token
+// @access  Private/Admin
+const issueDriverAppToken = async (req, res, next) => {
+  try {
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    if (!driver.isActive) {
+      return next(new ErrorResponse('Cannot issue a token to an inactive driver', 409, 'DRIVER_INACTIVE'));
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    driver.appTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    driver.appTokenIssuedAt = new Date();
+    driver.updatedBy = req.user.id;
+    await driver.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'issue_driver_token',
+      targetType: 'driver',
+      targetId: driver._id,
+      details: {
+        name: driver.name
+      }
+    });
+
+    // The token is only shown once, when it is issued
+    res.status(200).json({
+      success: true,
+      message: 'Driver app token issued; any previous token no longer works',
+      data: {
+        token,
+        issuedAt: driver.appTokenIssuedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDrivers,
+  getDriver,
+  createDriver,
+  updateDriver,
+  deactivateDriver,
+  issueDriverAppToken
+};
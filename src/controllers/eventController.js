@@ -0,0 +1,12 @@
+const { addClient } = require('../services/realtime');
+
+// @desc    Open a Server-Sent Events stream of ride events
+// @route   GET /api/events/stream
+// @access  Private
+const streamEvents = (req, res) => {
+  addClient(req, res);
+};
+
+module.exports = {
+  streamEvents
+};
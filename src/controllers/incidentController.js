@@ -0,0 +1,255 @@
+const Ride = require('../models/Ride');
+const Incident = require('../models/Incident');
+const ErrorResponse = require('../utils/errorResponse');
+const { raiseSos, notifySosAcknowledged } = require('../services/incidentService');
+const { logAdminAction } = require('../services/auditLog');
+
+// @desc    Raise an SOS during a ride
+// @route   POST /api/rides/:id/sos
+// @access  Private (ride owner)
+const raiseRideSos = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (ride.status !== 'in_progress') {
+      return next(new ErrorResponse(
+        `SOS can only be raised during a ride in progress; this ride is ${ride.status}`,
+        409,
+        'RIDE_NOT_IN_PROGRESS'
+      ));
+    }
+
+    const { incident, created } = await raiseSos(ride, req.user, {
+      message: req.body.message,
+      latitude: req.body.latitude,
+      longitude: req.body.longitude
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? 'SOS raised; our safety team and your emergency contacts have been alerted'
+        : 'SOS already raised; our safety team is responding',
+      data: {
+        incident
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the incident queue
+// @route   GET /api/admin/incidents
+// @access  Private/Admin
+const getIncidents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    // Unresolved incidents by default, oldest first so none waits too long
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    } else {
+      query.status = { $ne: 'resolved' };
+    }
+    const sort = query.status === 'resolved' ? { createdAt: -1 } : { createdAt: 1 };
+
+    const incidents = await Incident.find(query)
+      .populate('userId', 'firstName lastName email phone employeeId department')
+      .populate('rideId', 'pickup drop scheduleTime status')
+      .populate('acknowledgedBy', 'firstName lastName')
+      .populate('resolvedBy', 'firstName lastName')
+      .sort(sort)
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await Incident.countDocuments(query);
+
+    const statusCounts = await Incident.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const counts = { open: 0, acknowledged: 0, resolved: 0 };
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.status(200).json({
+      success: true,
+      count: incidents.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: {
+        counts,
+        incidents
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get an incident
+// @route   GET /api/admin/incidents/:id
+// @access  Private/Admin
+const getIncident = async (req, res, next) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      .populate('userId', 'firstName lastName email phone employeeId department')
+      .populate('rideId')
+      .populate('acknowledgedBy', 'firstName lastName email')
+      .populate('resolvedBy', 'firstName lastName email');
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        incident
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Acknowledge an open incident
+// @route   PUT /api/admin/incidents/:id/acknowledge
+// @access  Private/Admin
+const acknowledgeIncident = async (req, res, next) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    if (incident.status !== 'open') {
+      return next(new ErrorResponse(
+        `Only open incidents can be acknowledged; this incident is ${incident.status}`,
+        409,
+        'INVALID_INCIDENT_STATUS'
+      ));
+    }
+
+    incident.status = 'acknowledged';
+    incident.acknowledgedBy = req.user.id;
+    incident.acknowledgedAt = new Date();
+    await incident.save();
+
+    await notifySosAcknowledged(incident);
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'acknowledge_incident',
+      targetType: 'incident',
+      targetId: incident._id,
+      details: {
+        rideId: incident.rideId,
+        userId: incident.userId,
+        raisedAt: incident.createdAt
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Incident acknowledged',
+      data: {
+        incident
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resolve an incident
+// @route   PUT /api/admin/incidents/:id/resolve
+// @access  Private/Admin
+const resolveIncident = async (req, res, next) => {
+  try {
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    if (incident.status === 'resolved') {
+      return next(new ErrorResponse('This incident is already resolved', 409, 'INVALID_INCIDENT_STATUS'));
+    }
+
+    // Resolving an open incident acknowledges it as well
+    if (incident.status === 'open') {
+      incident.acknowledgedBy = req.user.id;
+      incident.acknowledgedAt = new Date();
+    }
+    incident.status = 'resolved';
+    incident.resolvedBy = req.user.id;
+    incident.resolvedAt = new Date();
+    incident.resolution = req.body.resolution;
+    await incident.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'resolve_incident',
+      targetType: 'incident',
+      targetId: incident._id,
+      details: {
+        rideId: incident.rideId,
+        userId: incident.userId,
+        raisedAt: incident.createdAt,
+        acknowledgedAt: incident.acknowledgedAt
+      },
+      reason: incident.resolution
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Incident resolved',
+      data: {
+        incident
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  raiseRideSos,
+  getIncidents,
+  getIncident,
+  acknowledgeIncident,
+  resolveIncident
+};
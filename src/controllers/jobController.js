@@ -0,0 +1,130 @@
+const Job = require('../models/Job');
+const ErrorResponse = require('../utils/errorResponse');
+const { retryJob } = require('../services/jobQueue');
+const { logAdminAction } = require('../services/auditLog');
+
+// @desc    Get background jobs with per-status counts
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+const getJobs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.name) query.name = req.query.name;
+
+    const jobs = await Job.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await Job.countDocuments(query);
+
+    const statusCounts = await Job.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const counts = { pending: 0, processing: 0, completed: 0, dead: 0 };
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: {
+        counts,
+        jobs
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get background job
+// @route   GET /api/admin/jobs/:id
+// @access  Private/Admin
+const getJob = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id)
+      .populate('retriedBy', 'firstName lastName email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        job
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Re-queue a dead-lettered job
+// @route   POST /api/admin/jobs/:id/retry
+// @access  Private/Admin
+const retryDeadJob = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'dead') {
+      return next(new ErrorResponse(
+        `Only dead-lettered jobs can be retried; this job is ${job.status}`,
+        409,
+        'JOB_NOT_RETRYABLE'
+      ));
+    }
+
+    const lastError = job.lastError;
+    await retryJob(job, req.user.id);
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'retry_job',
+      targetType: 'job',
+      targetId: job._id,
+      details: {
+        name: job.name,
+        lastError
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Job queued for retry',
+      data: {
+        job
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJob,
+  retryDeadJob
+};
@@ -0,0 +1,199 @@
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { getPendingStep, recordDecision } = require('../services/approvalChain');
+const { checkRideBudget, sendBudgetAlerts } = require('../services/budgetService');
+const { notifyAdminNewRide, notifyUserRideUpdate } = require('./notificationController');
+const { logAdminAction } = require('../services/auditLog');
+const { queueDispatch } = require('../services/dispatchService');
+
+// Load a ride and its owner, making sure the owner is one of the manager's reports
+const findReportRide = async (rideId, manager) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    throw new ErrorResponse('Ride not found', 404);
+  }
+
+  const owner = await User.findById(ride.userId).select('managerId department');
+  if (!owner || owner.managerId?.toString() !== manager.id) {
+    throw new ErrorResponse('Access denied', 403);
+  }
+
+  return { ride, owner };
+};
+
+// @desc    Get direct reports
+// @route   GET /api/manager/reports
+// @access  Private/Manager
+const getReports = async (req, res, next) => {
+  try {
+    const reports = await User.find({ managerId: req.user.id, isActive: true })
+      .select('firstName lastName email phone employeeId department')
+      .sort({ firstName: 1, lastName: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: {
+        reports
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get rides of direct reports
+// @route   GET /api/manager/rides
+// @access  Private/Manager
+const getReportRides = async (req, res, next) => {
+  try {
+    const { status, awaitingMyApproval, page = 1, limit = 10 } = req.query;
+
+    const reportIds = await User.find({ managerId: req.user.id }).distinct('_id');
+    const query = { userId: { $in: reportIds } };
+
+    if (status) {
+      query.status = status;
+    }
+
+    // Rides whose current step is this manager's decision
+    if (awaitingMyApproval === 'true') {
+      query.status = 'pending';
+      query.approvalChain = {
+        $elemMatch: { role: 'manager', approverId: req.user._id, decision: 'pending' }
+      };
+    }
+
+    const startIndex = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+    const rides = await Ride.find(query)
+      .populate('userId', 'firstName lastName email employeeId department')
+      .sort({ scheduleTime: 1 })
+      .limit(parseInt(limit, 10))
+      .skip(startIndex);
+
+    const total = await Ride.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: rides.length,
+      total,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        totalPages: Math.ceil(total / parseInt(limit, 10))
+      },
+      data: {
+        rides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a report's ride at the manager level
+// @route   PUT /api/manager/rides/:id/approve
+// @access  Private/Manager
+const approveReportRide = async (req, res, next) => {
+  try {
+    const { ride, owner } = await findReportRide(req.params.id, req.user);
+
+    const step = recordDecision(ride, req.user, 'approved', req.body.comments);
+    const nextStep = getPendingStep(ride);
+    if (!nextStep) {
+      await checkRideBudget(ride, owner.department);
+      ride.approvedBy = req.user.id;
+      ride.approvedAt = new Date();
+    }
+
+    await ride.save();
+
+    // The ride moves on to finance (admins) or is fully approved
+    if (nextStep) {
+      await notifyAdminNewRide(ride._id);
+    } else {
+      await notifyUserRideUpdate(ride._id, 'approved', req.user.id);
+      await sendBudgetAlerts(owner.department, ride.scheduleTime);
+      await queueDispatch(ride);
+    }
+
+    await logAdminAction({
+      actorType: 'manager',
+      adminId: req.user.id,
+      action: 'approve_ride',
+      targetType: 'ride',
+      targetId: ride._id,
+      details: {
+        rideId: ride._id,
+        userId: ride.userId,
+        approvalLevel: step.level,
+        approvalRole: step.role,
+        comments: req.body.comments
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: nextStep
+        ? `Approval recorded; awaiting ${nextStep.role} approval`
+        : 'Ride approved successfully',
+      data: {
+        ride
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a report's ride at the manager level
+// @route   PUT /api/manager/rides/:id/reject
+// @access  Private/Manager
+const rejectReportRide = async (req, res, next) => {
+  try {
+    const { ride } = await findReportRide(req.params.id, req.user);
+
+    const step = recordDecision(ride, req.user, 'rejected', req.body.reason);
+    ride.rejectedBy = req.user.id;
+    ride.rejectedAt = new Date();
+    ride.rejectionReason = req.body.reason || 'Not approved';
+
+    await ride.save();
+
+    await notifyUserRideUpdate(ride._id, 'rejected', req.user.id);
+
+    await logAdminAction({
+      actorType: 'manager',
+      adminId: req.user.id,
+      action: 'reject_ride',
+      targetType: 'ride',
+      targetId: ride._id,
+      details: {
+        rideId: ride._id,
+        userId: ride.userId,
+        approvalLevel: step.level,
+        approvalRole: step.role,
+        reason: req.body.reason
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride rejected successfully',
+      data: {
+        ride
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getReports,
+  getReportRides,
+  approveReportRide,
+  rejectReportRide
+};
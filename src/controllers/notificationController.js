@@ -1,38 +1,191 @@
-const User = require('../models/User');
+const Notification = require('../models/Notification');
 const Ride = require('../models/Ride');
+const { notifyUsers, notifyAdmins } = require('../services/notificationService');
+const { publishRideEvent } = require('../services/realtime');
+const { sendTemplateEmail } = require('../services/mail/mailer');
+const { emitWebhookEvent, rideWebhookData } = require('../services/webhookService');
+const { registerJobHandler, enqueueJob } = require('../services/jobQueue');
 
-// Simple in-memory notification store (in production, use Redis or WebSocket)
-let notifications = [];
+// Real-time event name for each ride status update
+const RIDE_EVENTS = {
+  approved: 'ride.approved',
+  rejected: 'ride.rejected',
+  driver_assigned: 'ride.driver_assigned',
+  in_progress: 'ride.started',
+  completed: 'ride.completed',
+  no_show: 'ride.no_show',
+  expired: 'ride.expired'
+};
+
+// Ride details included in ride notifications
+const ridePayload = (ride) => ({
+  rideId: ride._id,
+  status: ride.status,
+  pickup: ride.pickup?.address,
+  drop: ride.drop?.address,
+  scheduleTime: ride.scheduleTime,
+  userId: ride.userId?._id || ride.userId,
+  userName: ride.userId?.firstName ? `${ride.userId.firstName} ${ride.userId.lastName}` : undefined,
+  employeeId: ride.userId?.employeeId
+});
+
+// @desc    Get notifications of the current user
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res, next) => {
+  try {
+    const { read, type, page = 1, limit = 20 } = req.query;
+
+    const query = { recipient: req.user.id };
+    if (read !== undefined && read !== '') {
+      query.read = read === 'true';
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    const startIndex = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit, 10))
+      .skip(startIndex);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ recipient: req.user.id, read: false });
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      pagination: {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        totalPages: Math.ceil(total / parseInt(limit, 10))
+      },
+      data: {
+        notifications
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get unread notification count of the current user
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user.id, read: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        unreadCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set the read state of one of the current user's notifications
+const setReadState = (read) => async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user.id },
+      { read, readAt: read ? new Date() : null },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Notification marked as ${read ? 'read' : 'unread'}`,
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markAsRead = setReadState(true);
+
+// @desc    Mark notification as unread
+// @route   PUT /api/notifications/:id/unread
+// @access  Private
+const markAsUnread = setReadState(false);
+
+// @desc    Mark all notifications of the current user as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
 // @desc    Get notifications for admin
 // @route   GET /api/notifications/admin
 // @access  Private/Admin
 const getAdminNotifications = async (req, res, next) => {
   try {
-    // Get recent pending rides as notifications
-    const pendingRides = await Ride.find({ status: 'pending' })
-      .populate('userId', 'firstName lastName email employeeId')
+    const notifications = await Notification.find({ recipient: req.user.id })
       .sort({ createdAt: -1 })
       .limit(10);
 
-    const notifications = pendingRides.map(ride => ({
-      id: ride._id,
-      type: 'new_ride_request',
-      title: 'New Ride Request',
-      message: `${ride.userId.firstName} ${ride.userId.lastName} requested a ride`,
-      data: {
-        rideId: ride._id,
-        pickup: ride.pickup,
-        drop: ride.drop,
-        scheduleTime: ride.scheduleTime,
-        userId: ride.userId._id,
-        userName: `${ride.userId.firstName} ${ride.userId.lastName}`,
-        employeeId: ride.userId.employeeId
-      },
-      createdAt: ride.createdAt,
-      read: false
-    }));
-
     res.status(200).json({
       success: true,
       count: notifications.length,
@@ -51,12 +204,14 @@ const getAdminNotifications = async (req, res, next) => {
 const getAdminNotificationCount = async (req, res, next) => {
   try {
     const pendingCount = await Ride.countDocuments({ status: 'pending' });
+    const unreadCount = await Notification.countDocuments({ recipient: req.user.id, read: false });
 
     res.status(200).json({
       success: true,
       data: {
         pendingRides: pendingCount,
-        totalNotifications: pendingCount
+        unreadCount,
+        totalNotifications: unreadCount
       }
     });
   } catch (error) {
@@ -64,52 +219,279 @@ const getAdminNotificationCount = async (req, res, next) => {
   }
 };
 
+// Ride and budget notifications are sent from the job queue. The handlers
+// below throw on failure so the job is retried and, if it keeps failing,
+// dead-lettered for an admin to inspect. A retry runs the whole handler
+// again, so every side effect is keyed by the job and goes out only once.
+
+// @desc    Push a real-time event when a ride is booked (called internally)
+const notifyRideCreated = (ride) => enqueueJob('notification.ride_created', { rideId: ride._id });
+
 // @desc    Send notification when ride is booked (called internally)
-const notifyAdminNewRide = async (rideId) => {
-  try {
-    const ride = await Ride.findById(rideId)
-      .populate('userId', 'firstName lastName email employeeId');
-    
-    if (ride) {
-      console.log(`🔔 NOTIFICATION: New ride request from ${ride.userId.firstName} ${ride.userId.lastName}`);
-      console.log(`📍 Route: ${ride.pickup} → ${ride.drop}`);
-      console.log(`⏰ Scheduled: ${ride.scheduleTime}`);
-      
-      // In a real app, you would send push notification, email, or WebSocket message here
-      // For now, we'll just log it and rely on polling
-    }
-  } catch (error) {
-    console.error('Error sending notification:', error);
-  }
+const notifyAdminNewRide = (rideId) => enqueueJob('notification.admin_new_ride', { rideId });
+
+// @desc    Send notification to a manager when a ride awaits their approval (called internally)
+const notifyManagerApproval = (rideId) => enqueueJob('notification.manager_approval', { rideId });
+
+// @desc    Alert admins when a department crosses a budget threshold (called internally)
+const notifyBudgetAlert = (budget, usage, threshold) => enqueueJob('notification.budget_alert', {
+  budget: { _id: budget._id, department: budget.department, month: budget.month },
+  usage,
+  threshold
+});
+
+// @desc    Send notification when a user cancels a ride (called internally)
+const notifyRideCancelled = (rideId) => enqueueJob('notification.ride_cancelled', { rideId });
+
+// @desc    Remind the employee of an upcoming ride (called internally)
+const notifyRideReminder = (rideId, minutesBefore) => {
+  return enqueueJob('notification.ride_reminder', { rideId, minutesBefore });
 };
 
-// @desc    Send notification when ride status changes (called internally)
-const notifyUserRideUpdate = async (rideId, status, adminId) => {
-  try {
-    const ride = await Ride.findById(rideId)
-      .populate('userId', 'firstName lastName email')
-      .populate('approvedBy', 'firstName lastName')
-      .populate('rejectedBy', 'firstName lastName');
-    
-    if (ride) {
-      const adminName = status === 'approved' 
-        ? `${ride.approvedBy?.firstName} ${ride.approvedBy?.lastName}`
-        : `${ride.rejectedBy?.firstName} ${ride.rejectedBy?.lastName}`;
-        
-      console.log(`🔔 NOTIFICATION: Ride ${status} by ${adminName}`);
-      console.log(`👤 User: ${ride.userId.firstName} ${ride.userId.lastName}`);
-      console.log(`📍 Route: ${ride.pickup} → ${ride.drop}`);
-      
-      // In a real app, you would send push notification to the user here
-    }
-  } catch (error) {
-    console.error('Error sending user notification:', error);
-  }
+// @desc    Tell the employee their ride is shared and what their share is (called internally)
+const notifyRidePooled = (rideId) => enqueueJob('notification.ride_pooled', { rideId });
+
+// @desc    Tell admins a completed ride's fare is far from its estimate (called internally)
+const notifyFareDeviation = (rideId) => enqueueJob('notification.fare_deviation', { rideId });
+
+// @desc    Tell admins a ride needs a driver assigned by hand (called internally)
+const notifyDispatchFailed = (rideId, reason) => {
+  return enqueueJob('notification.dispatch_failed', { rideId, reason });
+};
+
+// @desc    Send notification when ride status changes (called internally).
+// The ride's status is recorded now; the job may run after it changes again.
+const notifyUserRideUpdate = (rideId, status, adminId) => {
+  return enqueueJob('notification.ride_update', {
+    rideId,
+    status,
+    rideStatus: status === 'driver_assigned' ? 'approved' : status,
+    adminId
+  });
+};
+
+// Key of one side effect of a job
+const effectKey = (job, effect) => `${job._id}:${effect}`;
+
+const findRideWithOwner = (rideId) => {
+  return Ride.findById(rideId).populate('userId', 'firstName lastName email employeeId');
 };
 
+registerJobHandler('notification.ride_created', async ({ rideId }, job) => {
+  const ride = await findRideWithOwner(rideId);
+  if (!ride) return;
+
+  await publishRideEvent('ride.created', ridePayload(ride), { dedupeKey: effectKey(job, 'event') });
+  await emitWebhookEvent('ride.created', rideWebhookData(ride), { dedupeKey: effectKey(job, 'webhook') });
+});
+
+registerJobHandler('notification.admin_new_ride', async ({ rideId }, job) => {
+  const ride = await findRideWithOwner(rideId);
+  if (!ride) return;
+
+  await notifyAdmins({
+    type: 'new_ride_request',
+    title: 'New Ride Request',
+    message: `${ride.userId.firstName} ${ride.userId.lastName} requested a ride`,
+    payload: ridePayload(ride),
+    dedupeKey: effectKey(job, 'notification')
+  });
+});
+
+registerJobHandler('notification.manager_approval', async ({ rideId }, job) => {
+  const ride = await findRideWithOwner(rideId);
+  const step = ride && ride.approvalChain.find(s => s.decision === 'pending');
+  if (!step || !step.approverId) return;
+
+  await notifyUsers([step.approverId], {
+    type: 'approval_required',
+    title: 'Ride Awaiting Your Approval',
+    message: `Ride request from ${ride.userId.firstName} ${ride.userId.lastName} awaits your approval`,
+    payload: { ...ridePayload(ride), approvalLevel: step.level },
+    dedupeKey: effectKey(job, 'notification')
+  });
+});
+
+registerJobHandler('notification.budget_alert', async ({ budget, usage, threshold }, job) => {
+  await notifyAdmins({
+    type: 'budget_alert',
+    title: 'Budget Alert',
+    message: `${budget.department} has used ${usage.percentUsed}% of its ${budget.month} travel budget`,
+    payload: {
+      budgetId: budget._id,
+      threshold,
+      ...usage
+    },
+    dedupeKey: effectKey(job, 'notification')
+  });
+});
+
+registerJobHandler('notification.ride_cancelled', async ({ rideId }, job) => {
+  const ride = await findRideWithOwner(rideId);
+  if (!ride) return;
+
+  await notifyAdmins({
+    type: 'ride_cancelled',
+    title: 'Ride Cancelled',
+    message: `${ride.userId.firstName} ${ride.userId.lastName} cancelled a ride`,
+    payload: {
+      ...ridePayload(ride),
+      cancellationReason: ride.cancellationReason
+    },
+    dedupeKey: effectKey(job, 'notification')
+  });
+  await publishRideEvent('ride.cancelled', ridePayload(ride), { dedupeKey: effectKey(job, 'event') });
+  await emitWebhookEvent('ride.cancelled', rideWebhookData(ride), { dedupeKey: effectKey(job, 'webhook') });
+});
+
+registerJobHandler('notification.ride_reminder', async ({ rideId, minutesBefore }, job) => {
+  const ride = await findRideWithOwner(rideId);
+  if (!ride || ride.status !== 'approved') return;
+
+  await notifyUsers([ride.userId._id], {
+    type: 'ride_reminder',
+    title: 'Upcoming Ride',
+    message: `Your ride from ${ride.pickup?.address} is scheduled in ${minutesBefore} minutes`,
+    payload: { ...ridePayload(ride), minutesBefore },
+    dedupeKey: effectKey(job, 'notification')
+  });
+
+  await sendTemplateEmail('ride_reminder', ride.userId.email, { user: ride.userId, ride, minutesBefore }, {
+    userId: ride.userId._id,
+    rideId: ride._id,
+    dedupeKey: effectKey(job, 'email')
+  });
+});
+
+registerJobHandler('notification.ride_pooled', async ({ rideId }, job) => {
+  const ride = await findRideWithOwner(rideId).populate('pooling.poolId', 'riders');
+  if (!ride || ride.status !== 'approved' || !ride.pooling.poolId) return;
+
+  const colleagues = ride.pooling.poolId.riders.length - 1;
+  await notifyUsers([ride.userId._id], {
+    type: 'ride_pooled',
+    title: 'Ride Shared',
+    message: `Your ride from ${ride.pickup?.address} is shared with ${colleagues} colleague(s); your fare share is ${ride.estimatedFare} instead of ${ride.pooling.soloFare}`,
+    payload: {
+      ...ridePayload(ride),
+      poolId: ride.pooling.poolId._id,
+      riders: colleagues + 1,
+      soloFare: ride.pooling.soloFare
+    },
+    dedupeKey: effectKey(job, 'notification')
+  });
+});
+
+registerJobHandler('notification.fare_deviation', async ({ rideId }, job) => {
+  const ride = await findRideWithOwner(rideId);
+  if (!ride || !ride.tripSummary?.fareFlagged) return;
+
+  const { deviationPercent, distanceKm } = ride.tripSummary;
+  await notifyAdmins({
+    type: 'fare_deviation',
+    title: 'Fare Deviation',
+    message: `${ride.userId.firstName} ${ride.userId.lastName}'s ride cost ${ride.actualFare} against an estimate of ${ride.estimatedFare} (${deviationPercent > 0 ? '+' : ''}${deviationPercent}%)`,
+    payload: {
+      ...ridePayload(ride),
+      estimatedFare: ride.estimatedFare,
+      actualFare: ride.actualFare,
+      deviationPercent,
+      distanceKm
+    },
+    dedupeKey: effectKey(job, 'notification')
+  });
+});
+
+registerJobHandler('notification.dispatch_failed', async ({ rideId, reason }, job) => {
+  const ride = await findRideWithOwner(rideId);
+  if (!ride || ride.status !== 'approved') return;
+
+  await notifyAdmins({
+    type: 'dispatch_failed',
+    title: 'Driver Needed',
+    message: `No driver could be dispatched for ${ride.userId.firstName} ${ride.userId.lastName}'s ride: ${reason}`,
+    payload: { ...ridePayload(ride), reason },
+    dedupeKey: effectKey(job, 'notification')
+  });
+});
+
+registerJobHandler('notification.ride_update', async ({ rideId, status, rideStatus, adminId }, job) => {
+  const ride = await Ride.findById(rideId)
+    .populate('userId', 'firstName lastName email')
+    .populate('approvedBy', 'firstName lastName')
+    .populate('rejectedBy', 'firstName lastName');
+  if (!ride) return;
+
+  const statusMessages = {
+    approved: ride.autoApproved
+      ? `Ride auto-approved by policy ${ride.approvalPolicy?.name}`
+      : `Ride approved by ${ride.approvedBy?.firstName} ${ride.approvedBy?.lastName}`,
+    rejected: `Ride rejected by ${ride.rejectedBy?.firstName} ${ride.rejectedBy?.lastName}`,
+    driver_assigned: `Driver ${ride.driver?.name} (${ride.driver?.vehicle || 'vehicle TBD'}) assigned to ride`,
+    in_progress: 'Ride has started',
+    completed: `Ride completed with fare ${ride.actualFare}`,
+    no_show: 'Ride marked as no-show because it was not started in time',
+    expired: 'Ride expired because no driver was assigned before pickup time'
+  };
+  const titles = {
+    approved: 'Ride Approved',
+    rejected: 'Ride Rejected',
+    driver_assigned: 'Driver Assigned',
+    in_progress: 'Ride Started',
+    completed: 'Ride Completed',
+    no_show: 'Ride No-Show',
+    expired: 'Ride Expired'
+  };
+
+  // Describe the ride as it was when the update happened
+  const payload = { ...ridePayload(ride), status: rideStatus || ride.status };
+
+  await notifyUsers([ride.userId._id], {
+    type: `ride_${status}`,
+    title: titles[status] || 'Ride Update',
+    message: statusMessages[status] || `Ride ${status}`,
+    payload: {
+      ...payload,
+      updatedBy: adminId,
+      rejectionReason: status === 'rejected' ? ride.rejectionReason : undefined
+    },
+    dedupeKey: effectKey(job, 'notification')
+  });
+
+  if (RIDE_EVENTS[status]) {
+    await publishRideEvent(RIDE_EVENTS[status], payload, { dedupeKey: effectKey(job, 'event') });
+    await emitWebhookEvent(RIDE_EVENTS[status], { ...rideWebhookData(ride), status: payload.status }, {
+      dedupeKey: effectKey(job, 'webhook')
+    });
+  }
+
+  // Approvals and rejections also go to the employee's email inbox
+  if (['approved', 'rejected'].includes(status)) {
+    await sendTemplateEmail(`ride_${status}`, ride.userId.email, { user: ride.userId, ride }, {
+      userId: ride.userId._id,
+      rideId: ride._id,
+      dedupeKey: effectKey(job, 'email')
+    });
+  }
+});
+
 module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+  deleteNotification,
   getAdminNotifications,
   getAdminNotificationCount,
+  notifyRideCreated,
   notifyAdminNewRide,
+  notifyManagerApproval,
+  notifyBudgetAlert,
+  notifyRideCancelled,
+  notifyRideReminder,
+  notifyRidePooled,
+  notifyFareDeviation,
+  notifyDispatchFailed,
   notifyUserRideUpdate
 };
@@ -1,17 +1,59 @@
 const Ride = require('../models/Ride');
-const { notifyAdminNewRide } = require('./notificationController');
+const { calculateFare } = require('../services/fareCalculator');
+const { getTripDetails, applySavedPlaces, routeForApproval, onRideAutoApproved, bookRide } = require('../services/rideService');
+const { getQuotaSummary, checkRideQuota } = require('../services/quotaService');
+const { checkRideBudget } = require('../services/budgetService');
+const { emitWebhookEvent, rideWebhookData } = require('../services/webhookService');
+const { refreshDriverRating } = require('../services/driverService');
+const { leavePool } = require('../services/ridePooling');
+const { cancelOpenOffers } = require('../services/dispatchService');
+const { notifyRideCancelled } = require('./notificationController');
+const rideFeedbackConfig = require('../config/rideFeedback');
+const ErrorResponse = require('../utils/errorResponse');
+const { toLocation } = require('../utils/geo');
 
-const createRide = async (req, res, next) => {
+// @desc    Estimate fare for a trip before booking
+// @route   POST /api/rides/estimate
+// @access  Private
+const estimateFare = async (req, res, next) => {
   try {
-    req.body.userId = req.user.id;
-    
-    // Calculate estimated fare (simple calculation)
-    req.body.estimatedFare = Math.floor(Math.random() * 300) + 100; // Random fare between 100-400
+    applySavedPlaces(req.user, req.body);
+    const fareBreakdown = calculateFare(getTripDetails(req.body));
 
-    const ride = await Ride.create(req.body);
+    res.status(200).json({
+      success: true,
+      message: 'Fare estimated successfully',
+      data: {
+        estimatedFare: fareBreakdown.total,
+        fareBreakdown
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Send notification to admin about new ride request
-    await notifyAdminNewRide(ride._id);
+// @desc    Get the user's ride limits and what is left of them
+// @route   GET /api/rides/quota
+// @access  Private
+const getRideQuota = async (req, res, next) => {
+  try {
+    const quota = await getQuotaSummary(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        quota
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createRide = async (req, res, next) => {
+  try {
+    const ride = await bookRide(req.user, req.body);
 
     res.status(201).json({
       success: true,
@@ -63,9 +105,10 @@ const getUserRides = async (req, res, next) => {
 const getRide = async (req, res, next) => {
   try {
     const ride = await Ride.findById(req.params.id)
-      .populate('userId', 'firstName lastName email phone employeeId department')
+      .populate('userId', 'firstName lastName email phone employeeId department managerId')
       .populate('approvedBy', 'firstName lastName email')
-      .populate('rejectedBy', 'firstName lastName email');
+      .populate('rejectedBy', 'firstName lastName email')
+      .populate('approvalChain.decidedBy', 'firstName lastName email');
 
     if (!ride) {
       return res.status(404).json({
@@ -74,8 +117,10 @@ const getRide = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the ride or is admin
-    if (ride.userId._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the ride, is their manager or is admin
+    const isOwner = ride.userId._id.toString() === req.user.id;
+    const isManager = ride.userId.managerId?.toString() === req.user.id;
+    if (!isOwner && !isManager && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -126,12 +171,50 @@ const updateRide = async (req, res, next) => {
     allowedFields.forEach(field => {
       if (req.body[field]) updates[field] = req.body[field];
     });
+    ['pickup', 'drop'].forEach(field => {
+      if (updates[field]) updates[field] = toLocation(updates[field]);
+    });
+
+    // Re-estimate distance and fare when the route or schedule changes
+    if (updates.pickup || updates.drop || updates.scheduleTime) {
+      const tripDetails = getTripDetails({
+        pickup: updates.pickup || ride.pickup,
+        drop: updates.drop || ride.drop,
+        vehicleClass: ride.vehicleClass,
+        scheduleTime: updates.scheduleTime || ride.scheduleTime
+      });
+      const fareBreakdown = calculateFare(tripDetails);
+      updates.distanceKm = tripDetails.distanceKm;
+      updates.fareBreakdown = fareBreakdown;
+      updates.estimatedFare = fareBreakdown.total;
+
+      const trip = {
+        _id: ride._id,
+        estimatedFare: updates.estimatedFare,
+        scheduleTime: updates.scheduleTime || ride.scheduleTime
+      };
+      await checkRideQuota(req.user, trip);
+
+      // The stored budget check was made against the old fare
+      updates.budgetCheck = await checkRideBudget(trip, req.user.department);
+    }
 
     ride = await Ride.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     });
 
+    // Policies and earlier approvals applied to the old trip, so route the
+    // ride for approval again
+    if (updates.estimatedFare !== undefined) {
+      await routeForApproval(ride, req.user);
+      if (ride.status === 'approved') {
+        await onRideAutoApproved(ride, req.user);
+      }
+    }
+
+    await emitWebhookEvent('ride.updated', rideWebhookData(ride));
+
     res.status(200).json({
       success: true,
       data: {
@@ -159,19 +242,17 @@ const cancelRide = async (req, res, next) => {
         message: 'Access denied'
       });
     }
-    // Check if ride can be cancelled
-    if (['completed', 'cancelled'].includes(ride.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot cancel this ride'
-      });
-    }
+    const reason = req.body.reason || 'Cancelled by user';
 
-    ride.status = 'cancelled';
+    ride.transitionTo('cancelled', { by: req.user.id, reason });
     ride.cancelledAt = new Date();
-    ride.cancellationReason = req.body.reason || 'Cancelled by user';
+    ride.cancellationReason = reason;
+    await leavePool(ride);
 
     await ride.save();
+    await cancelOpenOffers(ride._id);
+
+    await notifyRideCancelled(ride._id);
 
     res.status(200).json({
       success: true,
@@ -223,11 +304,132 @@ const deleteRide = async (req, res, next) => {
   }
 };
 
+// @desc    Submit or edit feedback for a completed ride
+// @route   POST /api/rides/:id/feedback
+// @access  Private
+const submitRideFeedback = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    // Check if user owns the ride
+    if (ride.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (ride.status !== 'completed') {
+      return next(new ErrorResponse('Feedback can only be given for completed rides', 409, 'RIDE_NOT_COMPLETED'));
+    }
+
+    // One submission per ride; it may be changed until the edit window closes
+    const submittedAt = ride.feedback?.submittedAt;
+    const isEdit = Boolean(submittedAt);
+    if (isEdit) {
+      const editableUntil = new Date(submittedAt.getTime() + rideFeedbackConfig.editWindowHours * 60 * 60 * 1000);
+      if (new Date() > editableUntil) {
+        return next(new ErrorResponse(
+          `Feedback can only be changed within ${rideFeedbackConfig.editWindowHours} hours of submitting it`,
+          409,
+          'FEEDBACK_EDIT_WINDOW_CLOSED'
+        ));
+      }
+    }
+
+    const { rating, comment, tags } = req.body;
+    ride.feedback = {
+      rating,
+      comment,
+      tags,
+      submittedAt: submittedAt || new Date(),
+      editedAt: isEdit ? new Date() : undefined
+    };
+
+    await ride.save();
+
+    if (ride.driver?.driverId) {
+      await refreshDriverRating(ride.driver.driverId);
+    }
+
+    res.status(isEdit ? 200 : 201).json({
+      success: true,
+      message: isEdit ? 'Feedback updated successfully' : 'Feedback submitted successfully',
+      data: {
+        feedback: ride.feedback
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Opt a ride in or out of pooling
+// @route   PUT /api/rides/:id/pooling
+// @access  Private
+const updateRidePooling = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    // Check if user owns the ride
+    if (ride.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Once a driver is on the way the trip can no longer be rearranged
+    if (!['pending', 'approved'].includes(ride.status) || ride.driver?.name) {
+      return next(new ErrorResponse(
+        'Pooling can only be changed before a driver is assigned',
+        409,
+        'RIDE_POOLING_LOCKED'
+      ));
+    }
+
+    ride.pooling.optIn = req.body.optIn;
+    if (!ride.pooling.optIn) {
+      await leavePool(ride);
+    }
+
+    await ride.save();
+
+    res.status(200).json({
+      success: true,
+      message: ride.pooling.optIn ? 'Ride opted in to pooling' : 'Ride opted out of pooling',
+      data: {
+        ride
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
+  estimateFare,
+  getRideQuota,
   createRide,
   getUserRides,
   getRide,
   updateRide,
   cancelRide,
-  deleteRide
+  deleteRide,
+  submitRideFeedback,
+  updateRidePooling
 };
@@ -0,0 +1,301 @@
+const Ride = require('../models/Ride');
+const RideSchedule = require('../models/RideSchedule');
+const { applySavedPlaces } = require('../services/rideService');
+const { materializeSchedule } = require('../services/recurringRides');
+const { leavePool } = require('../services/ridePooling');
+const { cancelOpenOffers } = require('../services/dispatchService');
+const { notifyRideCancelled } = require('./notificationController');
+const { toLocalDate } = require('../utils/time');
+
+// Fields an employee may set on a schedule
+const SCHEDULE_FIELDS = ['name', 'pickup', 'drop', 'vehicleClass', 'purpose', 'daysOfWeek', 'time', 'startDate', 'endDate'];
+
+const pickScheduleFields = (body) => {
+  const fields = {};
+  SCHEDULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Cancel upcoming rides generated by a schedule that have not started yet.
+// Released rides free their occurrence for materializeSchedule to book again.
+const cancelUpcomingRides = async (schedule, userId, reason, { filter = () => true, release = false } = {}) => {
+  const rides = await Ride.find({
+    scheduleId: schedule._id,
+    status: { $in: ['pending', 'approved'] },
+    scheduleTime: { $gt: new Date() }
+  });
+
+  const cancelled = [];
+  for (const ride of rides.filter(filter)) {
+    ride.transitionTo('cancelled', { by: userId, reason });
+    ride.cancelledAt = new Date();
+    ride.cancellationReason = reason;
+    if (release) ride.scheduleReleasedAt = new Date();
+    await leavePool(ride);
+    await ride.save();
+    await cancelOpenOffers(ride._id);
+    await notifyRideCancelled(ride._id);
+    cancelled.push(ride._id);
+  }
+  return cancelled;
+};
+
+// Load a schedule owned by the current user, or send 404/403
+const findOwnSchedule = async (req, res) => {
+  const schedule = await RideSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      message: 'Ride schedule not found'
+    });
+    return null;
+  }
+
+  if (schedule.userId.toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return schedule;
+};
+
+// @desc    Get current user's ride schedules
+// @route   GET /api/rides/schedules
+// @access  Private
+const getSchedules = async (req, res, next) => {
+  try {
+    const schedules = await RideSchedule.find({ userId: req.user.id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: schedules.length,
+      data: {
+        schedules
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single ride schedule with its upcoming rides
+// @route   GET /api/rides/schedules/:id
+// @access  Private
+const getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const upcomingRides = await Ride.find({
+      scheduleId: schedule._id,
+      scheduleTime: { $gt: new Date() }
+    }).sort({ scheduleTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schedule,
+        upcomingRides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create ride schedule
+// @route   POST /api/rides/schedules
+// @access  Private
+const createSchedule = async (req, res, next) => {
+  try {
+    applySavedPlaces(req.user, req.body);
+
+    const schedule = await RideSchedule.create({
+      ...pickScheduleFields(req.body),
+      userId: req.user.id
+    });
+
+    // Generate the first rides straight away instead of waiting for the scheduler
+    const rides = await materializeSchedule(schedule);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ride schedule created successfully',
+      data: {
+        schedule,
+        ridesCreated: rides.length
+      }
+    });
+  } catch (error) {
+    console.error('Create schedule error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Update ride schedule
+// @route   PUT /api/rides/schedules/:id
+// @access  Private
+const updateSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    applySavedPlaces(req.user, req.body);
+    schedule.set(pickScheduleFields(req.body));
+    await schedule.save();
+
+    // Rides not yet handed to a driver were generated from the old pattern;
+    // regenerate them. Days keeping a ride with a driver get no new one.
+    await cancelUpcomingRides(schedule, req.user.id, 'Ride schedule updated', {
+      filter: ride => ride.status === 'pending' || (!ride.driver?.name && !ride.dispatch?.status),
+      release: true
+    });
+    const rides = await materializeSchedule(schedule);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride schedule updated successfully',
+      data: {
+        schedule,
+        ridesCreated: rides.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete ride schedule and cancel its upcoming rides
+// @route   DELETE /api/rides/schedules/:id
+// @access  Private
+const deleteSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const cancelledRides = await cancelUpcomingRides(schedule, req.user.id, 'Ride schedule deleted');
+    await schedule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride schedule deleted successfully',
+      data: {
+        cancelledRides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pause ride schedule, optionally until a date
+// @route   PUT /api/rides/schedules/:id/pause
+// @access  Private
+const pauseSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    schedule.status = 'paused';
+    schedule.pausedUntil = req.body.until ? new Date(req.body.until) : undefined;
+    await schedule.save();
+
+    const cancelledRides = await cancelUpcomingRides(
+      schedule,
+      req.user.id,
+      'Ride schedule paused',
+      {
+        filter: ride => !schedule.pausedUntil || ride.scheduleTime < schedule.pausedUntil,
+        release: true
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride schedule paused successfully',
+      data: {
+        schedule,
+        cancelledRides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resume paused ride schedule
+// @route   PUT /api/rides/schedules/:id/resume
+// @access  Private
+const resumeSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    schedule.status = 'active';
+    schedule.pausedUntil = undefined;
+    await schedule.save();
+
+    const rides = await materializeSchedule(schedule);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ride schedule resumed successfully',
+      data: {
+        schedule,
+        ridesCreated: rides.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Skip specific dates (e.g. holidays) on a ride schedule
+// @route   PUT /api/rides/schedules/:id/skip
+// @access  Private
+const skipScheduleDates = async (req, res, next) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const dates = req.body.dates;
+    schedule.skipDates = [...new Set([...schedule.skipDates, ...dates])].sort();
+    await schedule.save();
+
+    const cancelledRides = await cancelUpcomingRides(
+      schedule,
+      req.user.id,
+      'Skipped date on ride schedule',
+      { filter: ride => dates.includes(toLocalDate(ride.scheduleTime)) }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Dates skipped successfully',
+      data: {
+        schedule,
+        cancelledRides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  skipScheduleDates
+};
@@ -0,0 +1,141 @@
+const Ride = require('../models/Ride');
+const ErrorResponse = require('../utils/errorResponse');
+const { updateDriverLocation, recordRideLocation, getRideTrack, getRouteGeoJSON } = require('../services/tracking');
+
+const pickPing = (body) => ({
+  latitude: body.latitude,
+  longitude: body.longitude,
+  speedKmh: body.speedKmh,
+  heading: body.heading,
+  accuracyM: body.accuracyM,
+  recordedAt: body.recordedAt
+});
+
+// @desc    Report the driver's current position (between rides)
+// @route   POST /api/driver/location
+// @access  Private/Driver app
+const postDriverLocation = async (req, res, next) => {
+  try {
+    await updateDriverLocation(req.driver._id, pickPing(req.body));
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a location ping for a ride in progress
+// @route   POST /api/driver/rides/:id/location
+// @access  Private/Driver app
+const postRideLocation = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    if (!ride.driver?.driverId?.equals(req.driver._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This ride is not assigned to you'
+      });
+    }
+
+    if (ride.status !== 'in_progress') {
+      return next(new ErrorResponse(
+        `Location can only be sent for rides in progress; this ride is ${ride.status}`,
+        409,
+        'RIDE_NOT_IN_PROGRESS'
+      ));
+    }
+
+    const point = await recordRideLocation(ride, req.driver, pickPing(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: {
+        point
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the latest position, travelled path and ETA of a ride
+// @route   GET /api/rides/:id/track
+// @access  Private (ride owner or admin)
+const getTrack = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id).select('userId status drop');
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const track = await getRideTrack(ride);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        track
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the recorded route of a ride as GeoJSON, for audits
+// @route   GET /api/admin/rides/:id/route
+// @access  Private/Admin
+const getRideRoute = async (req, res, next) => {
+  try {
+    const ride = await Ride.findById(req.params.id).select('status pickup drop actualFare estimatedFare tripSummary');
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ride not found'
+      });
+    }
+
+    const route = await getRouteGeoJSON(ride);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        route,
+        tripSummary: ride.tripSummary,
+        actualFare: ride.actualFare,
+        estimatedFare: ride.estimatedFare
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  postDriverLocation,
+  postRideLocation,
+  getTrack,
+  getRideRoute
+};
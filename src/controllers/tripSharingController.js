@@ -0,0 +1,94 @@
+const Ride = require('../models/Ride');
+const { shareRide, stopSharingRide, getSharedTrip } = require('../services/tripSharing');
+
+// Load a ride owned by the current user, or send 404/403
+const findOwnRide = async (req, res) => {
+  const ride = await Ride.findById(req.params.id);
+
+  if (!ride) {
+    res.status(404).json({
+      success: false,
+      message: 'Ride not found'
+    });
+    return null;
+  }
+
+  if (ride.userId.toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return ride;
+};
+
+// @desc    Create a public link to follow the ride
+// @route   POST /api/rides/:id/share
+// @access  Private (ride owner)
+const shareRideLink = async (req, res, next) => {
+  try {
+    const ride = await findOwnRide(req, res);
+    if (!ride) return;
+
+    const share = await shareRide(ride, req.user, {
+      expiresInHours: req.body.expiresInHours,
+      notifyContacts: req.body.notifyContacts
+    });
+
+    // The token is only shown once, when the link is created
+    res.status(201).json({
+      success: true,
+      message: 'Share link created; any previous link no longer works',
+      data: share
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke the ride's share link
+// @route   DELETE /api/rides/:id/share
+// @access  Private (ride owner)
+const stopSharing = async (req, res, next) => {
+  try {
+    const ride = await findOwnRide(req, res);
+    if (!ride) return;
+
+    const revoked = await stopSharingRide(ride);
+
+    res.status(200).json({
+      success: true,
+      message: revoked ? 'Share link revoked' : 'The ride is not being shared'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Follow a shared ride
+// @route   GET /api/share/:token
+// @access  Public (share token)
+const getSharedRide = async (req, res, next) => {
+  try {
+    const trip = await getSharedTrip(req.params.token);
+
+    // Positions change with every ping
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      data: {
+        trip
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  shareRideLink,
+  stopSharing,
+  getSharedRide
+};
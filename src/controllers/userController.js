@@ -1,5 +1,33 @@
 const User = require('../models/User');
 const Ride = require('../models/Ride');
+const ErrorResponse = require('../utils/errorResponse');
+const { emitWebhookEvent, userWebhookData } = require('../services/webhookService');
+const { revokeUserSessions } = require('../services/sessionService');
+const { toLocation } = require('../utils/geo');
+
+// Only one home and one office place per employee
+const SINGLE_PLACE_CATEGORIES = ['home', 'office'];
+
+// Build a saved place from request body fields
+const buildSavedPlace = (body) => ({
+  ...toLocation(body),
+  name: body.name,
+  category: body.category
+});
+
+// A user's manager must be an existing manager or admin, and not the user
+const checkManager = async (managerId, userId) => {
+  if (!managerId) return;
+
+  if (userId && managerId.toString() === userId.toString()) {
+    throw new ErrorResponse('A user cannot be their own manager', 400);
+  }
+
+  const manager = await User.findById(managerId).select('role isActive');
+  if (!manager || !manager.isActive || !['manager', 'admin'].includes(manager.role)) {
+    throw new ErrorResponse('managerId must refer to an active manager or admin', 400);
+  }
+};
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -96,8 +124,12 @@ const getUser = async (req, res, next) => {
 // @access  Private/Admin
 const createUser = async (req, res, next) => {
   try {
+    await checkManager(req.body.managerId);
+
     const user = await User.create(req.body);
 
+    await emitWebhookEvent('user.created', userWebhookData(user));
+
     res.status(201).json({
       success: true,
       data: {
@@ -112,6 +144,8 @@ const createUser = async (req, res, next) => {
 
 const updateUser = async (req, res, next) => {
   try {
+    await checkManager(req.body.managerId, req.params.id);
+
     const user = await User.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
@@ -124,6 +158,12 @@ const updateUser = async (req, res, next) => {
       });
     }
 
+    await emitWebhookEvent('user.updated', userWebhookData(user));
+    if (req.body.isActive !== undefined && !user.isActive) {
+      await revokeUserSessions(user._id, 'deactivated');
+      await emitWebhookEvent('user.deactivated', userWebhookData(user));
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -153,6 +193,9 @@ const deleteUser = async (req, res, next) => {
       });
     }
 
+    await revokeUserSessions(user._id, 'deactivated');
+    await emitWebhookEvent('user.deactivated', userWebhookData(user));
+
     res.status(200).json({
       success: true,
       message: 'User deactivated successfully'
@@ -173,7 +216,12 @@ const deleteOwnAccount = async (req, res, next) => {
     await Ride.deleteMany({ userId: userId });
     
     // Then delete the user account
-    await User.findByIdAndDelete(userId);
+    const user = await User.findByIdAndDelete(userId);
+
+    if (user) {
+      await revokeUserSessions(user._id, 'account_deleted');
+      await emitWebhookEvent('user.deleted', userWebhookData(user));
+    }
 
     res.status(200).json({
       success: true,
@@ -184,11 +232,144 @@ const deleteOwnAccount = async (req, res, next) => {
   }
 };
 
+// @desc    Get saved places for current user
+// @route   GET /api/users/me/places
+// @access  Private
+const getSavedPlaces = async (req, res, next) => {
+  try {
+    const { category } = req.query;
+
+    const places = category
+      ? req.user.savedPlaces.filter(place => place.category === category)
+      : req.user.savedPlaces;
+
+    res.status(200).json({
+      success: true,
+      count: places.length,
+      data: {
+        places
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add saved place for current user
+// @route   POST /api/users/me/places
+// @access  Private
+const addSavedPlace = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const place = buildSavedPlace(req.body);
+
+    if (SINGLE_PLACE_CATEGORIES.includes(place.category) &&
+        user.savedPlaces.some(existing => existing.category === place.category)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${place.category} place is already saved`
+      });
+    }
+
+    user.savedPlaces.push(place);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Place saved successfully',
+      data: {
+        place: user.savedPlaces[user.savedPlaces.length - 1]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update saved place for current user
+// @route   PUT /api/users/me/places/:placeId
+// @access  Private
+const updateSavedPlace = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const place = user.savedPlaces.id(req.params.placeId);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved place not found'
+      });
+    }
+
+    const category = req.body.category || place.category;
+    if (SINGLE_PLACE_CATEGORIES.includes(category) &&
+        user.savedPlaces.some(existing => existing.category === category && !existing._id.equals(place._id))) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${category} place is already saved`
+      });
+    }
+
+    // Replace the location only when a new address is supplied
+    if (req.body.address) {
+      const location = toLocation(req.body);
+      place.address = location.address;
+      place.landmark = location.landmark;
+      place.location = location.location;
+    }
+    if (req.body.name) place.name = req.body.name;
+    place.category = category;
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Place updated successfully',
+      data: {
+        place
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete saved place for current user
+// @route   DELETE /api/users/me/places/:placeId
+// @access  Private
+const deleteSavedPlace = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const place = user.savedPlaces.id(req.params.placeId);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved place not found'
+      });
+    }
+
+    place.deleteOne();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Place deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllUsers: getUsers,
   getUser,
   createUser,
   updateUser,
   deleteUser,
-  deleteOwnAccount
+  deleteOwnAccount,
+  getSavedPlaces,
+  addSavedPlace,
+  updateSavedPlace,
+  deleteSavedPlace
 };
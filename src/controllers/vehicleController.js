@@ -0,0 +1,230 @@
+const Vehicle = require('../models/Vehicle');
+const Ride = require('../models/Ride');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/regex');
+const { BOOKED_STATUSES } = require('../services/driverService');
+const { logAdminAction } = require('../services/auditLog');
+
+// Fields an admin may set on a vehicle
+// Deactivation goes through deactivateVehicle, which checks upcoming rides
+const VEHICLE_FIELDS = ['registrationNumber', 'make', 'model', 'color', 'vehicleClass', 'capacity', 'vendor'];
+
+const pickVehicleFields = (body) => {
+  const fields = {};
+  VEHICLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get vehicles
+// @route   GET /api/admin/vehicles
+// @access  Private/Admin
+const getVehicles = async (req, res, next) => {
+  try {
+    const { isActive, vendor, vehicleClass, search } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = {};
+    if (isActive !== undefined && isActive !== '') query.isActive = isActive === 'true';
+    if (vendor) query.vendor = vendor;
+    if (vehicleClass) query.vehicleClass = vehicleClass;
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { registrationNumber: { $regex: pattern, $options: 'i' } },
+        { make: { $regex: pattern, $options: 'i' } },
+        { model: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const vehicles = await Vehicle.find(query)
+      .sort({ registrationNumber: 1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await Vehicle.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: vehicles.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: {
+        vehicles
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get vehicle
+// @route   GET /api/admin/vehicles/:id
+// @access  Private/Admin
+const getVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicle
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Register vehicle
+// @route   POST /api/admin/vehicles
+// @access  Private/Admin
+const createVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.create({
+      ...pickVehicleFields(req.body),
+      createdBy: req.user.id
+    });
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'create_vehicle',
+      targetType: 'vehicle',
+      targetId: vehicle._id,
+      details: {
+        registrationNumber: vehicle.registrationNumber,
+        vehicleClass: vehicle.vehicleClass,
+        capacity: vehicle.capacity
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle created successfully',
+      data: {
+        vehicle
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update vehicle
+// @route   PUT /api/admin/vehicles/:id
+// @access  Private/Admin
+const updateVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const fields = pickVehicleFields(req.body);
+
+    // A deactivated vehicle can be brought back here
+    if (req.body.isActive === true) fields.isActive = true;
+
+    vehicle.set({ ...fields, updatedBy: req.user.id });
+    await vehicle.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'update_vehicle',
+      targetType: 'vehicle',
+      targetId: vehicle._id,
+      details: {
+        registrationNumber: vehicle.registrationNumber,
+        changes: fields
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle updated successfully',
+      data: {
+        vehicle
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate vehicle
+// @route   DELETE /api/admin/vehicles/:id
+// @access  Private/Admin
+const deactivateVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const upcoming = await Ride.countDocuments({
+      'driver.vehicleId': vehicle._id,
+      status: { $in: BOOKED_STATUSES }
+    });
+    if (upcoming > 0) {
+      return next(new ErrorResponse(
+        `Vehicle has ${upcoming} upcoming ride(s); reassign them before deactivating`,
+        409,
+        'VEHICLE_HAS_UPCOMING_RIDES'
+      ));
+    }
+
+    vehicle.isActive = false;
+    vehicle.updatedBy = req.user.id;
+    await vehicle.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'deactivate_vehicle',
+      targetType: 'vehicle',
+      targetId: vehicle._id,
+      details: {
+        registrationNumber: vehicle.registrationNumber
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getVehicles,
+  getVehicle,
+  createVehicle,
+  updateVehicle,
+  deactivateVehicle
+};
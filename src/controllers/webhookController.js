@@ -0,0 +1,273 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { redeliver } = require('../services/webhookService');
+const { logAdminAction } = require('../services/auditLog');
+
+// Fields an admin may set on a subscription
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'description', 'isActive'];
+
+const pickWebhookFields = (body) => {
+  const fields = {};
+  WEBHOOK_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get webhook subscriptions
+// @route   GET /api/admin/webhooks
+// @access  Private/Admin
+const getWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await WebhookSubscription.find()
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      data: {
+        webhooks,
+        availableEvents: WebhookSubscription.WEBHOOK_EVENTS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get webhook subscription
+// @route   GET /api/admin/webhooks/:id
+// @access  Private/Admin
+const getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        webhook
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create webhook subscription
+// @route   POST /api/admin/webhooks
+// @access  Private/Admin
+const createWebhook = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.create({
+      ...pickWebhookFields(req.body),
+      createdBy: req.user.id
+    });
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'create_webhook',
+      targetType: 'webhook',
+      targetId: webhook._id,
+      details: {
+        name: webhook.name,
+        url: webhook.url,
+        events: webhook.events
+      }
+    });
+
+    // The secret is only shown once, when the subscription is created
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: {
+        webhook: { ...webhook.toObject(), secret: webhook.secret }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update webhook subscription
+// @route   PUT /api/admin/webhooks/:id
+// @access  Private/Admin
+const updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    webhook.set(pickWebhookFields(req.body));
+    await webhook.save();
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'update_webhook',
+      targetType: 'webhook',
+      targetId: webhook._id,
+      details: {
+        name: webhook.name,
+        changes: pickWebhookFields(req.body)
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: {
+        webhook
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete webhook subscription and its delivery log
+// @route   DELETE /api/admin/webhooks/:id
+// @access  Private/Admin
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ subscriptionId: webhook._id });
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'delete_webhook',
+      targetType: 'webhook',
+      targetId: webhook._id,
+      details: {
+        name: webhook.name,
+        url: webhook.url
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get delivery log of a webhook subscription
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @access  Private/Admin
+const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = { subscriptionId: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.event) query.event = req.query.event;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      },
+      data: {
+        deliveries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a past delivery again
+// @route   POST /api/admin/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private/Admin
+const redeliverWebhook = async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id).select('+secret');
+    const delivery = webhook && await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      subscriptionId: webhook._id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    const redelivery = await redeliver(delivery, webhook);
+
+    // Log admin action
+    await logAdminAction({
+      adminId: req.user.id,
+      action: 'redeliver_webhook',
+      targetType: 'webhook',
+      targetId: webhook._id,
+      details: {
+        deliveryId: delivery._id,
+        redeliveryId: redelivery._id,
+        event: delivery.event,
+        status: redelivery.status
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: redelivery.status === 'succeeded'
+        ? 'Webhook redelivered successfully'
+        : 'Redelivery failed; it will be retried automatically',
+      data: {
+        delivery: redelivery
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+};
@@ -1,5 +1,8 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Driver = require('../models/Driver');
+const { isSessionActive } = require('../services/sessionService');
 
 const auth = async (req, res, next) => {
   try {
@@ -19,6 +22,14 @@ const auth = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // The login session must not have been logged out or revoked
+    if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.id);
@@ -30,6 +41,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error.message);
@@ -59,6 +71,44 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
+// Same as auth, but also accepts the JWT as a ?token= query parameter, since
+// browser EventSource connections cannot set an Authorization header.
+// Only used for the event stream so tokens stay out of other URLs.
+const streamAuth = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return auth(req, res, next);
+};
+
+// Driver app requests carry the driver's app token (issued by an admin) in
+// the X-Driver-Token header instead of a user JWT
+const driverAuth = async (req, res, next) => {
+  try {
+    const token = req.headers['x-driver-token'];
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No driver token provided.'
+      });
+    }
+
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const driver = await Driver.findOne({ appTokenHash: tokenHash });
+    if (!driver || !driver.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Driver token is invalid or driver is deactivated'
+      });
+    }
+
+    req.driver = driver;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Create authorize function for role-based access
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -76,5 +126,7 @@ module.exports = {
   protect: auth, 
   authorize,
   auth, 
-  adminAuth 
+  adminAuth,
+  streamAuth,
+  driverAuth
 };
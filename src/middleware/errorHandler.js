@@ -24,7 +24,8 @@ const errorHandler = (err, req, res, next) => {
 
   res.status(error.statusCode || 500).json({
     success: false,
-    message: error.message || 'Server Error'
+    message: error.message || 'Server Error',
+    ...(typeof error.code === 'string' && { code: error.code })
   });
 };
 
@@ -1,4 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { vehicleClasses } = require('../services/fareCalculator');
+const tripSharingConfig = require('../config/tripSharing');
+const Ride = require('../models/Ride');
+const WebhookSubscription = require('../models/WebhookSubscription');
 
 // Validation result handler
 const handleValidationErrors = (req, res, next) => {
@@ -61,8 +65,8 @@ const validateUserRegistration = [
   
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isIn(['user', 'manager', 'admin'])
+    .withMessage('Role must be user, manager or admin'),
   
   handleValidationErrors
 ];
@@ -104,10 +108,32 @@ const validateProfileUpdate = [
     .matches(/^[\+]?[1-9][\d]{0,15}$/)
     .withMessage('Please provide a valid phone number'),
   
-  body('department')
+  // Alerted when the employee raises an SOS; the list replaces the saved one
+  body('emergencyContacts')
     .optional()
-    .isIn(['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations'])
-    .withMessage('Please select a valid department'),
+    .isArray({ max: 3 })
+    .withMessage('Up to 3 emergency contacts are allowed'),
+  
+  body('emergencyContacts.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Contact name is required and cannot exceed 100 characters'),
+  
+  body('emergencyContacts.*.phone')
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage('Please provide a valid contact phone number'),
+  
+  body('emergencyContacts.*.email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid contact email')
+    .normalizeEmail(),
+  
+  body('emergencyContacts.*.relationship')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Relationship cannot exceed 50 characters'),
   
   handleValidationErrors
 ];
@@ -135,17 +161,56 @@ const validatePasswordChange = [
   handleValidationErrors
 ];
 
+// Location rules; accepts a plain address string (legacy clients)
+// or { address, latitude, longitude, landmark }
+const locationRules = (field, label, { optional = false, unless } = {}) => {
+  const addressRule = body(field);
+  if (optional) addressRule.optional();
+  // Skip when an alternative field (e.g. a saved place id) is supplied
+  if (unless) addressRule.if(body(unless).not().exists());
+
+  return [
+    addressRule.custom((value) => {
+      const address = typeof value === 'string' ? value : value && value.address;
+      if (typeof address !== 'string' || address.trim().length < 5 || address.trim().length > 200) {
+        throw new Error(`${label} address must be between 5 and 200 characters`);
+      }
+      return true;
+    }),
+    
+    body(`${field}.latitude`)
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage(`${label} latitude must be between -90 and 90`),
+    
+    body(`${field}.longitude`)
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage(`${label} longitude must be between -180 and 180`),
+    
+    body(`${field}.landmark`)
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage(`${label} landmark must not exceed 100 characters`)
+  ];
+};
+
 // Ride creation validation
 const validateRideCreation = [
-  body('pickup')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Pickup location must be between 5 and 200 characters'),
+  ...locationRules('pickup', 'Pickup', { unless: 'pickupPlaceId' }),
   
-  body('drop')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Drop location must be between 5 and 200 characters'),
+  ...locationRules('drop', 'Drop', { unless: 'dropPlaceId' }),
+  
+  body('pickupPlaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid pickup place ID format'),
+  
+  body('dropPlaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid drop place ID format'),
   
   body('scheduleTime')
     .isISO8601()
@@ -159,6 +224,11 @@ const validateRideCreation = [
       return true;
     }),
   
+  body('vehicleClass')
+    .optional()
+    .isIn(vehicleClasses)
+    .withMessage(`Vehicle class must be one of: ${vehicleClasses.join(', ')}`),
+  
   body('purpose')
     .optional()
     .trim()
@@ -171,6 +241,41 @@ const validateRideCreation = [
     .isLength({ max: 300 })
     .withMessage('Special requirements must not exceed 300 characters'),
   
+  body('poolingOptIn')
+    .optional()
+    .isBoolean()
+    .withMessage('poolingOptIn must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Fare estimate validation
+const validateFareEstimate = [
+  ...locationRules('pickup', 'Pickup', { optional: true }),
+  
+  ...locationRules('drop', 'Drop', { optional: true }),
+  
+  body('pickupPlaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid pickup place ID format'),
+  
+  body('dropPlaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid drop place ID format'),
+  
+  body('vehicleClass')
+    .optional()
+    .isIn(vehicleClasses)
+    .withMessage(`Vehicle class must be one of: ${vehicleClasses.join(', ')}`),
+  
+  body('scheduleTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Schedule time must be a valid ISO 8601 date'),
+  
   handleValidationErrors
 ];
 
@@ -180,17 +285,9 @@ const validateRideUpdate = [
     .isMongoId()
     .withMessage('Invalid ride ID format'),
   
-  body('pickup.address')
-    .optional()
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Pickup address must be between 5 and 200 characters'),
+  ...locationRules('pickup', 'Pickup', { optional: true }),
   
-  body('drop.address')
-    .optional()
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Drop address must be between 5 and 200 characters'),
+  ...locationRules('drop', 'Drop', { optional: true }),
   
   body('scheduleTime')
     .optional()
@@ -212,6 +309,80 @@ const validateRideUpdate = [
   handleValidationErrors
 ];
 
+// Driver detail rules shared by status update and driver assignment
+const driverRules = [
+  body('driver.name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Driver name must be between 2 and 100 characters'),
+  
+  body('driver.phone')
+    .optional()
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage('Driver phone must be a valid phone number'),
+  
+  body('driver.vehicle')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Vehicle information must be between 2 and 100 characters'),
+  
+  body('driver.vendor')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Vendor name must be between 2 and 100 characters'),
+  
+  body('driver.rating')
+    .optional()
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Driver rating must be between 1 and 5')
+];
+
+// Ride feedback validation
+const validateRideFeedback = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ride ID format'),
+  
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment must not exceed 1000 characters'),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: Ride.FEEDBACK_TAGS.length })
+    .withMessage('Tags must be an array'),
+  
+  body('tags.*')
+    .isIn(Ride.FEEDBACK_TAGS)
+    .withMessage(`Tags must be one of: ${Ride.FEEDBACK_TAGS.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+// Ride pooling opt-in/out validation
+const validateRidePooling = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ride ID format'),
+  
+  body('optIn')
+    .isBoolean()
+    .withMessage('optIn must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
 // Ride status update validation (for admin)
 const validateRideStatusUpdate = [
   param('id')
@@ -243,27 +414,305 @@ const validateRideStatusUpdate = [
     .isFloat({ min: 0 })
     .withMessage('Actual fare must be a positive number'),
   
-  body('driver.name')
+  ...driverRules,
+  
+  handleValidationErrors
+];
+
+// Driver assignment validation (for admin)
+const validateDriverAssignment = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ride ID format'),
+  
+  body('driverId')
+    .isMongoId()
+    .withMessage('A valid driver ID is required'),
+  
+  body('vehicleId')
     .optional()
+    .isMongoId()
+    .withMessage('Invalid vehicle ID format'),
+  
+  handleValidationErrors
+];
+
+// Ride completion validation (for admin)
+const validateRideCompletion = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ride ID format'),
+  
+  // Required when the driver app recorded no trip for the ride
+  body('actualFare')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Actual fare must be a positive number')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+// Saved place validation
+const savedPlaceRules = (optional) => [
+  (optional ? body('name').optional() : body('name'))
     .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Driver name must be between 2 and 100 characters'),
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Place name must be between 1 and 50 characters'),
   
-  body('driver.phone')
+  body('category')
     .optional()
-    .matches(/^[\+]?[1-9][\d]{0,15}$/)
-    .withMessage('Driver phone must be a valid phone number'),
+    .isIn(['home', 'office', 'favourite'])
+    .withMessage('Category must be home, office or favourite'),
   
-  body('driver.vehicle')
+  (optional ? body('address').optional() : body('address'))
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Address must be between 5 and 200 characters'),
+  
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('landmark')
     .optional()
     .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Vehicle information must be between 2 and 100 characters'),
+    .isLength({ max: 100 })
+    .withMessage('Landmark must not exceed 100 characters')
+];
+
+const validateSavedPlace = [
+  ...savedPlaceRules(false),
   
-  body('driver.rating')
+  handleValidationErrors
+];
+
+const validateSavedPlaceUpdate = [
+  param('placeId')
+    .isMongoId()
+    .withMessage('Invalid place ID format'),
+  
+  ...savedPlaceRules(true),
+  
+  handleValidationErrors
+];
+
+// Saved place ID parameter validation
+const validatePlaceIdParam = [
+  param('placeId')
+    .isMongoId()
+    .withMessage('Invalid place ID format'),
+  
+  handleValidationErrors
+];
+
+// Ride schedule validation
+const rideScheduleRules = (optional) => {
+  const rule = (field) => optional ? body(field).optional() : body(field);
+
+  return [
+    ...locationRules('pickup', 'Pickup', optional ? { optional: true } : { unless: 'pickupPlaceId' }),
+    
+    ...locationRules('drop', 'Drop', optional ? { optional: true } : { unless: 'dropPlaceId' }),
+    
+    body('pickupPlaceId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid pickup place ID format'),
+    
+    body('dropPlaceId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid drop place ID format'),
+    
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Schedule name must not exceed 100 characters'),
+    
+    rule('daysOfWeek')
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Days of week must be a non-empty array'),
+    
+    body('daysOfWeek.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)')
+      .toInt(),
+    
+    rule('time')
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Time must be in HH:mm format'),
+    
+    rule('startDate')
+      .isISO8601()
+      .withMessage('Start date must be a valid ISO 8601 date'),
+    
+    body('endDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date')
+      .custom((value, { req }) => {
+        if (req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+          throw new Error('End date must not be before start date');
+        }
+        return true;
+      }),
+    
+    body('vehicleClass')
+      .optional()
+      .isIn(vehicleClasses)
+      .withMessage(`Vehicle class must be one of: ${vehicleClasses.join(', ')}`),
+    
+    body('purpose')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Purpose must not exceed 500 characters')
+  ];
+};
+
+const validateRideSchedule = [
+  ...rideScheduleRules(false),
+  
+  handleValidationErrors
+];
+
+const validateRideScheduleUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid schedule ID format'),
+  
+  ...rideScheduleRules(true),
+  
+  handleValidationErrors
+];
+
+// Ride schedule pause validation
+const validateSchedulePause = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid schedule ID format'),
+  
+  body('until')
     .optional()
-    .isFloat({ min: 1, max: 5 })
-    .withMessage('Driver rating must be between 1 and 5'),
+    .isISO8601()
+    .withMessage('Pause until must be a valid ISO 8601 date'),
+  
+  handleValidationErrors
+];
+
+// Ride schedule skip dates validation
+const validateScheduleSkip = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid schedule ID format'),
+  
+  body('dates')
+    .isArray({ min: 1, max: 366 })
+    .withMessage('Dates must be a non-empty array'),
+  
+  body('dates.*')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Dates must be in YYYY-MM-DD format'),
+  
+  handleValidationErrors
+];
+
+// Approval policy validation
+const approvalPolicyRules = (optional) => {
+  const rule = (field) => optional ? body(field).optional() : body(field);
+
+  return [
+    rule('name')
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Policy name must be between 3 and 100 characters'),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters'),
+    
+    body('priority')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Priority must be a non-negative integer'),
+    
+    rule('action')
+      .isIn(['auto_approve', 'require_approval'])
+      .withMessage('Action must be auto_approve or require_approval'),
+    
+    body('conditions.maxFare')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Maximum fare must be a positive number'),
+    
+    body('conditions.minDistanceKm')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum distance must be a positive number'),
+    
+    body('conditions.maxDistanceKm')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Maximum distance must be a positive number'),
+    
+    body('conditions.departments')
+      .optional()
+      .isArray()
+      .withMessage('Departments must be an array'),
+    
+    body('conditions.departments.*')
+      .isIn(['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations'])
+      .withMessage('Please select a valid department'),
+    
+    body('conditions.daysOfWeek')
+      .optional()
+      .isArray()
+      .withMessage('Days of week must be an array'),
+    
+    body('conditions.daysOfWeek.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)')
+      .toInt(),
+    
+    body('conditions.timeWindow.start')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Time window start must be in HH:mm format'),
+    
+    body('conditions.timeWindow.end')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Time window end must be in HH:mm format'),
+    
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
+const validateApprovalPolicy = [
+  ...approvalPolicyRules(false),
+  
+  handleValidationErrors
+];
+
+const validateApprovalPolicyUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid policy ID format'),
+  
+  ...approvalPolicyRules(true),
   
   handleValidationErrors
 ];
@@ -272,7 +721,7 @@ const validateRideStatusUpdate = [
 const validateQueryParams = [
   query('status')
     .optional()
-    .isIn(['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled'])
+    .isIn(['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled', 'no_show', 'expired'])
     .withMessage('Invalid status filter'),
   
   query('startDate')
@@ -308,6 +757,545 @@ const validateQueryParams = [
   handleValidationErrors
 ];
 
+// Department budget validation
+const budgetRules = (optional) => {
+  const rule = (field) => optional ? body(field).optional() : body(field);
+
+  return [
+    rule('department')
+      .isIn(['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations'])
+      .withMessage('Please select a valid department'),
+    
+    rule('month')
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage('Month must be in YYYY-MM format'),
+    
+    rule('amount')
+      .isFloat({ min: 0 })
+      .withMessage('Budget amount must be a positive number')
+      .toFloat(),
+    
+    body('enforcement')
+      .optional()
+      .isIn(['block', 'flag'])
+      .withMessage('Enforcement must be either block or flag'),
+    
+    body('alertThresholds')
+      .optional()
+      .isArray()
+      .withMessage('Alert thresholds must be an array'),
+    
+    body('alertThresholds.*')
+      .isFloat({ min: 1 })
+      .withMessage('Alert thresholds must be percentages of at least 1')
+      .toFloat(),
+    
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes must not exceed 500 characters')
+  ];
+};
+
+const validateBudget = [
+  ...budgetRules(false),
+  
+  handleValidationErrors
+];
+
+const validateBudgetUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid budget ID format'),
+  
+  ...budgetRules(true),
+  
+  handleValidationErrors
+];
+
+const validateBudgetQuery = [
+  query('department')
+    .optional()
+    .isIn(['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations'])
+    .withMessage('Please select a valid department'),
+  
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format'),
+  
+  handleValidationErrors
+];
+
+// Webhook subscription validation
+const webhookRules = (optional) => {
+  const rule = (field) => optional ? body(field).optional() : body(field);
+
+  return [
+    rule('name')
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Webhook name must be between 3 and 100 characters'),
+    
+    rule('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Webhook URL must be a valid http(s) URL'),
+    
+    rule('events')
+      .isArray({ min: 1 })
+      .withMessage('Events must be a non-empty array'),
+    
+    body('events.*')
+      .isIn([...WebhookSubscription.WEBHOOK_EVENTS, '*'])
+      .withMessage('Invalid webhook event'),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters'),
+    
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
+const validateWebhook = [
+  ...webhookRules(false),
+  
+  handleValidationErrors
+];
+
+const validateWebhookUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  
+  ...webhookRules(true),
+  
+  handleValidationErrors
+];
+
+const validateWebhookDeliveryParams = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  
+  param('deliveryId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid delivery ID format'),
+  
+  handleValidationErrors
+];
+
+// Driver registry validation
+const driverProfileRules = (optional) => {
+  const rule = (field) => optional ? body(field).optional() : body(field);
+
+  return [
+    rule('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Driver name must be between 2 and 100 characters'),
+    
+    rule('phone')
+      .matches(/^[\+]?[1-9][\d]{0,15}$/)
+      .withMessage('Driver phone must be a valid phone number'),
+    
+    rule('licenseNumber')
+      .trim()
+      .isLength({ min: 5, max: 20 })
+      .withMessage('Licence number must be between 5 and 20 characters'),
+    
+    body('licenseExpiry')
+      .optional()
+      .isISO8601()
+      .withMessage('Licence expiry must be a valid date'),
+    
+    body('vendor')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Vendor name must be between 2 and 100 characters'),
+    
+    body('defaultVehicleId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid vehicle ID format'),
+    
+    body('location.latitude')
+      .if(body('location').exists())
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Location latitude must be between -90 and 90'),
+    
+    body('location.longitude')
+      .if(body('location').exists())
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Location longitude must be between -180 and 180')
+  ];
+};
+
+const validateDriver = [
+  ...driverProfileRules(false),
+  
+  handleValidationErrors
+];
+
+const validateDriverUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid driver ID format'),
+  
+  ...driverProfileRules(true),
+  
+  // Only reactivation; deactivate with DELETE so upcoming rides are checked
+  body('isActive')
+    .optional()
+    .isIn([true, 'true'])
+    .withMessage('isActive can only be set to true; deactivate a driver with DELETE')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Vehicle registry validation
+const vehicleRules = (optional) => {
+  const rule = (field) => optional ? body(field).optional() : body(field);
+
+  return [
+    rule('registrationNumber')
+      .trim()
+      .isLength({ min: 4, max: 15 })
+      .withMessage('Registration number must be between 4 and 15 characters'),
+    
+    rule('model')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Model must be between 1 and 50 characters'),
+    
+    body('make')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Make must not exceed 50 characters'),
+    
+    body('color')
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Color must not exceed 30 characters'),
+    
+    rule('vehicleClass')
+      .isIn(vehicleClasses)
+      .withMessage(`Vehicle class must be one of: ${vehicleClasses.join(', ')}`),
+    
+    rule('capacity')
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Capacity must be between 1 and 20'),
+    
+    body('vendor')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Vendor name must be between 2 and 100 characters')
+  ];
+};
+
+const validateVehicle = [
+  ...vehicleRules(false),
+  
+  handleValidationErrors
+];
+
+const validateVehicleUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid vehicle ID format'),
+  
+  ...vehicleRules(true),
+  
+  // Only reactivation; deactivate with DELETE so upcoming rides are checked
+  body('isActive')
+    .optional()
+    .isIn([true, 'true'])
+    .withMessage('isActive can only be set to true; deactivate a vehicle with DELETE')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Driver/vehicle list validation
+const validateFleetQuery = [
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  
+  query('vehicleClass')
+    .optional()
+    .isIn(vehicleClasses)
+    .withMessage('Invalid vehicle class'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+// Driver app location ping
+const locationPingRules = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  
+  body('speedKmh')
+    .optional()
+    .isFloat({ min: 0, max: 300 })
+    .withMessage('Speed must be between 0 and 300 km/h')
+    .toFloat(),
+  
+  body('heading')
+    .optional()
+    .isFloat({ min: 0, max: 360 })
+    .withMessage('Heading must be between 0 and 360 degrees')
+    .toFloat(),
+  
+  body('accuracyM')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number of metres')
+    .toFloat(),
+  
+  body('recordedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('recordedAt must be a valid ISO 8601 date')
+    .custom((value) => {
+      // Allow for small clock differences between device and server
+      if (new Date(value).getTime() > Date.now() + 5 * 60 * 1000) {
+        throw new Error('recordedAt cannot be in the future');
+      }
+      return true;
+    })
+];
+
+const validateLocationPing = [
+  ...locationPingRules,
+  
+  handleValidationErrors
+];
+
+const validateRideLocationPing = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ride ID format'),
+  
+  ...locationPingRules,
+  
+  handleValidationErrors
+];
+
+// SOS raised by the employee; the phone's position is optional
+const validateSos = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ride ID format'),
+  
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  
+  body('longitude')
+    .if(body('latitude').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180 when latitude is given')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+// Admin incident queue filters
+const validateIncidentQuery = [
+  query('status')
+    .optional()
+    .isIn(['open', 'acknowledged', 'resolved'])
+    .withMessage('Invalid incident status filter'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+const validateIncidentResolution = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid incident ID format'),
+  
+  body('resolution')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Resolution is required and cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+// Share link for a ride
+const validateRideShare = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ride ID format'),
+  
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: tripSharingConfig.maxHours })
+    .withMessage(`expiresInHours must be between 1 and ${tripSharingConfig.maxHours}`)
+    .toInt(),
+  
+  body('notifyContacts')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyContacts must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+const validateShareToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid share token'),
+  
+  handleValidationErrors
+];
+
+// Driver answer to a dispatch offer
+const validateDispatchOfferResponse = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid offer ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Background job list validation
+const validateJobQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'completed', 'dead'])
+    .withMessage('Invalid job status filter'),
+  
+  query('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Job name must be between 1 and 100 characters'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+// Notification list validation
+const validateNotificationQuery = [
+  query('read')
+    .optional()
+    .isBoolean()
+    .withMessage('read must be true or false'),
+  
+  query('type')
+    .optional()
+    .isIn([
+      'new_ride_request',
+      'approval_required',
+      'ride_approved',
+      'ride_rejected',
+      'ride_driver_assigned',
+      'ride_in_progress',
+      'ride_completed',
+      'ride_cancelled',
+      'ride_reminder',
+      'ride_no_show',
+      'ride_expired',
+      'ride_pooled',
+      'dispatch_failed',
+      'fare_deviation',
+      'sos_alert',
+      'sos_acknowledged',
+      'budget_alert'
+    ])
+    .withMessage('Invalid notification type'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+// Manager ride list validation
+const validateManagerRideQuery = [
+  query('awaitingMyApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('awaitingMyApproval must be true or false'),
+
+  ...validateQueryParams
+];
+
 // ID parameter validation
 const validateIdParam = [
   param('id')
@@ -333,9 +1321,45 @@ module.exports = {
   validateProfileUpdate,
   validatePasswordChange,
   validateRideCreation,
+  validateFareEstimate,
   validateRideUpdate,
+  validateRideFeedback,
+  validateRidePooling,
   validateRideStatusUpdate,
+  validateDriverAssignment,
+  validateRideCompletion,
+  validateBudget,
+  validateBudgetUpdate,
+  validateBudgetQuery,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryParams,
+  validateJobQuery,
+  validateDispatchOfferResponse,
+  validateLocationPing,
+  validateRideLocationPing,
+  validateSos,
+  validateRideShare,
+  validateShareToken,
+  validateIncidentQuery,
+  validateIncidentResolution,
+  validateDriver,
+  validateDriverUpdate,
+  validateVehicle,
+  validateVehicleUpdate,
+  validateFleetQuery,
   validateQueryParams,
+  validateNotificationQuery,
+  validateManagerRideQuery,
   validateIdParam,
-  validateUserIdParam
+  validateUserIdParam,
+  validateSavedPlace,
+  validateSavedPlaceUpdate,
+  validatePlaceIdParam,
+  validateRideSchedule,
+  validateRideScheduleUpdate,
+  validateSchedulePause,
+  validateScheduleSkip,
+  validateApprovalPolicy,
+  validateApprovalPolicyUpdate
 };
@@ -1,10 +1,22 @@
 const mongoose = require('mongoose');
 
 const adminActionSchema = new mongoose.Schema({
+  // Automatic decisions (e.g. approval policies) are logged with a system actor;
+  // managers deciding on their reports' rides are logged with a manager actor
+  actorType: {
+    type: String,
+    enum: ['admin', 'manager', 'system'],
+    default: 'admin'
+  },
   adminId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Admin ID is required']
+    required: [
+      function() {
+        return this.actorType !== 'system';
+      },
+      'Admin ID is required'
+    ]
   },
   action: {
     type: String,
@@ -12,6 +24,34 @@ const adminActionSchema = new mongoose.Schema({
     enum: [
       'approve_ride',
       'reject_ride',
+      'assign_driver',
+      'start_ride',
+      'complete_ride',
+      'auto_approve_ride',
+      'mark_no_show',
+      'expire_ride',
+      'dispatch_ride',
+      'dispatch_driver',
+      'acknowledge_incident',
+      'resolve_incident',
+      'create_policy',
+      'update_policy',
+      'delete_policy',
+      'create_budget',
+      'update_budget',
+      'delete_budget',
+      'create_webhook',
+      'update_webhook',
+      'delete_webhook',
+      'redeliver_webhook',
+      'retry_job',
+      'create_driver',
+      'update_driver',
+      'deactivate_driver',
+      'issue_driver_token',
+      'create_vehicle',
+      'update_vehicle',
+      'deactivate_vehicle',
       'view_rides',
       'view_analytics',
       'create_user',
@@ -22,7 +62,7 @@ const adminActionSchema = new mongoose.Schema({
   targetType: {
     type: String,
     required: [true, 'Target type is required'],
-    enum: ['ride', 'user', 'system']
+    enum: ['ride', 'user', 'policy', 'budget', 'webhook', 'job', 'driver', 'vehicle', 'incident', 'system']
   },
   targetId: {
     type: String,
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format'];
+
+// Approval rule evaluated when a ride is booked. Active policies are checked
+// in ascending priority; the first one whose conditions all match decides.
+const approvalPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  priority: {
+    type: Number,
+    default: 100
+  },
+  action: {
+    type: String,
+    required: [true, 'Policy action is required'],
+    enum: ['auto_approve', 'require_approval']
+  },
+  // Every condition that is set must match; unset conditions are ignored
+  conditions: {
+    maxFare: {
+      type: Number,
+      min: 0
+    },
+    minDistanceKm: {
+      type: Number,
+      min: 0
+    },
+    maxDistanceKm: {
+      type: Number,
+      min: 0
+    },
+    departments: {
+      type: [String],
+      enum: ['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations'],
+      default: undefined
+    },
+    // Local weekdays, 0 = Sunday ... 6 = Saturday
+    daysOfWeek: {
+      type: [Number],
+      default: undefined
+    },
+    // Local pickup time window, e.g. office hours 09:00 - 19:00
+    timeWindow: {
+      start: {
+        type: String,
+        match: TIME_PATTERN
+      },
+      end: {
+        type: String,
+        match: TIME_PATTERN
+      }
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+approvalPolicySchema.index({ isActive: 1, priority: 1 });
+
+module.exports = mongoose.model('ApprovalPolicy', approvalPolicySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Monthly travel budget of a department. Approved, in-progress and completed
+// rides scheduled in the month count against it.
+const budgetSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    enum: ['Engineering', 'Marketing', 'Sales', 'HR', 'Finance', 'Operations']
+  },
+  // Local calendar month, YYYY-MM
+  month: {
+    type: String,
+    required: [true, 'Month is required'],
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be in YYYY-MM format']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: [0, 'Budget amount cannot be negative']
+  },
+  // block: rides over the remaining budget are refused
+  // flag: they are accepted but marked and left for manual approval
+  enforcement: {
+    type: String,
+    enum: ['block', 'flag'],
+    default: 'flag'
+  },
+  // Percentages of the budget at which admins are alerted
+  alertThresholds: {
+    type: [{
+      type: Number,
+      min: [1, 'Alert threshold must be at least 1%']
+    }],
+    default: [80, 100]
+  },
+  // Thresholds already alerted for this month
+  alertsSent: [Number],
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+budgetSchema.index({ department: 1, month: 1 }, { unique: true });
+budgetSchema.index({ month: 1 });
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// An offer of a ride to a driver. The driver answers it from the driver app,
+// authenticated by their app token.
+const dispatchOfferSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['offered', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'offered'
+  },
+  // Position of the offer in the ride's dispatch (1 = first choice)
+  attempt: Number,
+  // Matching details of the candidate when the offer was made
+  distanceKm: Number,
+  load: Number,
+  score: Number,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  declineReason: String,
+  // Admin who started a manual dispatch
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+dispatchOfferSchema.index({ rideId: 1, createdAt: -1 });
+dispatchOfferSchema.index({ status: 1, expiresAt: 1 });
+dispatchOfferSchema.index({ driverId: 1, status: 1 });
+
+module.exports = mongoose.model('DispatchOffer', dispatchOfferSchema);
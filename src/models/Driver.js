@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A driver that can be assigned to rides. The rating is the average of the
+// feedback employees gave on rides the driver completed.
+const driverSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Driver name is required'],
+    trim: true,
+    maxlength: [100, 'Driver name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    required: [true, 'Driver phone is required'],
+    unique: true,
+    trim: true
+  },
+  licenseNumber: {
+    type: String,
+    required: [true, 'Licence number is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  licenseExpiry: Date,
+  // Cab operator the driver works for
+  vendor: {
+    type: String,
+    trim: true
+  },
+  // Vehicle the driver usually drives, used when none is given at assignment
+  defaultVehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Last known position, used to pick the nearest driver when dispatching
+  lastLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  lastLocationAt: Date,
+  // Hash of the token the driver app authenticates with; the token itself is
+  // only shown to the admin who issued it
+  appTokenHash: {
+    type: String,
+    select: false
+  },
+  appTokenIssuedAt: Date,
+  rating: {
+    average: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+driverSchema.index({ isActive: 1, name: 1 });
+driverSchema.index({ vendor: 1 });
+driverSchema.index({ lastLocation: '2dsphere' }, { sparse: true });
+driverSchema.index({ appTokenHash: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Driver', driverSchema);
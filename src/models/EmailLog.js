@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Delivery record of an outgoing email, one per message
+const emailLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+  subject: String,
+  // Rendered message waiting to be sent; removed once it is sent or has failed
+  body: {
+    text: {
+      type: String,
+      select: false
+    },
+    html: {
+      type: String,
+      select: false
+    }
+  },
+  transport: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  // Identifies what sent the email, so a retried job does not send it twice
+  dedupeKey: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+emailLogSchema.index({ status: 1, createdAt: -1 });
+emailLogSchema.index({ userId: 1, createdAt: -1 });
+emailLogSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
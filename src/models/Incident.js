@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Safety incident raised by an employee during a ride (SOS). Admins work the
+// queue: open -> acknowledged -> resolved.
+const incidentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['sos'],
+    default: 'sos'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Last known position when the SOS was raised: the employee's phone, else
+  // the driver app's latest ride ping, else the driver's last known location
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    // [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  locationSource: {
+    type: String,
+    enum: ['device', 'trip', 'driver', 'unknown'],
+    default: 'unknown'
+  },
+  locationRecordedAt: Date,
+  // Driver and vehicle as they were on the ride
+  driver: {
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
+    },
+    name: String,
+    phone: String,
+    vehicle: String,
+    registrationNumber: String
+  },
+  // Emergency contacts alerted, copied from the employee's profile
+  contactsNotified: [{
+    _id: false,
+    name: String,
+    relationship: String,
+    phone: String,
+    email: String
+  }],
+  // When admins and contacts were alerted; unset while the alert has not gone
+  // out, so pressing SOS again sends it
+  alertedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolution: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Resolution cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+incidentSchema.index({ status: 1, createdAt: -1 });
+incidentSchema.index({ rideId: 1, status: 1 });
+
+module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const jobQueueConfig = require('../config/jobQueue');
+
+// A unit of background work. Failed jobs are retried with backoff and
+// dead-lettered once maxAttempts is reached.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: jobQueueConfig.maxAttempts
+  },
+  // Earliest time the job may run (set to the next retry after a failure)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date,
+  deadAt: Date,
+  // Set by callers that may enqueue the same job more than once (e.g. from a
+  // retried job); only one job with a key is queued
+  key: String,
+  // Admin who last re-queued a dead job
+  retriedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ name: 1, status: 1, createdAt: -1 });
+jobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $exists: true } } });
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: jobQueueConfig.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
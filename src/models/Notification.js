@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// In-app notification delivered to a single user's inbox
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: [
+      'new_ride_request',
+      'approval_required',
+      'ride_approved',
+      'ride_rejected',
+      'ride_driver_assigned',
+      'ride_in_progress',
+      'ride_completed',
+      'ride_cancelled',
+      'ride_reminder',
+      'ride_no_show',
+      'ride_expired',
+      'ride_pooled',
+      'dispatch_failed',
+      'fare_deviation',
+      'sos_alert',
+      'sos_acknowledged',
+      'budget_alert'
+    ]
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Type-specific data, e.g. rideId, route and schedule time
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  // Identifies the event that produced the notification, so a retried job
+  // does not deliver it twice
+  dedupeKey: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index(
+  { recipient: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const realtimeConfig = require('../config/realtime');
+
+// A ride event waiting to be streamed. Every API instance reads new events
+// from this collection and pushes them to its own connected clients, so an
+// event reaches everyone whichever process published it.
+const realtimeEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Identifies what published the event, so a retried job does not stream it twice
+  dedupeKey: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false
+});
+
+realtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: realtimeConfig.retentionMinutes * 60 });
+realtimeEventSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
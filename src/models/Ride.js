@@ -1,4 +1,92 @@
 const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+const rateCard = require('../config/fareRates');
+const locationSchema = require('./schemas/locationSchema');
+const { toLocation, distanceBetween } = require('../utils/geo');
+
+const vehicleClasses = Object.keys(rateCard.vehicleClasses);
+
+// Categories an employee can tag their ride feedback with
+const FEEDBACK_TAGS = ['punctuality', 'cleanliness', 'safety'];
+
+// Legal status transitions: current status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['in_progress', 'cancelled', 'no_show', 'expired'],
+  in_progress: ['completed'],
+  rejected: [],
+  completed: [],
+  cancelled: [],
+  // Set by the scheduler when an approved ride is not started in time:
+  // no_show if a driver was assigned, expired otherwise
+  no_show: [],
+  expired: []
+};
+
+// Output of the fare calculator, for the estimate and for the measured trip
+const fareBreakdownFields = () => ({
+  currency: String,
+  vehicleClass: String,
+  distanceKm: Number,
+  durationMinutes: Number,
+  baseFare: Number,
+  distanceFare: Number,
+  timeFare: Number,
+  surcharges: [{
+    _id: false,
+    code: String,
+    label: String,
+    amount: Number
+  }],
+  minimumFareApplied: Boolean,
+  total: Number
+});
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: String
+}, { _id: false });
+
+// One level of a multi-level approval chain
+const approvalStepSchema = new mongoose.Schema({
+  level: {
+    type: Number,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['manager', 'finance'],
+    required: true
+  },
+  // Assigned approver (manager steps); finance steps are open to admins
+  approverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decision: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  comment: String
+}, { _id: false });
 
 const rideSchema = new mongoose.Schema({
   userId: {
@@ -7,41 +95,112 @@ const rideSchema = new mongoose.Schema({
     required: [true, 'User ID is required']
   },
   pickup: {
-    type: String,
+    type: locationSchema,
     required: [true, 'Pickup location is required'],
-    trim: true
+    set: toLocation
   },
   drop: {
-    type: String,
+    type: locationSchema,
     required: [true, 'Drop location is required'],
-    trim: true
+    set: toLocation
   },
+  // Straight-line pickup to drop distance, when both have coordinates
+  distanceKm: Number,
   scheduleTime: {
     type: Date,
     required: [true, 'Schedule time is required']
   },
+  // Set when the ride was generated from a recurring schedule
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RideSchedule'
+  },
+  // Set when the schedule itself cancelled the ride (edited or paused), so
+  // the occurrence can be booked again
+  scheduleReleasedAt: Date,
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled'],
+    enum: ['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled', 'no_show', 'expired'],
     default: 'pending'
   },
+  vehicleClass: {
+    type: String,
+    enum: vehicleClasses,
+    default: rateCard.defaultVehicleClass
+  },
   estimatedFare: {
     type: Number,
     default: 0
   },
+  fareBreakdown: fareBreakdownFields(),
   actualFare: {
     type: Number,
     default: 0
   },
+  // Distance, duration and fare measured from the driver app's location pings
+  // when the ride is completed. actualFare is taken from here when it exists.
+  tripSummary: {
+    distanceKm: Number,
+    durationMinutes: Number,
+    points: Number,
+    // First and last ping of the trip
+    startedAt: Date,
+    endedAt: Date,
+    // Rate card fare for the measured trip (before any pooling discount)
+    fareBreakdown: fareBreakdownFields(),
+    // Fare typed in by the admin at completion, kept for comparison
+    enteredFare: Number,
+    // actualFare relative to estimatedFare, in percent
+    deviationPercent: Number,
+    fareFlagged: Boolean,
+    computedAt: Date,
+    // Recorded path thinned to TRACKING_MAX_PATH_POINTS, kept for audits
+    // after the trip points expire. Only loaded by the route export.
+    route: {
+      coordinates: {
+        type: [[Number]],
+        default: undefined,
+        select: false
+      },
+      timestamps: {
+        type: [Date],
+        default: undefined,
+        select: false
+      }
+    }
+  },
+  // Public read-only link the employee shared with family. Only the hash of
+  // the token is stored; a new link replaces the previous one.
+  share: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    createdAt: Date,
+    expiresAt: Date,
+    revokedAt: Date
+  },
+  // Snapshot of the assigned driver and vehicle taken at assignment time
   driver: {
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
+    },
+    vehicleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
     name: String,
     phone: String,
     vehicle: String,
+    registrationNumber: String,
+    // Cab operator the driver works for
+    vendor: String,
+    // Driver's average rating when assigned
     rating: {
       type: Number,
       min: 1,
-      max: 5,
-      default: 4
+      max: 5
     }
   },
   approvedBy: {
@@ -49,21 +208,100 @@ const rideSchema = new mongoose.Schema({
     ref: 'User'
   },
   approvedAt: Date,
+  approvalChain: [approvalStepSchema],
+  // Result of the department budget check at booking/approval
+  budgetCheck: {
+    budgetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget'
+    },
+    month: String,
+    remaining: Number,
+    exceeded: Boolean,
+    checkedAt: Date,
+    // Set when the ride no longer counts against the budget (no-show/expired)
+    releasedAt: Date
+  },
+  autoApproved: {
+    type: Boolean,
+    default: false
+  },
+  // Approval policy that matched when the ride was booked or its trip last changed
+  approvalPolicy: {
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalPolicy'
+    },
+    name: String,
+    action: String,
+    evaluatedAt: Date
+  },
   rejectedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   rejectedAt: Date,
   rejectionReason: String,
+  driverAssignedAt: Date,
+  // Shared trip the ride was pooled into (see RidePool). While pooled,
+  // estimatedFare is the employee's share of the pooled fare.
+  pooling: {
+    optIn: {
+      type: Boolean,
+      default: false
+    },
+    poolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RidePool'
+    },
+    // The lead ride is dispatched for the whole pool
+    lead: Boolean,
+    // estimatedFare before the ride was pooled
+    soloFare: Number,
+    pooledAt: Date
+  },
+  // Progress of automatic driver dispatch (see DispatchOffer for each offer)
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['offered', 'assigned', 'failed']
+    },
+    // Offers made in the current dispatch
+    offers: Number,
+    startedAt: Date,
+    updatedAt: Date,
+    failureReason: String
+  },
+  startedAt: Date,
+  completedAt: Date,
   cancelledAt: Date,
   cancellationReason: String,
+  noShowAt: Date,
+  expiredAt: Date,
+  // Reminder offsets (minutes before scheduleTime) already sent to the employee
+  remindersSent: [Number],
+  statusHistory: [statusHistorySchema],
+  // Submitted by the employee once the ride is completed
   feedback: {
     rating: {
       type: Number,
       min: 1,
       max: 5
     },
-    comment: String
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Feedback comment cannot exceed 1000 characters']
+    },
+    tags: {
+      type: [{
+        type: String,
+        enum: FEEDBACK_TAGS
+      }],
+      default: undefined
+    },
+    submittedAt: Date,
+    editedAt: Date
   }
 }, {
   timestamps: true
@@ -74,6 +312,39 @@ rideSchema.index({ userId: 1, createdAt: -1 });
 rideSchema.index({ status: 1, scheduleTime: 1 });
 rideSchema.index({ scheduleTime: 1 });
 rideSchema.index({ createdAt: -1 });
+// One live ride per schedule occurrence; released rides never collide
+rideSchema.index(
+  { scheduleId: 1, scheduleTime: 1, scheduleReleasedAt: 1 },
+  { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }
+);
+rideSchema.index({ 'approvalChain.approverId': 1, status: 1 });
+rideSchema.index({ 'driver.driverId': 1, scheduleTime: 1 });
+rideSchema.index({ 'driver.vehicleId': 1, scheduleTime: 1 });
+rideSchema.index({ 'pooling.poolId': 1 });
+rideSchema.index({ 'tripSummary.fareFlagged': 1, completedAt: -1 }, { sparse: true });
+rideSchema.index({ 'share.tokenHash': 1 }, { unique: true, sparse: true });
+rideSchema.index({ 'pickup.location': '2dsphere' });
+rideSchema.index({ 'drop.location': '2dsphere' });
+
+// Rides stored before pickup/drop became structured hold plain address strings
+rideSchema.pre('init', function(doc) {
+  ['pickup', 'drop'].forEach(field => {
+    if (typeof doc[field] === 'string') {
+      doc[field] = { address: doc[field] };
+    }
+  });
+});
+
+// Keep the stored distance in sync with pickup/drop coordinates
+rideSchema.pre('save', function(next) {
+  if (this.isModified('pickup') || this.isModified('drop')) {
+    const distanceKm = distanceBetween(this.pickup, this.drop);
+    if (distanceKm !== null) {
+      this.distanceKm = distanceKm;
+    }
+  }
+  next();
+});
 
 // Virtual for ride duration
 rideSchema.virtual('statusDisplay').get(function() {
@@ -83,11 +354,61 @@ rideSchema.virtual('statusDisplay').get(function() {
     'rejected': 'Rejected',
     'in_progress': 'In Progress',
     'completed': 'Completed',
-    'cancelled': 'Cancelled'
+    'cancelled': 'Cancelled',
+    'no_show': 'No Show',
+    'expired': 'Expired'
   };
   return statusMap[this.status];
 });
 
+// Record the initial status when a ride is first created
+rideSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      changedBy: this.userId,
+      changedAt: new Date()
+    });
+  }
+  next();
+});
+
+// Static helper to check whether a status change is allowed
+rideSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Instance method to move the ride to a new status, recording who did it.
+// Throws a 409 ErrorResponse for illegal transitions; caller saves the ride.
+rideSchema.methods.transitionTo = function(status, { by, reason } = {}) {
+  if (!this.constructor.canTransition(this.status, status)) {
+    throw new ErrorResponse(
+      `Cannot change ride status from ${this.status} to ${status}`,
+      409,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: by,
+    changedAt: new Date(),
+    reason
+  });
+  this.status = status;
+
+  // A finished ride is no longer shared
+  if (!STATUS_TRANSITIONS[status].length && this.share?.createdAt && !this.share.revokedAt) {
+    this.share.revokedAt = new Date();
+  }
+  return this;
+};
+
 rideSchema.set('toJSON', { virtuals: true });
 
-module.exports = mongoose.model('Ride', rideSchema);
+const Ride = mongoose.model('Ride', rideSchema);
+Ride.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Ride.FEEDBACK_TAGS = FEEDBACK_TAGS;
+
+module.exports = Ride;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One employee of a pool and the share of the pooled fare they pay
+const poolRiderSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Fare the ride would have cost on its own
+  soloFare: Number,
+  fareShare: Number
+}, { _id: false });
+
+// A shared trip: approved rides of one department with nearby pickups, drops
+// and pickup times, driven by one driver for a single split fare
+const ridePoolSchema = new mongoose.Schema({
+  department: String,
+  vehicleClass: String,
+  // Pickup time of the first ride
+  scheduleTime: {
+    type: Date,
+    required: true
+  },
+  // Ride that is dispatched for the whole pool
+  leadRideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  riders: [poolRiderSchema],
+  // Sum of the riders' solo fares, the pooled fare and the difference
+  soloFareTotal: Number,
+  fare: Number,
+  savings: Number,
+  status: {
+    type: String,
+    enum: ['active', 'dissolved'],
+    default: 'active'
+  },
+  // Set when fewer than two riders are left
+  dissolvedAt: Date
+}, {
+  timestamps: true
+});
+
+ridePoolSchema.index({ status: 1, scheduleTime: 1 });
+ridePoolSchema.index({ 'riders.rideId': 1 });
+
+module.exports = mongoose.model('RidePool', ridePoolSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const locationSchema = require('./schemas/locationSchema');
+const rateCard = require('../config/fareRates');
+const { toLocation } = require('../utils/geo');
+
+const rideScheduleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Recurring ride'
+  },
+  pickup: {
+    type: locationSchema,
+    required: [true, 'Pickup location is required'],
+    set: toLocation
+  },
+  drop: {
+    type: locationSchema,
+    required: [true, 'Drop location is required'],
+    set: toLocation
+  },
+  vehicleClass: {
+    type: String,
+    enum: Object.keys(rateCard.vehicleClasses),
+    default: rateCard.defaultVehicleClass
+  },
+  purpose: {
+    type: String,
+    trim: true
+  },
+  // Weekdays the ride repeats on, 0 = Sunday ... 6 = Saturday
+  daysOfWeek: {
+    type: [Number],
+    required: [true, 'At least one weekday is required'],
+    validate: {
+      validator: function(value) {
+        return value.length > 0 && value.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      },
+      message: 'Days of week must be integers between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  // Local pickup time, HH:mm
+  time: {
+    type: String,
+    required: [true, 'Pickup time is required'],
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: Date,
+  status: {
+    type: String,
+    enum: ['active', 'paused'],
+    default: 'active'
+  },
+  // When paused, occurrences before this date are skipped; no date means paused indefinitely
+  pausedUntil: Date,
+  // Local dates (YYYY-MM-DD) to skip, e.g. public holidays
+  skipDates: [{
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Skip dates must be in YYYY-MM-DD format']
+  }],
+  lastGeneratedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+rideScheduleSchema.index({ userId: 1, createdAt: -1 });
+rideScheduleSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('RideSchedule', rideScheduleSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One refresh token of a login session. Every refresh rotates the token: the
+// used one is marked rotated and a new one joins the same family. Presenting a
+// rotated token again means it was copied, so the whole family is revoked.
+// Access tokens carry the familyId and stop working once it is revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shared by every token of one login
+  familyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // SHA-256 of the refresh token; the token itself is only sent to the client
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rotatedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'password_change', 'password_reset', 'deactivated', 'account_deleted']
+  },
+  userAgent: String,
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ familyId: 1 });
+sessionSchema.index({ userId: 1 });
+// Expired tokens are removed; reuse of a token can be detected until then
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
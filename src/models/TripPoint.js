@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const trackingConfig = require('../config/tracking');
+
+// A location ping sent by the driver app during a ride. Pings expire after
+// the configured retention period; a completed ride keeps a thinned copy of
+// its path in tripSummary.route.
+const tripPointSchema = new mongoose.Schema({
+  rideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    // [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  speedKmh: Number,
+  heading: Number,
+  accuracyM: Number,
+  // When the device took the reading; pings may arrive late or out of order
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tripPointSchema.index({ rideId: 1, recordedAt: 1 });
+tripPointSchema.index({ createdAt: 1 }, { expireAfterSeconds: trackingConfig.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('TripPoint', tripPointSchema);
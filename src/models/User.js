@@ -1,5 +1,47 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const locationSchema = require('./schemas/locationSchema');
+
+// Saved place: a stored location plus what the employee calls it
+const savedPlaceSchema = locationSchema.clone();
+savedPlaceSchema.add({
+  category: {
+    type: String,
+    enum: ['home', 'office', 'favourite'],
+    default: 'favourite'
+  },
+  name: {
+    type: String,
+    required: [true, 'Place name is required'],
+    trim: true
+  }
+});
+savedPlaceSchema.set('_id', true);
+
+const MAX_EMERGENCY_CONTACTS = 3;
+
+// Person alerted when the employee raises an SOS during a ride
+const emergencyContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true
+  },
+  relationship: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: [true, 'Contact phone is required']
+  },
+  // Alerts are emailed; the phone number goes to the SOS webhook
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -42,13 +84,42 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'manager', 'admin'],
     default: 'user'
   },
+  // Line manager who approves this employee's rides first
+  managerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Personal ride limits; unset fields fall back to the department defaults
+  // in src/config/rideQuotas.js
+  rideLimits: {
+    maxRidesPerWeek: {
+      type: Number,
+      min: [0, 'Weekly ride limit cannot be negative']
+    },
+    maxMonthlySpend: {
+      type: Number,
+      min: [0, 'Monthly spend limit cannot be negative']
+    },
+    maxRideFare: {
+      type: Number,
+      min: [0, 'Ride fare limit cannot be negative']
+    }
+  },
+  savedPlaces: [savedPlaceSchema],
+  emergencyContacts: {
+    type: [emergencyContactSchema],
+    validate: [
+      contacts => contacts.length <= MAX_EMERGENCY_CONTACTS,
+      `At most ${MAX_EMERGENCY_CONTACTS} emergency contacts are allowed`
+    ]
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   lastLoginAt: Date,
@@ -75,6 +146,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ employeeId: 1 });
 userSchema.index({ department: 1 });
+userSchema.index({ managerId: 1 });
 
 // Password hashing middleware
 userSchema.pre('save', async function(next) {
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const rateCard = require('../config/fareRates');
+
+const vehicleSchema = new mongoose.Schema({
+  registrationNumber: {
+    type: String,
+    required: [true, 'Registration number is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  make: {
+    type: String,
+    trim: true
+  },
+  model: {
+    type: String,
+    required: [true, 'Vehicle model is required'],
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  vehicleClass: {
+    type: String,
+    required: [true, 'Vehicle class is required'],
+    enum: Object.keys(rateCard.vehicleClasses)
+  },
+  // Passenger seats, excluding the driver
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+    max: [20, 'Capacity cannot exceed 20']
+  },
+  vendor: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+vehicleSchema.index({ isActive: 1, vehicleClass: 1 });
+
+// Short description stored on rides, e.g. "Toyota Innova (KA01AB1234)"
+vehicleSchema.virtual('displayName').get(function() {
+  const name = [this.make, this.model].filter(Boolean).join(' ');
+  return `${name} (${this.registrationNumber})`;
+});
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
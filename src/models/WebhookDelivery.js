@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One event sent to one subscription, with its delivery attempts
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body that is signed and sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  responseStatus: Number,
+  responseBody: String,
+  lastError: String,
+  deliveredAt: Date,
+  // Identifies what emitted the event, so a retried job does not send it twice
+  dedupeKey: String,
+  // Set when this delivery is a manual redelivery of another one
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index(
+  { subscriptionId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Events that can be subscribed to; '*' subscribes to all of them
+const WEBHOOK_EVENTS = [
+  'ride.created',
+  'ride.updated',
+  'ride.approved',
+  'ride.rejected',
+  'ride.cancelled',
+  'ride.driver_assigned',
+  'ride.started',
+  'ride.completed',
+  'ride.no_show',
+  'ride.expired',
+  'dispatch.offered',
+  'incident.sos',
+  'user.created',
+  'user.updated',
+  'user.deactivated',
+  'user.deleted'
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Webhook URL must be an http(s) URL']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: [...WEBHOOK_EVENTS, '*']
+    }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  // Shared secret for the X-Rapido-Signature HMAC; only returned on creation
+  secret: {
+    type: String,
+    select: false,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+WebhookSubscription.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
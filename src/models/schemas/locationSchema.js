@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// GeoJSON point; coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    validate: {
+      validator: function(value) {
+        return value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90;
+      },
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// Address with optional landmark and coordinates, shared by rides and saved places
+const locationSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true
+  },
+  landmark: {
+    type: String,
+    trim: true
+  },
+  location: pointSchema
+}, { _id: false, id: false });
+
+// Flat lat/lng for clients that don't read GeoJSON
+locationSchema.virtual('latitude').get(function() {
+  return this.location && this.location.coordinates.length === 2 ? this.location.coordinates[1] : undefined;
+});
+
+locationSchema.virtual('longitude').get(function() {
+  return this.location && this.location.coordinates.length === 2 ? this.location.coordinates[0] : undefined;
+});
+
+locationSchema.set('toJSON', { virtuals: true });
+
+module.exports = locationSchema;
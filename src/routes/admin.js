@@ -3,11 +3,89 @@ const {
   getAllRides,
   approveRide,
   rejectRide,
+  assignDriver,
+  startRide,
+  completeRide,
   getRideAnalytics,
   getAdminActions,
+  getEmailLogs,
   getRecentActivity
 } = require('../controllers/adminController');
+const {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/approvalPolicyController');
+const {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetReport
+} = require('../controllers/budgetController');
+const {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+} = require('../controllers/webhookController');
+const {
+  getJobs,
+  getJob,
+  retryDeadJob
+} = require('../controllers/jobController');
+const {
+  getDrivers,
+  getDriver,
+  createDriver,
+  updateDriver,
+  deactivateDriver,
+  issueDriverAppToken
+} = require('../controllers/driverController');
+const {
+  getVehicles,
+  getVehicle,
+  createVehicle,
+  updateVehicle,
+  deactivateVehicle
+} = require('../controllers/vehicleController');
+const {
+  getRideDispatch,
+  dispatchRideNow
+} = require('../controllers/dispatchController');
+const { getRideRoute } = require('../controllers/trackingController');
+const {
+  getIncidents,
+  getIncident,
+  acknowledgeIncident,
+  resolveIncident
+} = require('../controllers/incidentController');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  validateIdParam,
+  validateDriverAssignment,
+  validateRideCompletion,
+  validateApprovalPolicy,
+  validateApprovalPolicyUpdate,
+  validateBudget,
+  validateBudgetUpdate,
+  validateBudgetQuery,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryParams,
+  validateJobQuery,
+  validateDriver,
+  validateDriverUpdate,
+  validateVehicle,
+  validateVehicleUpdate,
+  validateFleetQuery,
+  validateIncidentQuery,
+  validateIncidentResolution
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -60,6 +138,11 @@ router.use(authorize('admin'));
  *         description: Filter rides until this date
  *         example: "2024-01-31"
  *       - in: query
+ *         name: fareFlagged
+ *         schema:
+ *           type: boolean
+ *         description: Only completed rides whose actual fare deviates a lot from the estimate
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -114,7 +197,7 @@ router.get('/rides', getAllRides);
  *   put:
  *     tags: [Admin]
  *     summary: Approve ride request (Admin only)
- *     description: Approve a pending ride request with optional comments
+ *     description: Approve a pending ride request with optional comments. Rides with an approval chain are approved one level at a time; the ride stays pending until the last level is approved.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -161,21 +244,14 @@ router.get('/rides', getAllRides);
  *                   status: "approved"
  *                   approvedBy: "60d5ecb74d8b8e001c8e4b1c"
  *                   adminComments: "Approved for business meeting"
- *       400:
- *         description: Can only approve pending rides
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *             example:
- *               success: false
- *               message: "Can only approve pending rides"
+ *       403:
+ *         description: Not an admin, or the fare exceeds the department's remaining budget and the budget blocks overspending (code BUDGET_EXCEEDED)
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransitionError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
- *       403:
- *         $ref: '#/components/responses/ForbiddenError'
  */
 router.put('/rides/:id/approve', approveRide);
 
@@ -185,7 +261,7 @@ router.put('/rides/:id/approve', approveRide);
  *   put:
  *     tags: [Admin]
  *     summary: Reject ride request (Admin only)
- *     description: Reject a pending ride request with reason and optional comments
+ *     description: Reject a pending ride request with reason and optional comments. Rejecting any level of an approval chain rejects the ride.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -237,15 +313,84 @@ router.put('/rides/:id/approve', approveRide);
  *                   status: "rejected"
  *                   rejectedBy: "60d5ecb74d8b8e001c8e4b1c"
  *                   rejectionReason: "Budget constraints for this month"
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransitionError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/rides/:id/reject', rejectRide);
+
+/**
+ * @swagger
+ * /api/admin/rides/{id}/assign-driver:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Assign driver to ride (Admin only)
+ *     description: Assign a driver and vehicle to an approved ride
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *         example: "60d5ecb74d8b8e001c8e4b1b"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [driverId]
+ *             properties:
+ *               driverId:
+ *                 type: string
+ *                 description: Registered driver
+ *                 example: "60d5ecb74b24a1234567891a"
+ *               vehicleId:
+ *                 type: string
+ *                 description: Registered vehicle of the ride's vehicle class; defaults to the driver's default vehicle
+ *                 example: "60d5ecb74b24a1234567891b"
+ *     responses:
+ *       200:
+ *         description: Driver assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         ride:
+ *                           $ref: '#/components/schemas/Ride'
  *       400:
- *         description: Can only reject pending rides
+ *         description: |
+ *           Driver or vehicle unavailable, the vehicle class does not match the ride, or the vehicle has fewer
+ *           seats than the ride's pool has riders (DRIVER_UNAVAILABLE, VEHICLE_UNAVAILABLE, VEHICLE_CLASS_MISMATCH,
+ *           VEHICLE_CAPACITY_EXCEEDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The ride cannot take a driver (INVALID_STATUS_TRANSITION) or the driver/vehicle is booked for an overlapping ride (DRIVER_DOUBLE_BOOKED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *             example:
  *               success: false
- *               message: "Can only reject pending rides"
+ *               message: "Driver is already booked for an overlapping ride at 2024-01-15T10:30:00.000Z"
+ *               code: DRIVER_DOUBLE_BOOKED
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       401:
@@ -253,42 +398,69 @@ router.put('/rides/:id/approve', approveRide);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.put('/rides/:id/reject', rejectRide);
+router.put('/rides/:id/assign-driver', validateDriverAssignment, assignDriver);
 
 /**
  * @swagger
- * /api/admin/analytics:
+ * /api/admin/rides/{id}/dispatch:
  *   get:
  *     tags: [Admin]
- *     summary: Get ride analytics (Admin only)
- *     description: Retrieve comprehensive analytics and reports for rides
+ *     summary: Get ride dispatch progress (Admin only)
+ *     description: The ride's dispatch status and every offer made to drivers, newest first
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter analytics from this date
- *         example: "2024-01-01"
- *       - in: query
- *         name: endDate
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *           format: date
- *         description: Filter analytics until this date
- *         example: "2024-01-31"
- *       - in: query
- *         name: department
+ *         description: Ride ID
+ *     responses:
+ *       200:
+ *         description: Dispatch retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         dispatch:
+ *                           $ref: '#/components/schemas/RideDispatch'
+ *                         offers:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/DispatchOffer'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags: [Admin]
+ *     summary: Dispatch ride to drivers (Admin only)
+ *     description: |
+ *       Starts dispatching an approved ride that has no driver, or restarts a dispatch that failed.
+ *       Open offers are withdrawn and drivers offered before may be asked again. The best matching
+ *       driver (nearest to the pickup, fewest rides that day) receives the offer in the driver app
+ *       (`GET /api/driver/offers`); the `dispatch.offered` webhook announces it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [Engineering, HR, Finance, Marketing, Operations, Sales, Other]
- *         description: Filter analytics by department
- *         example: Engineering
+ *         description: Ride ID
  *     responses:
  *       200:
- *         description: Analytics retrieved successfully
+ *         description: Ride offered to a driver
  *         content:
  *           application/json:
  *             schema:
@@ -297,107 +469,1641 @@ router.put('/rides/:id/reject', rejectRide);
  *                 - type: object
  *                   properties:
  *                     data:
- *                       $ref: '#/components/schemas/Analytics'
+ *                       type: object
+ *                       properties:
+ *                         dispatch:
+ *                           $ref: '#/components/schemas/RideDispatch'
+ *                         offer:
+ *                           $ref: '#/components/schemas/DispatchOffer'
+ *       409:
+ *         description: The ride cannot be dispatched (RIDE_NOT_DISPATCHABLE) or no driver matches it (NO_DRIVER_AVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *             example:
- *               success: true
- *               data:
- *                 summary:
- *                   totalRides: 1250
- *                   pendingRides: 45
- *                   approvedRides: 980
- *                   rejectedRides: 125
- *                   completedRides: 950
- *                   cancelledRides: 100
- *                   approvalRate: "78.40"
- *                 departmentAnalytics:
- *                   - _id: "Engineering"
- *                     totalRides: 450
- *                     totalFare: 112500
- *                     avgFare: 250
- *                   - _id: "Marketing"
- *                     totalRides: 300
- *                     totalFare: 75000
- *                     avgFare: 250
+ *               success: false
+ *               message: "No available driver matches the ride"
+ *               code: NO_DRIVER_AVAILABLE
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/analytics', getRideAnalytics);
+router
+  .route('/rides/:id/dispatch')
+  .get(validateIdParam, getRideDispatch)
+  .post(validateIdParam, dispatchRideNow);
 
 /**
  * @swagger
- * /api/admin/actions:
+ * /api/admin/drivers:
  *   get:
  *     tags: [Admin]
- *     summary: Get admin action logs (Admin only)
- *     description: Retrieve audit trail of all admin actions with pagination
+ *     summary: Get drivers (Admin only)
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: vendor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, phone or licence number
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
- *           minimum: 1
  *           default: 1
- *         description: Page number for pagination
- *         example: 1
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *           minimum: 1
- *           maximum: 100
  *           default: 20
- *         description: Number of actions per page
- *         example: 20
  *     responses:
  *       200:
- *         description: Admin actions retrieved successfully
+ *         description: Drivers retrieved successfully
  *         content:
  *           application/json:
  *             schema:
  *               allOf:
- *                 - $ref: '#/components/schemas/PaginatedResponse'
+ *                 - $ref: '#/components/schemas/ApiResponse'
  *                 - type: object
  *                   properties:
  *                     data:
  *                       type: object
  *                       properties:
- *                         actions:
+ *                         drivers:
  *                           type: array
  *                           items:
- *                             $ref: '#/components/schemas/AdminAction'
- *             example:
- *               success: true
- *               count: 20
- *               total: 150
- *               pagination:
- *                 page: 1
- *                 limit: 20
- *                 totalPages: 8
- *               data:
- *                 actions:
- *                   - _id: "60d5ecb74d8b8e001c8e4b1d"
- *                     adminId:
- *                       firstName: "Jane"
- *                       lastName: "Smith"
- *                       email: "jane.smith@company.com"
- *                     action: "approve_ride"
- *                     targetType: "Ride"
- *                     targetId: "60d5ecb74d8b8e001c8e4b1b"
- *                     details:
- *                       rideId: "60d5ecb74d8b8e001c8e4b1b"
- *                       userId: "60d5ecb74d8b8e001c8e4b1a"
- *                       comments: "Approved for business meeting"
- *                     createdAt: "2024-01-15T10:30:00.000Z"
+ *                             $ref: '#/components/schemas/Driver'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags: [Admin]
+ *     summary: Register driver (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Driver'
+ *           example:
+ *             name: "Rajesh Kumar"
+ *             phone: "+919876543211"
+ *             licenseNumber: "KA0120190012345"
+ *             licenseExpiry: "2029-06-30"
+ *             vendor: "City Cabs"
+ *             defaultVehicleId: "60d5ecb74b24a1234567891b"
+ *     responses:
+ *       201:
+ *         description: Driver created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/actions', getAdminActions);
+router
+  .route('/drivers')
+  .get(validateFleetQuery, getDrivers)
+  .post(validateDriver, createDriver);
+
+/**
+ * @swagger
+ * /api/admin/drivers/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get driver (Admin only)
+ *     description: Driver details with the rides they are booked for
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Driver retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update driver (Admin only)
+ *     description: |
+ *       Rides already assigned keep the details captured at assignment. `isActive` can only be set
+ *       to true here, to reactivate; deactivate with DELETE, which checks upcoming rides.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Driver'
+ *     responses:
+ *       200:
+ *         description: Driver updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Deactivate driver (Admin only)
+ *     description: Marks the driver inactive so it can no longer be assigned. Refused while it has upcoming rides.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Driver deactivated successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The driver still has upcoming rides (DRIVER_HAS_UPCOMING_RIDES)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router
+  .route('/drivers/:id')
+  .get(validateIdParam, getDriver)
+  .put(validateDriverUpdate, updateDriver)
+  .delete(validateIdParam, deactivateDriver);
+
+/**
+ * @swagger
+ * /api/admin/drivers/{id}/app-token:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Issue driver app token (Admin only)
+ *     description: |
+ *       Creates the token the driver app sends in the `X-Driver-Token` header to report locations.
+ *       The token is only returned here; issuing a new one revokes the previous token.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token issued
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Driver app token issued; any previous token no longer works"
+ *               data:
+ *                 token: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *                 issuedAt: "2024-01-15T08:00:00.000Z"
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The driver is deactivated (DRIVER_INACTIVE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/drivers/:id/app-token', validateIdParam, issueDriverAppToken);
+
+/**
+ * @swagger
+ * /api/admin/vehicles:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get vehicles (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: vehicleClass
+ *         schema:
+ *           type: string
+ *           enum: [bike, auto, sedan, suv]
+ *       - in: query
+ *         name: vendor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by registration number, make or model
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Vehicles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         vehicles:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Vehicle'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags: [Admin]
+ *     summary: Register vehicle (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Vehicle'
+ *           example:
+ *             registrationNumber: "KA01AB1234"
+ *             make: "Toyota"
+ *             model: "Innova"
+ *             vehicleClass: "suv"
+ *             capacity: 6
+ *             vendor: "City Cabs"
+ *     responses:
+ *       201:
+ *         description: Vehicle created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router
+  .route('/vehicles')
+  .get(validateFleetQuery, getVehicles)
+  .post(validateVehicle, createVehicle);
+
+/**
+ * @swagger
+ * /api/admin/vehicles/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get vehicle (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vehicle retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update vehicle (Admin only)
+ *     description: |
+ *       Rides already assigned keep the details captured at assignment. `isActive` can only be set
+ *       to true here, to reactivate; deactivate with DELETE, which checks upcoming rides.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Vehicle'
+ *     responses:
+ *       200:
+ *         description: Vehicle updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Deactivate vehicle (Admin only)
+ *     description: Marks the vehicle inactive so it can no longer be assigned. Refused while it has upcoming rides.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vehicle deactivated successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The vehicle still has upcoming rides (VEHICLE_HAS_UPCOMING_RIDES)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router
+  .route('/vehicles/:id')
+  .get(validateIdParam, getVehicle)
+  .put(validateVehicleUpdate, updateVehicle)
+  .delete(validateIdParam, deactivateVehicle);
+
+/**
+ * @swagger
+ * /api/admin/rides/{id}/start:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Start ride (Admin only)
+ *     description: |
+ *       Mark an approved ride with an assigned driver as in progress. Starting the lead ride of a
+ *       pool starts the other rides of the pool too.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *         example: "60d5ecb74d8b8e001c8e4b1b"
+ *     responses:
+ *       200:
+ *         description: Ride started successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         ride:
+ *                           $ref: '#/components/schemas/Ride'
+ *       400:
+ *         description: Ride has no driver assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransitionError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/rides/:id/start', validateIdParam, startRide);
+
+/**
+ * @swagger
+ * /api/admin/rides/{id}/complete:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Complete ride (Admin only)
+ *     description: |
+ *       Mark an in-progress ride as completed and record the actual fare. When the driver app
+ *       recorded the trip, the actual fare is priced from the measured distance and duration
+ *       with the fare rate card (keeping a pooled ride's discount) and `actualFare` is only
+ *       stored for comparison in `tripSummary.enteredFare`. Otherwise `actualFare` is required.
+ *       Rides whose actual fare deviates from the estimate by more than
+ *       TRACKING_FARE_DEVIATION_PERCENT are flagged and reported to admins.
+ *       Completing the lead ride of a pool completes the other rides too; their fare shares move
+ *       in proportion to the lead's actual fare.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *         example: "60d5ecb74d8b8e001c8e4b1b"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               actualFare:
+ *                 type: number
+ *                 description: Required when no trip was recorded for the ride
+ *                 example: 240
+ *     responses:
+ *       200:
+ *         description: Ride completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         ride:
+ *                           $ref: '#/components/schemas/Ride'
+ *       400:
+ *         description: Validation error, or no trip was recorded and no actual fare was given (ACTUAL_FARE_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransitionError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/rides/:id/complete', validateRideCompletion, completeRide);
+
+/**
+ * @swagger
+ * /api/admin/rides/{id}/route:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get recorded ride route as GeoJSON (Admin only)
+ *     description: |
+ *       The path recorded by the driver app at full resolution, as a GeoJSON FeatureCollection:
+ *       a `route` LineString (with the time of each point in `properties.timestamps`) and the
+ *       booked `pickup` and `drop` points. Returned with the ride's trip summary and fares.
+ *       Trip points are deleted after TRACKING_RETENTION_DAYS; after that a completed ride's
+ *       route comes from the thinned path kept on its trip summary (`properties.source` is
+ *       `trip_summary`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *     responses:
+ *       200:
+ *         description: Route retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         route:
+ *                           $ref: '#/components/schemas/RouteGeoJSON'
+ *                         tripSummary:
+ *                           $ref: '#/components/schemas/TripSummary'
+ *                         actualFare:
+ *                           type: number
+ *                         estimatedFare:
+ *                           type: number
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/rides/:id/route', validateIdParam, getRideRoute);
+
+/**
+ * @swagger
+ * /api/admin/policies:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get approval policies (Admin only)
+ *     description: List approval policies in evaluation order (ascending priority)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active state
+ *     responses:
+ *       200:
+ *         description: Policies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         policies:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ApprovalPolicy'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create approval policy (Admin only)
+ *     description: Policies are evaluated when a ride is booked; the first active policy (by priority) whose conditions all match decides whether the ride is auto-approved or left for manual approval.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApprovalPolicy'
+ *           examples:
+ *             weekends:
+ *               summary: Weekend rides need approval
+ *               value:
+ *                 name: "Weekend rides"
+ *                 priority: 10
+ *                 action: "require_approval"
+ *                 conditions:
+ *                   daysOfWeek: [0, 6]
+ *             officeHours:
+ *               summary: Auto-approve cheap rides in office hours
+ *               value:
+ *                 name: "Office hours under 500"
+ *                 priority: 50
+ *                 action: "auto_approve"
+ *                 conditions:
+ *                   maxFare: 500
+ *                   maxDistanceKm: 25
+ *                   timeWindow:
+ *                     start: "08:00"
+ *                     end: "20:00"
+ *     responses:
+ *       201:
+ *         description: Policy created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router
+  .route('/policies')
+  .get(getPolicies)
+  .post(validateApprovalPolicy, createPolicy);
+
+/**
+ * @swagger
+ * /api/admin/policies/{id}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update approval policy (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Policy ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApprovalPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete approval policy (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Policy ID
+ *     responses:
+ *       200:
+ *         description: Policy deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router
+  .route('/policies/:id')
+  .put(validateApprovalPolicyUpdate, updatePolicy)
+  .delete(validateIdParam, deletePolicy);
+
+/**
+ * @swagger
+ * /api/admin/budgets:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get department budgets (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *           enum: [Engineering, Marketing, Sales, HR, Finance, Operations]
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2024-01"
+ *     responses:
+ *       200:
+ *         description: Budgets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         budgets:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Budget'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create department budget (Admin only)
+ *     description: Set a department's travel budget for a month. Only one budget per department and month.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Budget'
+ *           example:
+ *             department: "Engineering"
+ *             month: "2024-01"
+ *             amount: 50000
+ *             enforcement: "block"
+ *             alertThresholds: [80, 100]
+ *     responses:
+ *       201:
+ *         description: Budget created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router
+  .route('/budgets')
+  .get(validateBudgetQuery, getBudgets)
+  .post(validateBudget, createBudget);
+
+/**
+ * @swagger
+ * /api/admin/budgets/report:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Budget consumption report (Admin only)
+ *     description: Consumed vs. remaining budget per department for a month. Completed rides count at their actual fare (estimated fare if none was recorded); approved and in-progress rides count at their estimated fare.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2024-01"
+ *         description: Defaults to the current month
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *           enum: [Engineering, Marketing, Sales, HR, Finance, Operations]
+ *     responses:
+ *       200:
+ *         description: Budget report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         month:
+ *                           type: string
+ *                         budgets:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/BudgetUsage'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/budgets/report', validateBudgetQuery, getBudgetReport);
+
+/**
+ * @swagger
+ * /api/admin/budgets/{id}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update department budget (Admin only)
+ *     description: Changing the amount or alert thresholds re-arms the budget alerts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Budget ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Budget'
+ *     responses:
+ *       200:
+ *         description: Budget updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete department budget (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Budget ID
+ *     responses:
+ *       200:
+ *         description: Budget deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router
+  .route('/budgets/:id')
+  .put(validateBudgetUpdate, updateBudget)
+  .delete(validateIdParam, deleteBudget);
+
+/**
+ * @swagger
+ * /api/admin/webhooks:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get webhook subscriptions (Admin only)
+ *     description: List subscriptions and the events that can be subscribed to. Secrets are not included.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         webhooks:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/WebhookSubscription'
+ *                         availableEvents:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create webhook subscription (Admin only)
+ *     description: |
+ *       Subscribe a URL to ride and user events. Each delivery is a JSON POST of
+ *       `{ id, event, createdAt, data }` with headers `X-Rapido-Event`, `X-Rapido-Delivery`,
+ *       `X-Rapido-Timestamp` and `X-Rapido-Signature: sha256=<HMAC-SHA256 of "<timestamp>.<body>" with the secret>`.
+ *       Non-2xx responses are retried with exponential backoff. The generated secret is only returned here.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *           example:
+ *             name: "Expense system"
+ *             url: "https://expenses.example.com/hooks/rapido"
+ *             events: ["ride.approved", "ride.completed", "user.deactivated"]
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router
+  .route('/webhooks')
+  .get(getWebhooks)
+  .post(validateWebhook, createWebhook);
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get webhook subscription (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update webhook subscription (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete webhook subscription (Admin only)
+ *     description: Deletes the subscription and its delivery log
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router
+  .route('/webhooks/:id')
+  .get(validateIdParam, getWebhook)
+  .put(validateWebhookUpdate, updateWebhook)
+  .delete(validateIdParam, deleteWebhook);
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}/deliveries:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get webhook delivery log (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         deliveries:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/webhooks/:id/deliveries', validateWebhookDeliveryParams, getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Redeliver a webhook delivery (Admin only)
+ *     description: Sends the stored payload again as a new delivery and returns its result
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Redelivery attempted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         delivery:
+ *                           $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', validateWebhookDeliveryParams, redeliverWebhook);
+
+/**
+ * @swagger
+ * /api/admin/analytics:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get ride analytics (Admin only)
+ *     description: Retrieve comprehensive analytics and reports for rides
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter analytics from this date
+ *         example: "2024-01-01"
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter analytics until this date
+ *         example: "2024-01-31"
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *           enum: [Engineering, HR, Finance, Marketing, Operations, Sales, Other]
+ *         description: Filter analytics by department
+ *         example: Engineering
+ *     responses:
+ *       200:
+ *         description: Analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Analytics'
+ *             example:
+ *               success: true
+ *               data:
+ *                 summary:
+ *                   totalRides: 1250
+ *                   pendingRides: 45
+ *                   approvedRides: 980
+ *                   rejectedRides: 125
+ *                   completedRides: 950
+ *                   cancelledRides: 100
+ *                   noShowRides: 12
+ *                   expiredRides: 8
+ *                   approvalRate: "78.40"
+ *                 departmentAnalytics:
+ *                   - _id: "Engineering"
+ *                     totalRides: 450
+ *                     totalFare: 112500
+ *                     avgFare: 250
+ *                   - _id: "Marketing"
+ *                     totalRides: 300
+ *                     totalFare: 75000
+ *                     avgFare: 250
+ *                 ratingAnalytics:
+ *                   avgRating: 4.3
+ *                   ratings: 620
+ *                   drivers:
+ *                     - _id: "60d5ecb74b24a1234567891a"
+ *                       name: "Rajesh Kumar"
+ *                       phone: "+919876543211"
+ *                       vendor: "City Cabs"
+ *                       avgRating: 4.8
+ *                       ratings: 35
+ *                   vendors:
+ *                     - _id: "City Cabs"
+ *                       avgRating: 4.4
+ *                       ratings: 410
+ *                       drivers: 28
+ *                   tags:
+ *                     - _id: "punctuality"
+ *                       count: 140
+ *                       avgRating: 3.6
+ *                 poolingAnalytics:
+ *                   optedInRides: 310
+ *                   pooledRides: 180
+ *                   pools: 72
+ *                   soloFare: 54000
+ *                   pooledFare: 38500
+ *                   savings: 15500
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/analytics', getRideAnalytics);
+
+/**
+ * @swagger
+ * /api/admin/actions:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get admin action logs (Admin only)
+ *     description: Retrieve audit trail of all admin actions with pagination
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *         example: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of actions per page
+ *         example: 20
+ *     responses:
+ *       200:
+ *         description: Admin actions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         actions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AdminAction'
+ *             example:
+ *               success: true
+ *               count: 20
+ *               total: 150
+ *               pagination:
+ *                 page: 1
+ *                 limit: 20
+ *                 totalPages: 8
+ *               data:
+ *                 actions:
+ *                   - _id: "60d5ecb74d8b8e001c8e4b1d"
+ *                     adminId:
+ *                       firstName: "Jane"
+ *                       lastName: "Smith"
+ *                       email: "jane.smith@company.com"
+ *                     action: "approve_ride"
+ *                     targetType: "Ride"
+ *                     targetId: "60d5ecb74d8b8e001c8e4b1b"
+ *                     details:
+ *                       rideId: "60d5ecb74d8b8e001c8e4b1b"
+ *                       userId: "60d5ecb74d8b8e001c8e4b1a"
+ *                       comments: "Approved for business meeting"
+ *                     createdAt: "2024-01-15T10:30:00.000Z"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/actions', getAdminActions);
+
+/**
+ * @swagger
+ * /api/admin/emails:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get email delivery logs (Admin only)
+ *     description: Outgoing emails with delivery status, attempts and last error, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *           enum: [reset_password, ride_approved, ride_rejected, ride_reminder]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Email logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         emails:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/EmailLog'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/emails', getEmailLogs);
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get background jobs (Admin only)
+ *     description: |
+ *       Jobs of the background queue (notifications, audit log entries, ...) newest first,
+ *       with the number of jobs in each status. Jobs that failed every attempt are `dead`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, completed, dead]
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Filter by job name, e.g. notification.ride_update
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         counts:
+ *                           type: object
+ *                           example:
+ *                             pending: 2
+ *                             processing: 1
+ *                             completed: 340
+ *                             dead: 1
+ *                         jobs:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Job'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/jobs', validateJobQuery, getJobs);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get background job (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/jobs/:id', validateIdParam, getJob);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/retry:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Retry a dead-lettered job (Admin only)
+ *     description: Puts a dead job back on the queue with a fresh set of attempts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job queued for retry
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The job is not dead-lettered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Only dead-lettered jobs can be retried; this job is completed"
+ *               code: JOB_NOT_RETRYABLE
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/jobs/:id/retry', validateIdParam, retryDeadJob);
+
+/**
+ * @swagger
+ * /api/admin/incidents:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get the safety incident queue (Admin only)
+ *     description: |
+ *       SOS incidents raised by employees during rides, with the number of incidents in each status.
+ *       Without a status filter, unresolved incidents are listed oldest first; resolved incidents
+ *       are listed newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Incidents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         counts:
+ *                           type: object
+ *                           example:
+ *                             open: 1
+ *                             acknowledged: 2
+ *                             resolved: 14
+ *                         incidents:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Incident'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/incidents', validateIncidentQuery, getIncidents);
+
+/**
+ * @swagger
+ * /api/admin/incidents/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get a safety incident (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Incident retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/incidents/:id', validateIdParam, getIncident);
+
+/**
+ * @swagger
+ * /api/admin/incidents/{id}/acknowledge:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Acknowledge an SOS incident (Admin only)
+ *     description: Marks an open incident as being handled and tells the employee the safety team is responding
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Incident acknowledged
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The incident is not open (INVALID_INCIDENT_STATUS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/incidents/:id/acknowledge', validateIdParam, acknowledgeIncident);
+
+/**
+ * @swagger
+ * /api/admin/incidents/{id}/resolve:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Resolve an SOS incident (Admin only)
+ *     description: Closes an open or acknowledged incident with a note of what was done
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [resolution]
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 example: "Called the employee; driver took a detour due to road works. Employee reached home safely."
+ *     responses:
+ *       200:
+ *         description: Incident resolved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The incident is already resolved (INVALID_INCIDENT_STATUS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/incidents/:id/resolve', validateIncidentResolution, resolveIncident);
 
 /**
  * @swagger
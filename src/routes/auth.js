@@ -84,6 +84,14 @@ router.post('/login', validateUserLogin, login);
  *                         token:
  *                           type: string
  *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                         expiresAt:
+ *                           type: string
+ *                           format: date-time
+ *                         refreshToken:
+ *                           type: string
+ *                         refreshTokenExpiresAt:
+ *                           type: string
+ *                           format: date-time
  *                         user:
  *                           $ref: '#/components/schemas/User'
  *             example:
@@ -91,6 +99,9 @@ router.post('/login', validateUserLogin, login);
  *               message: "User registered successfully"
  *               data:
  *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 expiresAt: "2024-01-15T10:45:00.000Z"
+ *                 refreshToken: "5f1c9e0b7a..."
+ *                 refreshTokenExpiresAt: "2024-02-14T10:30:00.000Z"
  *                 user:
  *                   _id: "60d5ecb74d8b8e001c8e4b1a"
  *                   firstName: "John"
@@ -214,7 +225,9 @@ router.get('/me', protect, getMe);
  *   put:
  *     tags: [Authentication]
  *     summary: Update user profile
- *     description: Update the profile information of the authenticated user
+ *     description: |
+ *       Update the profile information of the authenticated user. Only the fields below can be
+ *       changed here; department, role, manager and ride limits are set by admins.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -233,14 +246,15 @@ router.get('/me', protect, getMe);
  *               phone:
  *                 type: string
  *                 example: "+91-9876543210"
- *               department:
- *                 type: string
- *                 example: "Marketing"
+ *               emergencyContacts:
+ *                 type: array
+ *                 description: Up to 3 contacts alerted when you raise an SOS; replaces the saved list
+ *                 items:
+ *                   $ref: '#/components/schemas/EmergencyContact'
  *           example:
  *             firstName: "John"
  *             lastName: "Smith"
  *             phone: "+91-9876543210"
- *             department: "Marketing"
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -309,7 +323,9 @@ router.put('/change-password', protect, validatePasswordChange, changePassword);
  *   post:
  *     tags: [Authentication]
  *     summary: Logout user
- *     description: Logout the authenticated user and invalidate the session
+ *     description: |
+ *       Ends the current login session: its access token and refresh tokens stop working right away.
+ *       Other sessions of the user (other devices) stay logged in.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -330,7 +346,9 @@ router.post('/logout', protect, logout);
  *   post:
  *     tags: [Authentication]
  *     summary: Forgot password
- *     description: Send password reset token to user's email
+ *     description: |
+ *       Email the user a password reset link. The token is only delivered by email, which is sent
+ *       from the background job queue (see the admin email logs for its delivery status).
  *     requestBody:
  *       required: true
  *       content:
@@ -398,7 +416,11 @@ router.put('/reset-password/:resetToken', resetPassword);
  *   post:
  *     tags: [Authentication]
  *     summary: Refresh access token
- *     description: Get a new access token using refresh token
+ *     description: |
+ *       Trades the refresh token returned by login, registration or the previous refresh for a new
+ *       short-lived access token and a new refresh token. Each refresh token works once: presenting
+ *       one that was already used ends the whole session (REFRESH_TOKEN_REUSED), since it means the
+ *       token was copied. A refresh token expires after REFRESH_TOKEN_EXPIRE_DAYS without use.
  *     requestBody:
  *       required: true
  *       content:
@@ -409,10 +431,10 @@ router.put('/reset-password/:resetToken', resetPassword);
  *             properties:
  *               refreshToken:
  *                 type: string
- *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 example: "5f1c9e0b7a..."
  *     responses:
  *       200:
- *         description: New access token generated
+ *         description: New access token and refresh token issued
  *         content:
  *           application/json:
  *             schema:
@@ -425,10 +447,26 @@ router.put('/reset-password/:resetToken', resetPassword);
  *                       properties:
  *                         token:
  *                           type: string
+ *                         expiresAt:
+ *                           type: string
+ *                           format: date-time
+ *                         refreshToken:
+ *                           type: string
+ *                         refreshTokenExpiresAt:
+ *                           type: string
+ *                           format: date-time
  *                         user:
  *                           $ref: '#/components/schemas/User'
  *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *         description: The refresh token is invalid or expired (INVALID_REFRESH_TOKEN) or was already used (REFRESH_TOKEN_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Refresh token was already used; the session has been ended"
+ *               code: REFRESH_TOKEN_REUSED
  */
 router.post('/refresh', refreshToken);
 
@@ -0,0 +1,184 @@
+const express = require('express');
+const { postDriverLocation, postRideLocation } = require('../controllers/trackingController');
+const { getDriverOffers, acceptDispatchOffer, declineDispatchOffer } = require('../controllers/dispatchController');
+const { driverAuth } = require('../middleware/auth');
+const { validateLocationPing, validateRideLocationPing, validateDispatchOfferResponse } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All driver app routes require the driver's app token
+router.use(driverAuth);
+
+/**
+ * @swagger
+ * /api/driver/location:
+ *   post:
+ *     tags: [Driver App]
+ *     summary: Report the driver's position
+ *     description: Keeps the driver's last known position up to date between rides, for dispatch.
+ *     security:
+ *       - driverToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationPing'
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Missing or invalid driver token
+ */
+router.post('/location', validateLocationPing, postDriverLocation);
+
+/**
+ * @swagger
+ * /api/driver/rides/{id}/location:
+ *   post:
+ *     tags: [Driver App]
+ *     summary: Send a location ping for a ride in progress
+ *     description: |
+ *       Stores the ping on the ride's trip (kept for `TRACKING_RETENTION_DAYS`), updates the driver's
+ *       last known position and streams it to the ride owner as a `ride.location` event.
+ *       The actual fare is measured from these pings, so a ping recorded before the trip started
+ *       (PING_BEFORE_TRIP_START) or more than `TRACKING_MAX_PING_AGE_MINUTES` ago (PING_TOO_OLD)
+ *       is refused with a 400.
+ *     security:
+ *       - driverToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationPing'
+ *     responses:
+ *       201:
+ *         description: Ping stored
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Missing or invalid driver token
+ *       403:
+ *         description: The ride is not assigned to this driver
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The ride is not in progress (RIDE_NOT_IN_PROGRESS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/rides/:id/location', validateRideLocationPing, postRideLocation);
+
+/**
+ * @swagger
+ * /api/driver/offers:
+ *   get:
+ *     tags: [Driver App]
+ *     summary: Get the driver's open ride offers
+ *     description: Offers made to the driver that have not been answered and have not expired, soonest to expire first.
+ *     security:
+ *       - driverToken: []
+ *     responses:
+ *       200:
+ *         description: Open offers, with the ride's time, pickup and drop
+ *       401:
+ *         description: Missing or invalid driver token
+ */
+router.get('/offers', getDriverOffers);
+
+/**
+ * @swagger
+ * /api/driver/offers/{id}/accept:
+ *   post:
+ *     tags: [Driver App]
+ *     summary: Accept a ride offer
+ *     description: Assigns the ride to the driver and the offered vehicle. The offer must still be open.
+ *     security:
+ *       - driverToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Offer ID (from `GET /api/driver/offers` or the `dispatch.offered` webhook)
+ *     responses:
+ *       200:
+ *         description: Offer accepted; the ride is assigned to the driver
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Missing or invalid driver token
+ *       404:
+ *         description: No such offer was made to this driver
+ *       409:
+ *         description: |
+ *           The offer expired, was withdrawn or already answered, or the ride no longer needs a driver (OFFER_CLOSED);
+ *           or the driver is now booked for an overlapping ride (DRIVER_DOUBLE_BOOKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "This offer is no longer open (expired)"
+ *               code: OFFER_CLOSED
+ */
+router.post('/offers/:id/accept', validateDispatchOfferResponse, acceptDispatchOffer);
+
+/**
+ * @swagger
+ * /api/driver/offers/{id}/decline:
+ *   post:
+ *     tags: [Driver App]
+ *     summary: Decline a ride offer
+ *     description: The ride is offered to the next best driver straight away.
+ *     security:
+ *       - driverToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Offer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Too far from pickup"
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Missing or invalid driver token
+ *       404:
+ *         description: No such offer was made to this driver
+ *       409:
+ *         description: The offer is no longer open (OFFER_CLOSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/offers/:id/decline', validateDispatchOfferResponse, declineDispatchOffer);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const { streamEvents } = require('../controllers/eventController');
+const { streamAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/events/stream:
+ *   get:
+ *     tags: [Events]
+ *     summary: Real-time ride events (Server-Sent Events)
+ *     description: |
+ *       Opens a `text/event-stream` connection. Employees receive events for their own rides;
+ *       admins receive events for all rides. Event names are `ride.created`, `ride.approved`,
+ *       `ride.rejected`, `ride.cancelled`, `ride.driver_assigned`, `ride.started` and `ride.completed`;
+ *       each `data` line is a JSON object with `event`, `rideId`, `status`, `userId`, `pickup`, `drop`,
+ *       `scheduleTime` and `emittedAt`. A `connected` event is sent first and a comment line every 25 seconds.
+ *       Events reach the stream within about a second, whichever server instance handled the change.
+ *
+ *       While a ride is in progress, `ride.location` events carry the driver's position (`latitude`,
+ *       `longitude`, `speedKmh`, `heading`, `recordedAt`) as the driver app reports it.
+ *
+ *       A `ride.sos` event is sent when the employee raises an SOS, with the incident's `incidentId`,
+ *       last known `latitude`/`longitude`, `locationSource`, `message` and driver.
+ *
+ *       Authenticate with the usual `Authorization: Bearer <token>` header, or pass the same JWT as
+ *       the `token` query parameter when using a browser `EventSource`. When the login session is
+ *       ended (logout, password change or reset, refresh token reuse) a `session_ended` event is
+ *       sent and the stream is closed; reconnecting needs a token from a live session.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: JWT, for clients that cannot send an Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             example: |
+ *               event: ride.approved
+ *               data: {"event":"ride.approved","rideId":"60d5ecb74d8b8e001c8e4b1b","status":"approved"}
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/stream', streamAuth, streamEvents);
+
+module.exports = router;
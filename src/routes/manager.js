@@ -0,0 +1,211 @@
+const express = require('express');
+const {
+  getReports,
+  getReportRides,
+  approveReportRide,
+  rejectReportRide
+} = require('../controllers/managerController');
+const { protect, authorize } = require('../middleware/auth');
+const { validateIdParam, validateManagerRideQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All manager routes require manager authentication
+router.use(protect);
+router.use(authorize('manager'));
+
+/**
+ * @swagger
+ * /api/manager/reports:
+ *   get:
+ *     tags: [Manager]
+ *     summary: Get direct reports
+ *     description: List active employees whose managerId is the authenticated manager
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         reports:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/reports', getReports);
+
+/**
+ * @swagger
+ * /api/manager/rides:
+ *   get:
+ *     tags: [Manager]
+ *     summary: Get rides of direct reports
+ *     description: List rides booked by the manager's reports, optionally only those awaiting the manager's approval
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, in_progress, completed, cancelled]
+ *       - in: query
+ *         name: awaitingMyApproval
+ *         schema:
+ *           type: boolean
+ *         description: Only pending rides whose current step is this manager's decision
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Rides retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         rides:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Ride'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/rides', validateManagerRideQuery, getReportRides);
+
+/**
+ * @swagger
+ * /api/manager/rides/{id}/approve:
+ *   put:
+ *     tags: [Manager]
+ *     summary: Approve a report's ride
+ *     description: Approve the manager level of a report's ride. The ride is approved when no further level (e.g. finance) is pending.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *                 example: "Client visit"
+ *     responses:
+ *       200:
+ *         description: Approval recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         ride:
+ *                           $ref: '#/components/schemas/Ride'
+ *             example:
+ *               success: true
+ *               message: "Approval recorded; awaiting finance approval"
+ *       403:
+ *         description: Not the manager of the ride owner, the ride is awaiting another approver (code NOT_CURRENT_APPROVER), or the fare exceeds a blocking department budget (code BUDGET_EXCEEDED)
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Ride is not pending or has no pending approval step (code INVALID_STATUS_TRANSITION or NO_PENDING_APPROVAL)
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/rides/:id/approve', validateIdParam, approveReportRide);
+
+/**
+ * @swagger
+ * /api/manager/rides/{id}/reject:
+ *   put:
+ *     tags: [Manager]
+ *     summary: Reject a report's ride
+ *     description: Reject a report's ride at the manager level. This rejects the ride.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Please use the shuttle"
+ *     responses:
+ *       200:
+ *         description: Ride rejected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         ride:
+ *                           $ref: '#/components/schemas/Ride'
+ *       403:
+ *         description: Not the manager of the ride owner, or the ride is awaiting another approver (code NOT_CURRENT_APPROVER)
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Ride is not pending or has no pending approval step (code INVALID_STATUS_TRANSITION or NO_PENDING_APPROVAL)
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/rides/:id/reject', validateIdParam, rejectReportRide);
+
+module.exports = router;
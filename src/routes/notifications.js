@@ -1,22 +1,131 @@
 const express = require('express');
 const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+  deleteNotification,
   getAdminNotifications,
   getAdminNotificationCount
 } = require('../controllers/notificationController');
 const { protect, authorize } = require('../middleware/auth');
+const { validateNotificationQuery, validateIdParam } = require('../middleware/validation');
 
 const router = express.Router();
 
 // All notification routes require authentication
 router.use(protect);
 
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: Get notifications
+ *     description: Retrieve the authenticated user's notifications, newest first, with the unread count
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: read
+ *         schema:
+ *           type: boolean
+ *         description: Filter by read state
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by notification type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ *                       example: 3
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         notifications:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Notification'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', validateNotificationQuery, getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: Get unread notification count
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 unreadCount: 3
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     tags: [Notifications]
+ *     summary: Mark all notifications as read
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "All notifications marked as read"
+ *               data:
+ *                 updated: 3
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/read-all', markAllAsRead);
+
 /**
  * @swagger
  * /api/notifications/admin:
  *   get:
  *     tags: [Notifications]
  *     summary: Get admin notifications
- *     description: Retrieve notifications for admin users
+ *     description: Retrieve the 10 most recent notifications of the authenticated admin
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -31,13 +140,93 @@ router.get('/admin', authorize('admin'), getAdminNotifications);
  *   get:
  *     tags: [Notifications]
  *     summary: Get admin notification count
- *     description: Get count of pending notifications for admin
+ *     description: Get the admin's unread notification count and the number of pending rides
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Notification count retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 pendingRides: 5
+ *                 unreadCount: 2
+ *                 totalNotifications: 2
  */
 router.get('/admin/count', authorize('admin'), getAdminNotificationCount);
 
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     tags: [Notifications]
+ *     summary: Mark notification as read
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/:id/read', validateIdParam, markAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/unread:
+ *   put:
+ *     tags: [Notifications]
+ *     summary: Mark notification as unread
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as unread
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/:id/unread', validateIdParam, markAsUnread);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     tags: [Notifications]
+ *     summary: Delete notification
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/:id', validateIdParam, deleteNotification);
+
 module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  skipScheduleDates
+} = require('../controllers/rideScheduleController');
+const { protect } = require('../middleware/auth');
+const {
+  validateRideSchedule,
+  validateRideScheduleUpdate,
+  validateSchedulePause,
+  validateScheduleSkip,
+  validateIdParam
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All schedule routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/rides/schedules:
+ *   get:
+ *     tags: [Ride Schedules]
+ *     summary: Get recurring ride schedules
+ *     description: Retrieve the authenticated user's recurring ride schedules
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Schedules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         schedules:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/RideSchedule'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     tags: [Ride Schedules]
+ *     summary: Create recurring ride schedule
+ *     description: Create a weekly schedule. Rides are generated a configurable number of days ahead (RIDE_SCHEDULE_LOOKAHEAD_DAYS) and go through the normal approval flow.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RideScheduleRequest'
+ *           example:
+ *             name: "Evening shift drop"
+ *             pickupPlaceId: "60d5ecb74d8b8e001c8e4b2b"
+ *             dropPlaceId: "60d5ecb74d8b8e001c8e4b2a"
+ *             daysOfWeek: [1, 2, 3, 4, 5]
+ *             time: "18:30"
+ *             startDate: "2024-01-15"
+ *             endDate: "2024-06-30"
+ *     responses:
+ *       201:
+ *         description: Schedule created and upcoming rides generated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router
+  .route('/')
+  .get(getSchedules)
+  .post(validateRideSchedule, createSchedule);
+
+/**
+ * @swagger
+ * /api/rides/schedules/{id}:
+ *   get:
+ *     tags: [Ride Schedules]
+ *     summary: Get ride schedule
+ *     description: Retrieve a schedule with its upcoming generated rides
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     tags: [Ride Schedules]
+ *     summary: Update ride schedule
+ *     description: Update a schedule; upcoming rides not yet given a driver are regenerated from the new pattern. A day whose ride already has a driver keeps that ride.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RideScheduleRequest'
+ *     responses:
+ *       200:
+ *         description: Schedule updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags: [Ride Schedules]
+ *     summary: Delete ride schedule
+ *     description: Delete a schedule and cancel its upcoming rides
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router
+  .route('/:id')
+  .get(validateIdParam, getSchedule)
+  .put(validateRideScheduleUpdate, updateSchedule)
+  .delete(validateIdParam, deleteSchedule);
+
+/**
+ * @swagger
+ * /api/rides/schedules/{id}/pause:
+ *   put:
+ *     tags: [Ride Schedules]
+ *     summary: Pause ride schedule
+ *     description: Pause a schedule indefinitely or until a date; upcoming rides inside the pause are cancelled
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-01-22T00:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Schedule paused successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/pause', validateSchedulePause, pauseSchedule);
+
+/**
+ * @swagger
+ * /api/rides/schedules/{id}/resume:
+ *   put:
+ *     tags: [Ride Schedules]
+ *     summary: Resume ride schedule
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule resumed and upcoming rides generated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/resume', validateIdParam, resumeSchedule);
+
+/**
+ * @swagger
+ * /api/rides/schedules/{id}/skip:
+ *   put:
+ *     tags: [Ride Schedules]
+ *     summary: Skip dates on ride schedule
+ *     description: Skip specific local dates (e.g. holidays); rides already generated for them are cancelled
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [dates]
+ *             properties:
+ *               dates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *                 example: ["2024-01-26"]
+ *     responses:
+ *       200:
+ *         description: Dates skipped successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/skip', validateScheduleSkip, skipScheduleDates);
+
+module.exports = router;
@@ -1,16 +1,28 @@
 const express = require('express');
 const {
+  estimateFare,
+  getRideQuota,
   createRide,
   getUserRides,
   getRide,
   updateRide,
   cancelRide,
-  deleteRide
+  deleteRide,
+  submitRideFeedback,
+  updateRidePooling
 } = require('../controllers/rideController');
+const { getTrack } = require('../controllers/trackingController');
+const { raiseRideSos } = require('../controllers/incidentController');
+const { shareRideLink, stopSharing } = require('../controllers/tripSharingController');
 const { protect } = require('../middleware/auth');
 const { 
   validateRideCreation, 
+  validateFareEstimate,
   validateRideUpdate, 
+  validateRideFeedback,
+  validateRidePooling,
+  validateSos,
+  validateRideShare,
   validateQueryParams,
   validateIdParam
 } = require('../middleware/validation');
@@ -130,12 +142,105 @@ router.use(validateQueryParams);
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Ride breaks a limit (code RIDE_FARE_LIMIT_EXCEEDED, WEEKLY_RIDE_LIMIT_EXCEEDED or MONTHLY_SPEND_LIMIT_EXCEEDED), or the fare exceeds the department's remaining budget and the budget blocks overspending (code BUDGET_EXCEEDED)
  */
 router
   .route('/')
   .get(getUserRides)
   .post(validateRideCreation, createRide);
 
+/**
+ * @swagger
+ * /api/rides/estimate:
+ *   post:
+ *     tags: [Rides]
+ *     summary: Estimate ride fare
+ *     description: |
+ *       Calculate a fare breakdown from the rate card before booking a ride. The trip is priced
+ *       the same way as at booking: distance from the pickup and drop coordinates (or saved
+ *       places), else the rate card's default distance, so the estimate matches the booked fare.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pickup:
+ *                 $ref: '#/components/schemas/Location'
+ *               drop:
+ *                 $ref: '#/components/schemas/Location'
+ *               pickupPlaceId:
+ *                 type: string
+ *                 description: Saved place to use as the pickup
+ *               dropPlaceId:
+ *                 type: string
+ *                 description: Saved place to use as the drop
+ *               vehicleClass:
+ *                 type: string
+ *                 enum: [bike, auto, sedan, suv]
+ *                 example: sedan
+ *               scheduleTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-01-15T10:30:00.000Z"
+ *     responses:
+ *       200:
+ *         description: Fare estimated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         estimatedFare:
+ *                           type: number
+ *                           example: 351
+ *                         fareBreakdown:
+ *                           $ref: '#/components/schemas/FareBreakdown'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/estimate', validateFareEstimate, estimateFare);
+
+/**
+ * @swagger
+ * /api/rides/quota:
+ *   get:
+ *     tags: [Rides]
+ *     summary: Get ride quota
+ *     description: The authenticated user's ride limits (personal, else department default) and what is left this week and month. Pending, approved, in-progress and completed rides count; completed rides at their actual fare.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quota retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         quota:
+ *                           $ref: '#/components/schemas/RideQuota'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/quota', getRideQuota);
+
 /**
  * @swagger
  * /api/rides/{id}:
@@ -177,7 +282,11 @@ router
  *   put:
  *     tags: [Rides]
  *     summary: Update ride
- *     description: Update a pending ride request (only pickup, drop, and scheduleTime can be updated)
+ *     description: |
+ *       Update a pending ride request (only pickup, drop, and scheduleTime can be updated).
+ *       A route or time change re-estimates the fare and checks it again against the employee's
+ *       quota and the department budget (403 BUDGET_EXCEEDED when the budget blocks it), then runs
+ *       the ride through the approval policies and approval chain again; it may be auto-approved.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -242,7 +351,7 @@ router
  *   delete:
  *     tags: [Rides]
  *     summary: Cancel ride
- *     description: Cancel a ride request (cannot cancel completed or already cancelled rides)
+ *     description: Cancel a pending or approved ride request
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -288,15 +397,357 @@ router
  *                   _id: "60d5ecb74d8b8e001c8e4b1b"
  *                   status: "cancelled"
  *                   cancellationReason: "Meeting postponed"
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransitionError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+
+/**
+ * @swagger
+ * /api/rides/{id}/feedback:
+ *   post:
+ *     tags: [Rides]
+ *     summary: Submit ride feedback
+ *     description: |
+ *       Rate a completed ride you booked. Each ride takes one feedback; posting again
+ *       within the edit window (24 hours by default) replaces it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *         example: "60d5ecb74d8b8e001c8e4b1b"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [punctuality, cleanliness, safety]
+ *           example:
+ *             rating: 4
+ *             comment: "Driver arrived on time, car could have been cleaner"
+ *             tags: ["punctuality", "cleanliness"]
+ *     responses:
+ *       201:
+ *         description: Feedback submitted successfully
+ *       200:
+ *         description: Feedback updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The ride is not completed or the edit window has closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Feedback can only be changed within 24 hours of submitting it"
+ *               code: FEEDBACK_EDIT_WINDOW_CLOSED
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/feedback', validateRideFeedback, submitRideFeedback);
+
+/**
+ * @swagger
+ * /api/rides/{id}/pooling:
+ *   put:
+ *     tags: [Rides]
+ *     summary: Opt a ride in or out of pooling
+ *     description: |
+ *       Opted-in approved rides are grouped with colleagues' rides from the same department that
+ *       have nearby pickups, drops and pickup times. A pooled ride's `estimatedFare` is its share of
+ *       the pooled fare; `pooling.soloFare` is what it would cost alone. Opting out leaves the pool
+ *       and restores the solo fare. Pooling cannot be changed once a driver is assigned.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [optIn]
+ *             properties:
+ *               optIn:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Pooling preference updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         ride:
+ *                           $ref: '#/components/schemas/Ride'
  *       400:
- *         description: Cannot cancel this ride
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The ride already has a driver or is no longer pending/approved
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *             example:
  *               success: false
- *               message: "Cannot cancel this ride"
+ *               message: "Pooling can only be changed before a driver is assigned"
+ *               code: RIDE_POOLING_LOCKED
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/:id/pooling', validateRidePooling, updateRidePooling);
+
+/**
+ * @swagger
+ * /api/rides/{id}/track:
+ *   get:
+ *     tags: [Rides]
+ *     summary: Track a ride
+ *     description: |
+ *       Latest driver position, travelled path and ETA to the drop, from the location pings of the
+ *       driver app. The ETA is only given while the ride is in progress. Live positions are also sent
+ *       as `ride.location` events on `GET /api/events/stream`. Available to the ride owner and admins.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *     responses:
+ *       200:
+ *         description: Ride track retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         track:
+ *                           $ref: '#/components/schemas/RideTrack'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:id/track', validateIdParam, getTrack);
+
+/**
+ * @swagger
+ * /api/rides/{id}/sos:
+ *   post:
+ *     tags: [Rides]
+ *     summary: Raise an SOS during a ride
+ *     description: |
+ *       Records a safety incident for the owner's ride in progress with the last known location
+ *       (the phone's position when sent, else the latest driver app ping, else the driver's last
+ *       known location). All admins are alerted in their inbox and as a `ride.sos` event on
+ *       `GET /api/events/stream`, emergency contacts on the employee's profile are emailed, and the
+ *       `incident.sos` webhook is sent. Raising an SOS again while the incident is unresolved
+ *       returns the same incident, and sends the alerts again if they did not go out the first time.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "Driver is not following the route"
+ *               latitude:
+ *                 type: number
+ *                 example: 12.9352
+ *               longitude:
+ *                 type: number
+ *                 example: 77.6245
+ *     responses:
+ *       201:
+ *         description: SOS raised
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         incident:
+ *                           $ref: '#/components/schemas/Incident'
+ *       200:
+ *         description: An SOS is already being handled for this ride
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The ride is not in progress (RIDE_NOT_IN_PROGRESS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/sos', validateSos, raiseRideSos);
+
+/**
+ * @swagger
+ * /api/rides/{id}/share:
+ *   post:
+ *     tags: [Rides]
+ *     summary: Share a ride with family
+ *     description: |
+ *       Creates a read-only public link (`GET /api/share/{token}`) showing the ride's status, driver and
+ *       vehicle, and live location. Only approved or in-progress rides can be shared. A new link replaces
+ *       the previous one. The link expires after `expiresInHours` (TRIP_SHARING_DEFAULT_HOURS when not
+ *       given, at most TRIP_SHARING_MAX_HOURS) and is revoked automatically when the ride ends. With
+ *       `notifyContacts`, the link is emailed to the emergency contacts on your profile.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 3
+ *               notifyContacts:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
+ *                           description: Only returned when the link is created
+ *                         url:
+ *                           type: string
+ *                           example: "http://localhost:3000/trip/9f2c..."
+ *                         expiresAt:
+ *                           type: string
+ *                           format: date-time
+ *                         notified:
+ *                           type: array
+ *                           description: Emails of the contacts the link was sent to
+ *                           items:
+ *                             type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The ride is not approved or in progress (RIDE_NOT_SHAREABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     tags: [Rides]
+ *     summary: Stop sharing a ride
+ *     description: Revokes the ride's share link
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ride ID
+ *     responses:
+ *       200:
+ *         description: Share link revoked (or the ride was not being shared)
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  *       404:
@@ -304,6 +755,10 @@ router
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
+router
+  .route('/:id/share')
+  .post(validateRideShare, shareRideLink)
+  .delete(validateIdParam, stopSharing);
 
 // Permanent deletion route (separate from cancel)
 router.delete('/:id/permanent', validateIdParam, deleteRide);
@@ -0,0 +1,59 @@
+const express = require('express');
+const { getSharedRide } = require('../controllers/tripSharingController');
+const { validateShareToken } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Family members following a shared ride have no accounts; the share token
+// created by the employee is all they need
+
+/**
+ * @swagger
+ * /api/share/{token}:
+ *   get:
+ *     tags: [Trip Sharing]
+ *     summary: Follow a shared ride
+ *     description: |
+ *       Read-only view of a ride shared by its employee: status, driver and vehicle, and the latest
+ *       position while the ride is in progress. Nothing else about the ride or the employee is shown.
+ *       The link stops working when it expires, when the employee revokes it, or when the ride ends.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token from `POST /api/rides/{id}/share`
+ *     responses:
+ *       200:
+ *         description: Shared ride retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         trip:
+ *                           $ref: '#/components/schemas/SharedTrip'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       410:
+ *         description: The link expired or was revoked, or the ride has ended (SHARE_LINK_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "This trip is no longer shared"
+ *               code: SHARE_LINK_EXPIRED
+ */
+router.get('/:token', validateShareToken, getSharedRide);
+
+module.exports = router;
@@ -5,15 +5,185 @@ const {
   getUser,
   updateUser,
   deleteUser,
-  deleteOwnAccount
+  deleteOwnAccount,
+  getSavedPlaces,
+  addSavedPlace,
+  updateSavedPlace,
+  deleteSavedPlace
 } = require('../controllers/userController');
 const { protect, authorize } = require('../middleware/auth');
+const {
+  validateSavedPlace,
+  validateSavedPlaceUpdate,
+  validatePlaceIdParam
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 // Route for users to delete their own account (no admin required)
 router.delete('/delete-account', protect, deleteOwnAccount);
 
+/**
+ * @swagger
+ * /api/users/me/places:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get saved places
+ *     description: Retrieve the authenticated user's saved places (home, office, favourites)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [home, office, favourite]
+ *         description: Filter places by category
+ *     responses:
+ *       200:
+ *         description: Saved places retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         places:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/SavedPlace'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     tags: [Users]
+ *     summary: Save a place
+ *     description: Save a place that can be used as pickupPlaceId or dropPlaceId when booking. Only one home and one office place are allowed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, address]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Home"
+ *               category:
+ *                 type: string
+ *                 enum: [home, office, favourite]
+ *                 example: home
+ *               address:
+ *                 type: string
+ *                 example: "42 MG Road, Bangalore"
+ *               latitude:
+ *                 type: number
+ *                 example: 12.9756
+ *               longitude:
+ *                 type: number
+ *                 example: 77.6066
+ *               landmark:
+ *                 type: string
+ *                 example: "Opposite City Mall"
+ *     responses:
+ *       201:
+ *         description: Place saved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         place:
+ *                           $ref: '#/components/schemas/SavedPlace'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router
+  .route('/me/places')
+  .get(protect, getSavedPlaces)
+  .post(protect, validateSavedPlace, addSavedPlace);
+
+/**
+ * @swagger
+ * /api/users/me/places/{placeId}:
+ *   put:
+ *     tags: [Users]
+ *     summary: Update saved place
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: placeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved place ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [home, office, favourite]
+ *               address:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               landmark:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Place updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     tags: [Users]
+ *     summary: Delete saved place
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: placeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved place ID
+ *     responses:
+ *       200:
+ *         description: Place deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router
+  .route('/me/places/:placeId')
+  .put(protect, validateSavedPlaceUpdate, updateSavedPlace)
+  .delete(protect, validatePlaceIdParam, deleteSavedPlace);
+
 // All user management routes require admin authentication
 router.use(protect);
 router.use(authorize('admin'));
@@ -176,11 +346,17 @@ router
  *                 example: "Marketing"
  *               role:
  *                 type: string
- *                 enum: [employee, admin]
- *                 example: "employee"
+ *                 enum: [user, manager, admin]
+ *                 example: "user"
+ *               managerId:
+ *                 type: string
+ *                 description: Must be an active manager or admin
+ *               rideLimits:
+ *                 $ref: '#/components/schemas/RideLimits'
  *               isActive:
  *                 type: boolean
  *                 example: true
+ *                 description: Setting false signs the user out of every session
  *           example:
  *             firstName: "John"
  *             lastName: "Smith"
@@ -212,7 +388,7 @@ router
  *   delete:
  *     tags: [User Management]
  *     summary: Deactivate user (Admin only)
- *     description: Soft delete a user by setting isActive to false
+ *     description: Soft delete a user by setting isActive to false. The user is signed out of every session and their event streams are closed.
  *     security:
  *       - bearerAuth: []
  *     parameters:
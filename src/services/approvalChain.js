@@ -0,0 +1,90 @@
+const ErrorResponse = require('../utils/errorResponse');
+const approvalConfig = require('../config/approvalChain');
+
+// Ordered approval steps for a ride: the employee's manager first, then
+// finance when the estimated fare is above the configured limit.
+// An empty chain means a single admin approval, as before.
+const buildApprovalChain = (ride, user) => {
+  const chain = [];
+
+  if (user.managerId) {
+    chain.push({
+      level: chain.length + 1,
+      role: 'manager',
+      approverId: user.managerId,
+      decision: 'pending'
+    });
+  }
+
+  if (ride.estimatedFare > approvalConfig.financeApprovalThreshold) {
+    chain.push({
+      level: chain.length + 1,
+      role: 'finance',
+      decision: 'pending'
+    });
+  }
+
+  return chain;
+};
+
+// First step still waiting for a decision, or null
+const getPendingStep = (ride) => {
+  return (ride.approvalChain || []).find(step => step.decision === 'pending') || null;
+};
+
+// Managers act only on the manager step of their own reports;
+// admins act on finance steps and may decide any step.
+const canActOnStep = (step, actor) => {
+  if (actor.role === 'admin') return true;
+  return step.role === 'manager' &&
+    actor.role === 'manager' &&
+    step.approverId &&
+    step.approverId.toString() === actor.id;
+};
+
+// Record an approver's decision on the current step. A rejection rejects the
+// ride; the ride is approved once every step has been approved.
+// Returns the step that was decided; the caller saves the ride.
+const recordDecision = (ride, actor, decision, comment) => {
+  // Decisions are only possible while the ride itself can still move
+  if (!ride.constructor.canTransition(ride.status, decision)) {
+    throw new ErrorResponse(
+      `Cannot change ride status from ${ride.status} to ${decision}`,
+      409,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  const step = getPendingStep(ride);
+  if (!step) {
+    throw new ErrorResponse('Ride has no pending approval step', 409, 'NO_PENDING_APPROVAL');
+  }
+
+  if (!canActOnStep(step, actor)) {
+    throw new ErrorResponse(
+      `Ride is awaiting ${step.role} approval (level ${step.level})`,
+      403,
+      'NOT_CURRENT_APPROVER'
+    );
+  }
+
+  step.decision = decision;
+  step.decidedBy = actor.id;
+  step.decidedAt = new Date();
+  step.comment = comment;
+
+  if (decision === 'rejected') {
+    ride.transitionTo('rejected', { by: actor.id, reason: comment });
+  } else if (!getPendingStep(ride)) {
+    ride.transitionTo('approved', { by: actor.id, reason: comment });
+  }
+
+  return step;
+};
+
+module.exports = {
+  buildApprovalChain,
+  getPendingStep,
+  canActOnStep,
+  recordDecision
+};
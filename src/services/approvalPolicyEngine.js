@@ -0,0 +1,107 @@
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const { getLocalTime, parseTime } = require('../utils/time');
+const { logAdminAction } = require('./auditLog');
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const inTimeWindow = (minutes, { start, end }) => {
+  const startMinutes = parseTime(start);
+  const endMinutes = parseTime(end);
+  // Windows such as 22:00 - 06:00 wrap around midnight
+  return startMinutes <= endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+};
+
+// Check whether every condition set on a policy matches the ride.
+// When the ride distance is unknown, distance conditions resolve in the
+// conservative direction: they match for require_approval policies and
+// never match for auto_approve policies.
+const matchesPolicy = (policy, ride, user) => {
+  const conditions = policy.conditions || {};
+  const distanceKm = isSet(ride.distanceKm) ? ride.distanceKm : null;
+  const { day, minutes } = getLocalTime(ride.scheduleTime);
+
+  if (isSet(conditions.maxFare) && ride.estimatedFare > conditions.maxFare) {
+    return false;
+  }
+
+  if (isSet(conditions.minDistanceKm) || isSet(conditions.maxDistanceKm)) {
+    if (distanceKm === null) {
+      if (policy.action !== 'require_approval') return false;
+    } else {
+      if (isSet(conditions.minDistanceKm) && distanceKm < conditions.minDistanceKm) return false;
+      if (isSet(conditions.maxDistanceKm) && distanceKm > conditions.maxDistanceKm) return false;
+    }
+  }
+
+  if (conditions.departments && conditions.departments.length > 0 &&
+      !conditions.departments.includes(user.department)) {
+    return false;
+  }
+
+  if (conditions.daysOfWeek && conditions.daysOfWeek.length > 0 &&
+      !conditions.daysOfWeek.includes(day)) {
+    return false;
+  }
+
+  if (conditions.timeWindow && conditions.timeWindow.start && conditions.timeWindow.end &&
+      !inTimeWindow(minutes, conditions.timeWindow)) {
+    return false;
+  }
+
+  return true;
+};
+
+// First matching policy in priority order, or null
+const evaluatePolicies = (policies, ride, user) => {
+  return policies.find(policy => matchesPolicy(policy, ride, user)) || null;
+};
+
+// Evaluate active policies for a newly booked ride, record the matched rule
+// on the ride and auto-approve it when the rule says so.
+const applyApprovalPolicies = async (ride, user) => {
+  const policies = await ApprovalPolicy.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+  const policy = evaluatePolicies(policies, ride, user);
+  if (!policy) return null;
+
+  ride.approvalPolicy = {
+    policyId: policy._id,
+    name: policy.name,
+    action: policy.action,
+    evaluatedAt: new Date()
+  };
+
+  if (policy.action === 'auto_approve') {
+    const reason = `Auto-approved by policy "${policy.name}"`;
+    ride.transitionTo('approved', { reason });
+    ride.approvedAt = new Date();
+    ride.autoApproved = true;
+    await ride.save();
+
+    await logAdminAction({
+      actorType: 'system',
+      action: 'auto_approve_ride',
+      targetType: 'ride',
+      targetId: ride._id,
+      reason,
+      details: {
+        rideId: ride._id,
+        userId: ride.userId,
+        policyId: policy._id,
+        policyName: policy.name,
+        estimatedFare: ride.estimatedFare
+      }
+    });
+  } else {
+    await ride.save();
+  }
+
+  return policy;
+};
+
+module.exports = {
+  matchesPolicy,
+  evaluatePolicies,
+  applyApprovalPolicies
+};
@@ -0,0 +1,18 @@
+const AdminAction = require('../models/AdminAction');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+// Audit entries are written by the job queue, so a slow or failing write
+// neither delays nor breaks the request that triggered it. The entry keeps
+// the time of the action rather than the time the job ran.
+registerJobHandler('audit.log', ({ loggedAt, ...entry }) => {
+  return AdminAction.create({ ...entry, createdAt: loggedAt });
+});
+
+// Record an admin, manager or system action
+const logAdminAction = (entry) => {
+  return enqueueJob('audit.log', { ...entry, loggedAt: new Date() });
+};
+
+module.exports = {
+  logAdminAction
+};
@@ -0,0 +1,133 @@
+const Budget = require('../models/Budget');
+const Ride = require('../models/Ride');
+const ErrorResponse = require('../utils/errorResponse');
+const { toLocalMonth, getLocalMonthRange } = require('../utils/time');
+const { notifyBudgetAlert } = require('../controllers/notificationController');
+
+// Ride statuses that use up budget; pending, rejected and cancelled rides do not
+const BUDGET_STATUSES = ['approved', 'in_progress', 'completed'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Consumed (completed rides, actual fare where known) and committed
+// (approved or in-progress rides, estimated fare) spend against a budget
+const getBudgetUsage = async (budget, { excludeRideId } = {}) => {
+  const { start, end } = getLocalMonthRange(budget.month);
+  const match = {
+    status: { $in: BUDGET_STATUSES },
+    scheduleTime: { $gte: start, $lt: end }
+  };
+  if (excludeRideId) {
+    match._id = { $ne: excludeRideId };
+  }
+
+  const [totals] = await Ride.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    { $match: { 'user.department': budget.department } },
+    {
+      $group: {
+        _id: null,
+        rides: { $sum: 1 },
+        consumed: {
+          $sum: {
+            $cond: [
+              { $eq: ['$status', 'completed'] },
+              { $ifNull: ['$actualFare', '$estimatedFare'] },
+              0
+            ]
+          }
+        },
+        committed: {
+          $sum: {
+            $cond: [{ $eq: ['$status', 'completed'] }, 0, '$estimatedFare']
+          }
+        }
+      }
+    }
+  ]);
+
+  const consumed = round(totals?.consumed || 0);
+  const committed = round(totals?.committed || 0);
+  const spent = round(consumed + committed);
+
+  return {
+    department: budget.department,
+    month: budget.month,
+    amount: budget.amount,
+    enforcement: budget.enforcement,
+    rides: totals?.rides || 0,
+    consumed,
+    committed,
+    remaining: round(budget.amount - spent),
+    percentUsed: budget.amount > 0 ? round((spent / budget.amount) * 100) : null
+  };
+};
+
+// Check a ride's estimated fare against its department's budget for the month
+// of the ride. Records the result on ride.budgetCheck and throws when the
+// budget blocks overspending. Returns null when no budget is set.
+const checkRideBudget = async (ride, department) => {
+  if (!department) return null;
+
+  const month = toLocalMonth(ride.scheduleTime);
+  const budget = await Budget.findOne({ department, month });
+  if (!budget) return null;
+
+  const usage = await getBudgetUsage(budget, { excludeRideId: ride._id });
+  const exceeded = ride.estimatedFare > usage.remaining;
+
+  if (exceeded && budget.enforcement === 'block') {
+    throw new ErrorResponse(
+      `Ride fare exceeds the remaining ${department} budget for ${month} (${usage.remaining} left)`,
+      403,
+      'BUDGET_EXCEEDED'
+    );
+  }
+
+  ride.budgetCheck = {
+    budgetId: budget._id,
+    month,
+    remaining: usage.remaining,
+    exceeded,
+    checkedAt: new Date()
+  };
+
+  return ride.budgetCheck;
+};
+
+// Alert admins once per threshold as a department's spend crosses it
+const sendBudgetAlerts = async (department, date) => {
+  if (!department) return;
+
+  const budget = await Budget.findOne({ department, month: toLocalMonth(date) });
+  if (!budget) return;
+
+  const usage = await getBudgetUsage(budget);
+  if (usage.percentUsed === null) return;
+
+  const crossed = budget.alertThresholds.filter(threshold =>
+    usage.percentUsed >= threshold && !budget.alertsSent.includes(threshold)
+  );
+  if (!crossed.length) return;
+
+  budget.alertsSent.push(...crossed);
+  await budget.save();
+
+  await notifyBudgetAlert(budget, usage, Math.max(...crossed));
+};
+
+module.exports = {
+  BUDGET_STATUSES,
+  getBudgetUsage,
+  checkRideBudget,
+  sendBudgetAlerts
+};
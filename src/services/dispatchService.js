@@ -0,0 +1,322 @@
+const Ride = require('../models/Ride');
+const Driver = require('../models/Driver');
+const DispatchOffer = require('../models/DispatchOffer');
+const ErrorResponse = require('../utils/errorResponse');
+const dispatchConfig = require('../config/dispatch');
+const { BOOKED_STATUSES, findConflictingRide, getRiderCount, assignDriverToRide } = require('./driverService');
+const { haversineDistanceKm, getCoordinates } = require('../utils/geo');
+const { toLocalDate, fromLocalDateTime } = require('../utils/time');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { logAdminAction } = require('./auditLog');
+const { emitWebhookEvent, rideWebhookData } = require('./webhookService');
+const { shareDriverWithPool, isPoolFollower } = require('./ridePooling');
+const { notifyUserRideUpdate, notifyDispatchFailed } = require('../controllers/notificationController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A ride can be dispatched while it is approved and has no driver yet
+const needsDriver = (ride) => ride.status === 'approved' && !ride.driver?.driverId && !ride.driver?.name;
+
+// Rides the driver is already booked for on the local day of the ride
+const getDriverLoads = async (driverIds, scheduleTime) => {
+  const start = fromLocalDateTime(toLocalDate(scheduleTime), '00:00');
+  const loads = await Ride.aggregate([
+    {
+      $match: {
+        'driver.driverId': { $in: driverIds },
+        status: { $in: BOOKED_STATUSES },
+        scheduleTime: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) }
+      }
+    },
+    { $group: { _id: '$driver.driverId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(loads.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Offers made since the ride's current dispatch started
+const currentOffersQuery = (ride) => ({
+  rideId: ride._id,
+  createdAt: { $gte: ride.dispatch.startedAt }
+});
+
+// The best active driver whose default vehicle matches the ride's class and
+// seats its riders, who is free at the ride's time and has no other open
+// offer. Drivers already offered the ride in the current dispatch are left out.
+const findBestCandidate = async (ride) => {
+  const offered = await DispatchOffer.distinct('driverId', currentOffersQuery(ride));
+  const busy = await DispatchOffer.distinct('driverId', { status: 'offered' });
+  const excluded = [...offered, ...busy];
+
+  const drivers = await Driver.find({
+    isActive: true,
+    defaultVehicleId: { $exists: true },
+    _id: { $nin: excluded }
+  }).populate('defaultVehicleId');
+
+  const pickup = getCoordinates(ride.pickup);
+  const riders = await getRiderCount(ride);
+  const loads = await getDriverLoads(drivers.map(driver => driver._id), ride.scheduleTime);
+
+  const candidates = [];
+  for (const driver of drivers) {
+    const vehicle = driver.defaultVehicleId;
+    if (!vehicle || !vehicle.isActive || vehicle.vehicleClass !== ride.vehicleClass) continue;
+    if (vehicle.capacity < riders) continue;
+
+    const position = driver.lastLocation?.coordinates;
+    const distanceKm = pickup && position?.length === 2
+      ? Math.round(haversineDistanceKm(position, pickup) * 100) / 100
+      : null;
+    if (distanceKm !== null && distanceKm > dispatchConfig.maxPickupDistanceKm) continue;
+
+    const load = loads.get(driver._id.toString()) || 0;
+    const score = (distanceKm ?? dispatchConfig.unknownDistanceKm) * dispatchConfig.distanceWeight +
+      load * dispatchConfig.loadWeight;
+
+    candidates.push({ driver, vehicle, distanceKm, load, score: Math.round(score * 100) / 100 });
+  }
+
+  candidates.sort((a, b) => a.score - b.score);
+
+  // Availability needs a query per driver, so only check as many as needed
+  for (const candidate of candidates) {
+    const conflict = await findConflictingRide(ride, {
+      driverId: candidate.driver._id,
+      vehicleId: candidate.vehicle._id
+    });
+    if (!conflict) return candidate;
+  }
+  return null;
+};
+
+const markDispatchFailed = async (ride, reason) => {
+  ride.dispatch.status = 'failed';
+  ride.dispatch.failureReason = reason;
+  ride.dispatch.updatedAt = new Date();
+  await ride.save();
+
+  await notifyDispatchFailed(ride._id, reason);
+};
+
+// Offer the ride to the best remaining candidate, or give up when there is
+// none left or the offer limit is reached
+const offerToNextCandidate = async (ride, { requestedBy } = {}) => {
+  if (!ride.dispatch.startedAt) {
+    ride.dispatch.startedAt = new Date();
+  }
+
+  const attempt = await DispatchOffer.countDocuments(currentOffersQuery(ride)) + 1;
+  if (attempt > dispatchConfig.maxOffers) {
+    await markDispatchFailed(ride, `No driver accepted after ${dispatchConfig.maxOffers} offers`);
+    return null;
+  }
+
+  const candidate = await findBestCandidate(ride);
+  if (!candidate) {
+    await markDispatchFailed(ride, 'No available driver matches the ride');
+    return null;
+  }
+
+  const offer = await DispatchOffer.create({
+    rideId: ride._id,
+    driverId: candidate.driver._id,
+    vehicleId: candidate.vehicle._id,
+    attempt,
+    distanceKm: candidate.distanceKm,
+    load: candidate.load,
+    score: candidate.score,
+    expiresAt: new Date(Date.now() + dispatchConfig.offerTimeoutSeconds * 1000),
+    requestedBy
+  });
+
+  ride.dispatch.status = 'offered';
+  ride.dispatch.offers = attempt;
+  ride.dispatch.failureReason = undefined;
+  ride.dispatch.updatedAt = new Date();
+  await ride.save();
+
+  // Integrations are told about the offer; only the driver can answer it,
+  // with their driver app token, so nothing here lets anyone else accept it
+  await emitWebhookEvent('dispatch.offered', {
+    offerId: offer._id,
+    expiresAt: offer.expiresAt,
+    driver: {
+      driverId: candidate.driver._id,
+      name: candidate.driver.name,
+      phone: candidate.driver.phone
+    },
+    vehicleId: candidate.vehicle._id,
+    distanceKm: candidate.distanceKm,
+    ride: rideWebhookData(ride)
+  });
+
+  return offer;
+};
+
+// Withdraw the ride's open offers (e.g. before a restart or a manual assignment)
+const cancelOpenOffers = (rideId) => {
+  return DispatchOffer.updateMany(
+    { rideId, status: 'offered' },
+    { status: 'cancelled', respondedAt: new Date() }
+  );
+};
+
+// Start (or restart) dispatching a ride
+const dispatchRide = async (ride, { requestedBy } = {}) => {
+  if (!needsDriver(ride)) {
+    throw new ErrorResponse('Only approved rides without a driver can be dispatched', 409, 'RIDE_NOT_DISPATCHABLE');
+  }
+  if (isPoolFollower(ride)) {
+    throw new ErrorResponse('This ride is pooled; dispatch the lead ride of its pool', 409, 'RIDE_NOT_DISPATCHABLE');
+  }
+
+  // Each dispatch starts over, so drivers offered before may be asked again
+  await cancelOpenOffers(ride._id);
+  ride.dispatch = { startedAt: new Date() };
+
+  return offerToNextCandidate(ride, { requestedBy });
+};
+
+// Open offers waiting for a driver's answer
+const getOpenOffers = (driver) => {
+  return DispatchOffer.find({
+    driverId: driver._id,
+    status: 'offered',
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('rideId', 'scheduleTime pickup drop vehicleClass')
+    .populate('vehicleId', 'registrationNumber make model vehicleClass')
+    .sort({ expiresAt: 1 });
+};
+
+// Answer an open offer made to the driver. The offer is claimed atomically,
+// so it is answered once even when two answers (or its expiry) race.
+const answerOpenOffer = async (offerId, driver, answer) => {
+  const offer = await DispatchOffer.findOneAndUpdate(
+    { _id: offerId, driverId: driver._id, status: 'offered', expiresAt: { $gt: new Date() } },
+    { ...answer, respondedAt: new Date() },
+    { new: true }
+  );
+  if (offer) return offer;
+
+  const existing = await DispatchOffer.findById(offerId);
+  if (!existing || !existing.driverId.equals(driver._id)) {
+    throw new ErrorResponse('Offer not found', 404);
+  }
+  throw new ErrorResponse(`This offer is no longer open (${existing.status === 'offered' ? 'expired' : existing.status})`, 409, 'OFFER_CLOSED');
+};
+
+const acceptOffer = async (offerId, driver) => {
+  const offer = await answerOpenOffer(offerId, driver, { status: 'accepted' });
+  const ride = await Ride.findById(offer.rideId);
+
+  if (!ride || !needsDriver(ride)) {
+    offer.status = 'cancelled';
+    await offer.save();
+    throw new ErrorResponse('The ride no longer needs a driver', 409, 'OFFER_CLOSED');
+  }
+
+  try {
+    await assignDriverToRide(ride, { driverId: offer.driverId, vehicleId: offer.vehicleId });
+  } catch (error) {
+    // The driver could not take the ride after all; leave the offer to expire
+    offer.status = 'offered';
+    offer.respondedAt = undefined;
+    await offer.save();
+    throw error;
+  }
+  ride.dispatch.status = 'assigned';
+  ride.dispatch.updatedAt = new Date();
+  await ride.save();
+
+  await notifyUserRideUpdate(ride._id, 'driver_assigned');
+  await shareDriverWithPool(ride);
+  await logAdminAction({
+    actorType: 'system',
+    action: 'dispatch_driver',
+    targetType: 'ride',
+    targetId: ride._id,
+    details: {
+      rideId: ride._id,
+      offerId: offer._id,
+      attempt: offer.attempt,
+      driver: ride.driver
+    }
+  });
+
+  return { offer, ride };
+};
+
+const declineOffer = async (offerId, driver, reason) => {
+  const offer = await answerOpenOffer(offerId, driver, { status: 'declined', declineReason: reason });
+
+  const ride = await Ride.findById(offer.rideId);
+  if (ride && needsDriver(ride)) {
+    await offerToNextCandidate(ride);
+  }
+
+  return offer;
+};
+
+// Dispatch the ride if it is due, otherwise the scheduler will pick it up
+const queueDispatch = async (ride) => {
+  if (!dispatchConfig.autoDispatch) return;
+  if (ride.scheduleTime.getTime() - Date.now() > dispatchConfig.leadMinutes * 60 * 1000) return;
+  await enqueueJob('dispatch.start', { rideId: ride._id });
+};
+
+registerJobHandler('dispatch.start', async ({ rideId }) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride || !needsDriver(ride) || ride.dispatch.status || isPoolFollower(ride)) return;
+  await offerToNextCandidate(ride);
+});
+
+// Scheduler job: move expired offers on to the next driver and start
+// dispatching approved rides that have come within the lead time
+const runDispatch = async (now = new Date()) => {
+  const result = { expired: 0, started: 0 };
+
+  const expired = await DispatchOffer.find({ status: 'offered', expiresAt: { $lte: now } });
+  for (const offer of expired) {
+    const closed = await DispatchOffer.updateOne(
+      { _id: offer._id, status: 'offered' },
+      { status: 'expired' }
+    );
+    if (!closed.modifiedCount) continue;
+    result.expired += 1;
+
+    const ride = await Ride.findById(offer.rideId);
+    if (ride && needsDriver(ride)) {
+      await offerToNextCandidate(ride);
+    }
+  }
+
+  if (dispatchConfig.autoDispatch) {
+    const due = await Ride.find({
+      status: 'approved',
+      'driver.name': { $exists: false },
+      'dispatch.status': { $exists: false },
+      // Pooled rides are dispatched once, through the pool's lead ride
+      'pooling.lead': { $ne: false },
+      scheduleTime: { $gt: now, $lte: new Date(now.getTime() + dispatchConfig.leadMinutes * 60 * 1000) }
+    });
+    for (const ride of due) {
+      await offerToNextCandidate(ride);
+      result.started += 1;
+    }
+  }
+
+  return result.expired || result.started ? result : null;
+};
+
+module.exports = {
+  findBestCandidate,
+  dispatchRide,
+  cancelOpenOffers,
+  getOpenOffers,
+  acceptOffer,
+  declineOffer,
+  queueDispatch,
+  runDispatch
+};
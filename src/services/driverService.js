@@ -0,0 +1,141 @@
+const Ride = require('../models/Ride');
+const Driver = require('../models/Driver');
+const Vehicle = require('../models/Vehicle');
+const RidePool = require('../models/RidePool');
+const ErrorResponse = require('../utils/errorResponse');
+const driverConfig = require('../config/drivers');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Rides that keep their driver and vehicle busy
+const BOOKED_STATUSES = ['approved', 'in_progress'];
+
+// Time a ride occupies its driver: pickup time to estimated drop-off
+const getRideWindow = (ride) => {
+  const minutes = ride.fareBreakdown?.durationMinutes || driverConfig.defaultRideMinutes;
+  const start = new Date(ride.scheduleTime);
+  return { start, end: new Date(start.getTime() + minutes * MINUTE_MS) };
+};
+
+// Another booked ride of the driver or vehicle that overlaps the ride,
+// allowing for the configured buffer between rides
+const findConflictingRide = async (ride, { driverId, vehicleId }) => {
+  const { start, end } = getRideWindow(ride);
+  const buffer = driverConfig.bookingBufferMinutes * MINUTE_MS;
+
+  const assignees = [{ 'driver.driverId': driverId }];
+  if (vehicleId) assignees.push({ 'driver.vehicleId': vehicleId });
+
+  // Rides of the same pool share their driver
+  const samePool = ride.pooling?.poolId ? { 'pooling.poolId': { $ne: ride.pooling.poolId } } : {};
+
+  const candidates = await Ride.find({
+    _id: { $ne: ride._id },
+    ...samePool,
+    status: { $in: BOOKED_STATUSES },
+    $or: assignees,
+    scheduleTime: { $gt: new Date(start.getTime() - DAY_MS), $lt: new Date(end.getTime() + buffer) }
+  }).select('scheduleTime fareBreakdown.durationMinutes driver status');
+
+  return candidates.find(other => {
+    const window = getRideWindow(other);
+    return window.start.getTime() < end.getTime() + buffer &&
+      window.end.getTime() + buffer > start.getTime();
+  }) || null;
+};
+
+// Details of the driver and vehicle copied onto the ride, so it keeps showing
+// who drove even if the registry entries change later
+const buildDriverSnapshot = (driver, vehicle) => ({
+  driverId: driver._id,
+  vehicleId: vehicle._id,
+  name: driver.name,
+  phone: driver.phone,
+  vehicle: vehicle.displayName,
+  registrationNumber: vehicle.registrationNumber,
+  vendor: driver.vendor || vehicle.vendor,
+  rating: driver.rating?.average
+});
+
+// Passengers the ride's vehicle carries: every rider of its pool, or one
+const getRiderCount = async (ride) => {
+  if (!ride.pooling?.poolId) return 1;
+  const pool = await RidePool.findById(ride.pooling.poolId).select('status riders');
+  return pool?.status === 'active' ? pool.riders.length : 1;
+};
+
+// Validate a driver/vehicle for a ride and set them on it (the caller saves).
+// Falls back to the driver's default vehicle when no vehicle is given.
+const assignDriverToRide = async (ride, { driverId, vehicleId }) => {
+  const driver = await Driver.findById(driverId);
+  if (!driver || !driver.isActive) {
+    throw new ErrorResponse('Driver not found or inactive', 400, 'DRIVER_UNAVAILABLE');
+  }
+
+  const vehicle = await Vehicle.findById(vehicleId || driver.defaultVehicleId);
+  if (!vehicle || !vehicle.isActive) {
+    throw new ErrorResponse(
+      vehicleId || driver.defaultVehicleId ? 'Vehicle not found or inactive' : 'Driver has no default vehicle; provide a vehicleId',
+      400,
+      'VEHICLE_UNAVAILABLE'
+    );
+  }
+
+  if (vehicle.vehicleClass !== ride.vehicleClass) {
+    throw new ErrorResponse(
+      `Ride was booked for a ${ride.vehicleClass} but the vehicle is a ${vehicle.vehicleClass}`,
+      400,
+      'VEHICLE_CLASS_MISMATCH'
+    );
+  }
+
+  const riders = await getRiderCount(ride);
+  if (vehicle.capacity < riders) {
+    throw new ErrorResponse(
+      `The pooled ride carries ${riders} riders but the vehicle seats ${vehicle.capacity}`,
+      400,
+      'VEHICLE_CAPACITY_EXCEEDED'
+    );
+  }
+
+  const conflict = await findConflictingRide(ride, { driverId: driver._id, vehicleId: vehicle._id });
+  if (conflict) {
+    const busy = conflict.driver.driverId?.equals(driver._id) ? 'Driver' : 'Vehicle';
+    throw new ErrorResponse(
+      `${busy} is already booked for an overlapping ride at ${conflict.scheduleTime.toISOString()}`,
+      409,
+      'DRIVER_DOUBLE_BOOKED'
+    );
+  }
+
+  ride.driver = buildDriverSnapshot(driver, vehicle);
+  ride.driverAssignedAt = new Date();
+  return { driver, vehicle };
+};
+
+// Recompute a driver's average rating from ride feedback
+const refreshDriverRating = async (driverId) => {
+  const [stats] = await Ride.aggregate([
+    { $match: { 'driver.driverId': driverId, 'feedback.rating': { $exists: true } } },
+    { $group: { _id: null, average: { $avg: '$feedback.rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Driver.updateOne(
+    { _id: driverId },
+    {
+      rating: stats
+        ? { average: Math.round(stats.average * 10) / 10, count: stats.count }
+        : { count: 0 }
+    }
+  );
+};
+
+module.exports = {
+  BOOKED_STATUSES,
+  getRideWindow,
+  findConflictingRide,
+  getRiderCount,
+  assignDriverToRide,
+  refreshDriverRating
+};
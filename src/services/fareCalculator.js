@@ -0,0 +1,106 @@
+const rateCard = require('../config/fareRates');
+const ErrorResponse = require('../utils/errorResponse');
+const { getLocalTime } = require('../utils/time');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Local hour/day of the trip, in the app's time zone
+const getLocalHour = (scheduleTime) => {
+  const { day, minutes } = getLocalTime(scheduleTime);
+  return {
+    hour: Math.floor(minutes / 60),
+    day
+  };
+};
+
+const isWithinWindow = (hour, startHour, endHour) => {
+  // Windows such as 22 -> 6 wrap around midnight
+  return startHour <= endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour;
+};
+
+// Surcharge rules receive the trip and the pre-surcharge subtotal and
+// return { code, label, amount } or null when they do not apply.
+const nightSurcharge = (trip, subtotal, rates) => {
+  const config = rates.nightSurcharge;
+  if (!config || !trip.scheduleTime) return null;
+
+  const { hour } = getLocalHour(trip.scheduleTime);
+  if (!isWithinWindow(hour, config.startHour, config.endHour)) return null;
+
+  return {
+    code: 'night',
+    label: 'Night surcharge',
+    amount: round(subtotal * config.percent / 100)
+  };
+};
+
+const peakSurcharge = (trip, subtotal, rates) => {
+  const config = rates.peakSurcharge;
+  if (!config || !trip.scheduleTime) return null;
+
+  const { hour, day } = getLocalHour(trip.scheduleTime);
+  const inPeak = config.days.includes(day) &&
+    config.windows.some(window => isWithinWindow(hour, window.startHour, window.endHour));
+  if (!inPeak) return null;
+
+  return {
+    code: 'peak',
+    label: 'Peak hour surcharge',
+    amount: round(subtotal * config.percent / 100)
+  };
+};
+
+const defaultSurcharges = [nightSurcharge, peakSurcharge];
+
+// Calculate a fare breakdown for a trip.
+// trip: { distanceKm, durationMinutes, vehicleClass, scheduleTime }
+const calculateFare = (trip = {}, options = {}) => {
+  const rates = options.rateCard || rateCard;
+  const surcharges = options.surcharges || defaultSurcharges;
+
+  const vehicleClass = trip.vehicleClass || rates.defaultVehicleClass;
+  const classRates = rates.vehicleClasses[vehicleClass];
+  if (!classRates) {
+    throw new ErrorResponse(`Unknown vehicle class: ${vehicleClass}`, 400);
+  }
+
+  const distanceKm = round(trip.distanceKm != null ? Number(trip.distanceKm) : rates.defaultDistanceKm);
+  const durationMinutes = Math.round(trip.durationMinutes != null
+    ? Number(trip.durationMinutes)
+    : (distanceKm / rates.averageSpeedKmph) * 60);
+
+  const baseFare = classRates.baseFare;
+  const distanceFare = round(distanceKm * classRates.perKm);
+  const timeFare = round(durationMinutes * classRates.perMinute);
+  const subtotal = round(baseFare + distanceFare + timeFare);
+
+  const appliedSurcharges = surcharges
+    .map(rule => rule(trip, subtotal, rates))
+    .filter(Boolean);
+  const surchargeTotal = round(appliedSurcharges.reduce((sum, item) => sum + item.amount, 0));
+
+  const total = Math.round(Math.max(subtotal + surchargeTotal, rates.minimumFare));
+
+  return {
+    currency: rates.currency,
+    vehicleClass,
+    distanceKm,
+    durationMinutes,
+    baseFare,
+    distanceFare,
+    timeFare,
+    surcharges: appliedSurcharges,
+    minimumFareApplied: subtotal + surchargeTotal < rates.minimumFare,
+    total
+  };
+};
+
+module.exports = {
+  calculateFare,
+  nightSurcharge,
+  peakSurcharge,
+  defaultSurcharges,
+  vehicleClasses: Object.keys(rateCard.vehicleClasses)
+};
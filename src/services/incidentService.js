@@ -0,0 +1,163 @@
+const Incident = require('../models/Incident');
+const TripPoint = require('../models/TripPoint');
+const Driver = require('../models/Driver');
+const { notifyUsers, notifyAdmins } = require('./notificationService');
+const { publishRideEvent } = require('./realtime');
+const { sendTemplateEmail } = require('./mail/mailer');
+const { emitWebhookEvent, rideWebhookData } = require('./webhookService');
+
+// Best position we have for the ride right now
+const findLastKnownLocation = async (ride, { latitude, longitude } = {}) => {
+  if (latitude !== undefined && longitude !== undefined) {
+    return {
+      location: { type: 'Point', coordinates: [Number(longitude), Number(latitude)] },
+      locationSource: 'device',
+      locationRecordedAt: new Date()
+    };
+  }
+
+  const point = await TripPoint.findOne({ rideId: ride._id }).sort({ recordedAt: -1 });
+  if (point) {
+    return {
+      location: point.location,
+      locationSource: 'trip',
+      locationRecordedAt: point.recordedAt
+    };
+  }
+
+  const driver = ride.driver?.driverId
+    ? await Driver.findById(ride.driver.driverId).select('lastLocation lastLocationAt')
+    : null;
+  if (driver?.lastLocation?.coordinates?.length === 2) {
+    return {
+      location: driver.lastLocation,
+      locationSource: 'driver',
+      locationRecordedAt: driver.lastLocationAt
+    };
+  }
+
+  return { locationSource: 'unknown' };
+};
+
+const incidentPayload = (incident, ride, user) => {
+  const [longitude, latitude] = incident.location?.coordinates || [];
+
+  return {
+    incidentId: incident._id,
+    rideId: ride._id,
+    userId: user._id,
+    userName: `${user.firstName} ${user.lastName}`,
+    employeeId: user.employeeId,
+    phone: user.phone,
+    message: incident.message,
+    latitude,
+    longitude,
+    locationSource: incident.locationSource,
+    locationRecordedAt: incident.locationRecordedAt,
+    driver: incident.driver
+  };
+};
+
+// Alert admins (inbox and live stream) and the employee's emergency contacts.
+// This runs in the request rather than on the job queue so nothing waits
+// behind other jobs; contact emails are queued and retried like all email.
+// The incident records when this finished, so an alert that failed part-way
+// is sent again; each part is keyed by the incident and goes out only once.
+const alertSos = async (incident, ride, user) => {
+  const payload = incidentPayload(incident, ride, user);
+
+  await notifyAdmins({
+    type: 'sos_alert',
+    title: 'SOS Raised',
+    message: `${user.firstName} ${user.lastName} raised an SOS during a ride from ${ride.pickup?.address}`,
+    payload,
+    dedupeKey: `sos:${incident._id}`
+  });
+  await publishRideEvent('ride.sos', payload, { dedupeKey: `sos:${incident._id}` });
+
+  for (const contact of incident.contactsNotified) {
+    if (!contact.email) continue;
+
+    await sendTemplateEmail('sos_alert', contact.email, {
+      contact,
+      user,
+      ride,
+      incident,
+      mapUrl: payload.latitude !== undefined
+        ? `https://www.google.com/maps?q=${payload.latitude},${payload.longitude}`
+        : undefined
+    }, {
+      userId: user._id,
+      rideId: ride._id,
+      dedupeKey: `sos:${incident._id}:${contact.email}`
+    });
+  }
+
+  // Integrations (e.g. an SMS gateway) can reach contacts by phone
+  await emitWebhookEvent('incident.sos', {
+    ...payload,
+    contacts: incident.contactsNotified,
+    ride: rideWebhookData(ride)
+  }, { dedupeKey: `sos:${incident._id}` });
+
+  incident.alertedAt = new Date();
+  await incident.save();
+};
+
+// Record an SOS for a ride in progress and raise the alarm. Pressing SOS
+// again while the incident is still being handled returns the same incident,
+// raising the alarm again if it never went out.
+const raiseSos = async (ride, user, { message, latitude, longitude } = {}) => {
+  const existing = await Incident.findOne({ rideId: ride._id, status: { $ne: 'resolved' } });
+  if (existing) {
+    if (!existing.alertedAt) {
+      await alertSos(existing, ride, user);
+    }
+    return { incident: existing, created: false };
+  }
+
+  const incident = await Incident.create({
+    rideId: ride._id,
+    userId: user._id,
+    message,
+    ...await findLastKnownLocation(ride, { latitude, longitude }),
+    driver: ride.driver?.name
+      ? {
+        driverId: ride.driver.driverId,
+        name: ride.driver.name,
+        phone: ride.driver.phone,
+        vehicle: ride.driver.vehicle,
+        registrationNumber: ride.driver.registrationNumber
+      }
+      : undefined,
+    contactsNotified: user.emergencyContacts.map(contact => ({
+      name: contact.name,
+      relationship: contact.relationship,
+      phone: contact.phone,
+      email: contact.email
+    }))
+  });
+
+  await alertSos(incident, ride, user);
+
+  return { incident, created: true };
+};
+
+// Let the employee know an admin is on it
+const notifySosAcknowledged = (incident) => {
+  return notifyUsers([incident.userId], {
+    type: 'sos_acknowledged',
+    title: 'SOS Acknowledged',
+    message: 'Our safety team has received your SOS and is responding',
+    payload: {
+      incidentId: incident._id,
+      rideId: incident.rideId,
+      acknowledgedAt: incident.acknowledgedAt
+    }
+  });
+};
+
+module.exports = {
+  raiseSos,
+  notifySosAcknowledged
+};
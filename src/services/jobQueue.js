@@ -0,0 +1,160 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const jobQueueConfig = require('../config/jobQueue');
+
+// MongoDB-backed job queue. Jobs are claimed atomically, so any number of
+// processes can run workers against the same collection. A handler that
+// throws is retried with exponential backoff until the job is dead-lettered.
+const handlers = new Map();
+const workerId = `${os.hostname()}:${process.pid}`;
+const workers = [];
+let running = false;
+
+const registerJobHandler = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+// Start idle workers right away instead of waiting for their next poll
+const wakeWorkers = () => {
+  workers.forEach(worker => scheduleWorker(worker, 0));
+};
+
+// With a key the job is queued once, however often this is called; later
+// calls return the job already queued
+const enqueueJob = async (name, payload = {}, { runAt = new Date(), maxAttempts = jobQueueConfig.maxAttempts, key } = {}) => {
+  let job;
+  try {
+    job = await Job.create({ name, payload, runAt, maxAttempts, key });
+  } catch (error) {
+    if (key && error.code === 11000) return Job.findOne({ key });
+    throw error;
+  }
+  wakeWorkers();
+  return job;
+};
+
+// Claim the oldest due job. Jobs whose worker died mid-run are picked up
+// again once their lock has expired.
+const claimNextJob = () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - jobQueueConfig.lockTimeoutMinutes * 60 * 1000);
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: staleBefore } }
+      ]
+    },
+    {
+      status: 'processing',
+      lockedAt: now,
+      lockedBy: workerId,
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Run a claimed job and record the outcome
+const processJob = async (job) => {
+  try {
+    const handler = handlers.get(job.name);
+    if (!handler) {
+      throw new Error(`No handler registered for job ${job.name}`);
+    }
+
+    await handler(job.payload, job);
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lastError = undefined;
+  } catch (error) {
+    job.lastError = error.message;
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      job.deadAt = new Date();
+      console.error(`Job ${job.name} (${job._id}) dead-lettered after ${job.attempts} attempt(s):`, error.message);
+    } else {
+      const delaySeconds = jobQueueConfig.retryBaseSeconds * 2 ** (job.attempts - 1);
+      job.status = 'pending';
+      job.runAt = new Date(Date.now() + delaySeconds * 1000);
+    }
+  }
+
+  job.lockedAt = undefined;
+  job.lockedBy = undefined;
+  await job.save();
+  return job;
+};
+
+// Process due jobs until none are left, then poll again
+const runWorker = async (worker) => {
+  worker.timer = null;
+  worker.busy = true;
+  try {
+    if (mongoose.connection.readyState === 1) {
+      let job;
+      while (running && (job = await claimNextJob())) {
+        await processJob(job);
+      }
+    }
+  } catch (error) {
+    console.error('Job worker error:', error.message);
+  } finally {
+    worker.busy = false;
+  }
+  scheduleWorker(worker, jobQueueConfig.pollIntervalMs);
+};
+
+const scheduleWorker = (worker, delay) => {
+  if (!running || worker.busy) return;
+  clearTimeout(worker.timer);
+  worker.timer = setTimeout(() => runWorker(worker), delay);
+  worker.timer.unref();
+};
+
+const startJobWorkers = () => {
+  if (!jobQueueConfig.workersEnabled) {
+    console.log('Job workers disabled');
+    return;
+  }
+  if (running) return;
+
+  running = true;
+  for (let i = 0; i < jobQueueConfig.concurrency; i++) {
+    const worker = { timer: null, busy: false };
+    workers.push(worker);
+    scheduleWorker(worker, 0);
+  }
+
+  console.log(`Job queue started with ${workers.length} worker(s)`);
+};
+
+// Workers finish the job they are running but claim no new ones
+const stopJobWorkers = () => {
+  running = false;
+  workers.forEach(worker => clearTimeout(worker.timer));
+  workers.length = 0;
+};
+
+// Put a dead-lettered job back on the queue with a fresh set of attempts
+const retryJob = async (job, retriedBy) => {
+  job.status = 'pending';
+  job.attempts = 0;
+  job.runAt = new Date();
+  job.deadAt = undefined;
+  job.retriedBy = retriedBy;
+  await job.save();
+  wakeWorkers();
+  return job;
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  processJob,
+  startJobWorkers,
+  stopJobWorkers,
+  retryJob
+};
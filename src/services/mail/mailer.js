@@ -0,0 +1,88 @@
+const EmailLog = require('../../models/EmailLog');
+const mailConfig = require('../../config/mail');
+const { createTransport } = require('./transports');
+const { renderTemplate } = require('./templates');
+const { registerJobHandler, enqueueJob } = require('../jobQueue');
+
+let transport = null;
+
+// Transport is created on first use so config errors surface when mail is sent
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(mailConfig);
+  }
+  return transport;
+};
+
+// Render a template, record it on an EmailLog and queue its delivery. The
+// rendered body is kept on the log until it is sent, so the job only carries
+// the log's id. Resolves with the log once the email is queued. With a
+// dedupeKey the email is only sent once, however often this is called.
+const sendTemplateEmail = async (templateName, to, data, { userId, rideId, dedupeKey } = {}) => {
+  const message = renderTemplate(templateName, data);
+  let log;
+  try {
+    log = await EmailLog.create({
+      to,
+      template: templateName,
+      subject: message.subject,
+      body: {
+        text: message.text,
+        html: message.html
+      },
+      userId,
+      rideId,
+      dedupeKey
+    });
+  } catch (error) {
+    if (!dedupeKey || error.code !== 11000) throw error;
+    log = await EmailLog.findOne({ dedupeKey });
+  }
+
+  await enqueueJob('mail.send', { emailLogId: log._id }, {
+    maxAttempts: mailConfig.maxAttempts,
+    key: `mail.send:${log._id}`
+  });
+  return log;
+};
+
+// One delivery attempt per run; a failure throws so the job queue retries it
+// with backoff. The body is dropped once the email is sent or has failed.
+registerJobHandler('mail.send', async ({ emailLogId }, job) => {
+  const log = await EmailLog.findById(emailLogId).select('+body.text +body.html');
+  if (!log || log.status !== 'pending') return;
+
+  const mailer = getTransport();
+  log.transport = mailer.name;
+  log.attempts = job.attempts;
+
+  try {
+    const { messageId } = await mailer.send({
+      from: mailConfig.from,
+      to: log.to,
+      subject: log.subject,
+      text: log.body.text,
+      html: log.body.html
+    });
+
+    log.status = 'sent';
+    log.messageId = messageId;
+    log.sentAt = new Date();
+    log.lastError = undefined;
+    log.body = undefined;
+    await log.save();
+  } catch (error) {
+    log.lastError = error.message;
+    if (job.attempts >= job.maxAttempts) {
+      log.status = 'failed';
+      log.body = undefined;
+      console.error(`Email "${log.template}" to ${log.to} failed after ${log.attempts} attempts: ${error.message}`);
+    }
+    await log.save();
+    throw error;
+  }
+});
+
+module.exports = {
+  sendTemplateEmail
+};
@@ -0,0 +1,157 @@
+const { formatLocalDateTime } = require('../../utils/time');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Shared HTML wrapper; rows are [label, value] pairs shown as a table
+const layout = (heading, paragraphs, rows = [], action) => {
+  const body = paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('');
+  const table = rows.length
+    ? `<table cellpadding="4">${rows.map(([label, value]) =>
+      `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`
+    : '';
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html><html><body style="font-family: Arial, sans-serif; color: #222;">` +
+    `<h2>${escapeHtml(heading)}</h2>${body}${table}${button}` +
+    '<p style="color: #888; font-size: 12px;">Rapido Corporate</p></body></html>';
+};
+
+const textLayout = (paragraphs, rows = [], action) => [
+  ...paragraphs,
+  '',
+  ...rows.map(([label, value]) => `${label}: ${value}`),
+  ...(action ? ['', `${action.label}: ${action.url}`] : []),
+  '',
+  'Rapido Corporate'
+].join('\n');
+
+const rideRows = (ride) => [
+  ['Pickup', ride.pickup?.address],
+  ['Drop', ride.drop?.address],
+  ['Scheduled', formatLocalDateTime(ride.scheduleTime)],
+  ['Estimated fare', ride.estimatedFare]
+];
+
+// Each template takes its data and returns { subject, text, html }
+const templates = {
+  reset_password: ({ user, resetUrl, expiresInMinutes }) => {
+    const paragraphs = [
+      `Hi ${user.firstName},`,
+      'We received a request to reset your password.',
+      `The link below is valid for ${expiresInMinutes} minutes. If you did not ask for a reset, you can ignore this email.`
+    ];
+    const action = { label: 'Reset password', url: resetUrl };
+    return {
+      subject: 'Reset your password',
+      text: textLayout(paragraphs, [], action),
+      html: layout('Reset your password', paragraphs, [], action)
+    };
+  },
+
+  ride_approved: ({ user, ride }) => {
+    const paragraphs = [
+      `Hi ${user.firstName},`,
+      'Your ride request has been approved.'
+    ];
+    const rows = rideRows(ride);
+    return {
+      subject: `Ride approved for ${formatLocalDateTime(ride.scheduleTime)}`,
+      text: textLayout(paragraphs, rows),
+      html: layout('Ride approved', paragraphs, rows)
+    };
+  },
+
+  ride_rejected: ({ user, ride }) => {
+    const paragraphs = [
+      `Hi ${user.firstName},`,
+      'Your ride request has been rejected.'
+    ];
+    const rows = [...rideRows(ride), ['Reason', ride.rejectionReason || 'Not approved']];
+    return {
+      subject: `Ride rejected for ${formatLocalDateTime(ride.scheduleTime)}`,
+      text: textLayout(paragraphs, rows),
+      html: layout('Ride rejected', paragraphs, rows)
+    };
+  },
+
+  ride_reminder: ({ user, ride, minutesBefore }) => {
+    const paragraphs = [
+      `Hi ${user.firstName},`,
+      `Your ride is scheduled to pick you up in ${minutesBefore} minutes.`
+    ];
+    const rows = rideRows(ride);
+    if (ride.driver?.name) {
+      rows.push(['Driver', `${ride.driver.name} (${ride.driver.phone || 'phone TBD'})`]);
+    }
+    return {
+      subject: `Reminder: ride at ${formatLocalDateTime(ride.scheduleTime)}`,
+      text: textLayout(paragraphs, rows),
+      html: layout('Upcoming ride', paragraphs, rows)
+    };
+  },
+
+  trip_share: ({ contact, user, ride, url }) => {
+    const paragraphs = [
+      `Hi ${contact.name},`,
+      `${user.firstName} ${user.lastName} is sharing a company ride with you so you can follow it.`,
+      `The link shows the ride's status, driver and vehicle, and its live location while under way. It stops working when the ride ends or at ${formatLocalDateTime(ride.share.expiresAt)}.`
+    ];
+    const rows = [['Scheduled', formatLocalDateTime(ride.scheduleTime)]];
+    if (ride.driver?.name) {
+      rows.push(['Driver', ride.driver.name]);
+      rows.push(['Vehicle', [ride.driver.vehicle, ride.driver.registrationNumber].filter(Boolean).join(' ')]);
+    }
+    const action = { label: 'Follow the ride', url };
+    return {
+      subject: `${user.firstName} ${user.lastName} shared a ride with you`,
+      text: textLayout(paragraphs, rows, action),
+      html: layout('Follow my ride', paragraphs, rows, action)
+    };
+  },
+
+  sos_alert: ({ contact, user, ride, incident, mapUrl }) => {
+    const paragraphs = [
+      `Hi ${contact.name},`,
+      `${user.firstName} ${user.lastName} listed you as an emergency contact and has just raised an SOS during a company ride.`,
+      'Our safety team has been alerted. Please try to reach them, and contact local emergency services if you believe they are in danger.'
+    ];
+    const rows = [
+      ['Employee phone', user.phone],
+      ['Pickup', ride.pickup?.address],
+      ['Drop', ride.drop?.address],
+      ['Raised at', formatLocalDateTime(incident.createdAt)]
+    ];
+    if (ride.driver?.name) {
+      rows.push(['Driver', `${ride.driver.name} (${ride.driver.phone || 'phone unknown'})`]);
+      rows.push(['Vehicle', [ride.driver.vehicle, ride.driver.registrationNumber].filter(Boolean).join(' ')]);
+    }
+    if (incident.message) {
+      rows.push(['Message', incident.message]);
+    }
+    const action = mapUrl ? { label: 'Last known location', url: mapUrl } : undefined;
+    return {
+      subject: `SOS from ${user.firstName} ${user.lastName}`,
+      text: textLayout(paragraphs, rows, action),
+      html: layout('SOS alert', paragraphs, rows, action)
+    };
+  }
+};
+
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  templateNames: Object.keys(templates),
+  renderTemplate
+};
@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Each transport exposes send(message) resolving to { messageId }
+
+const smtpTransport = (config) => {
+  const transporter = nodemailer.createTransport(config.smtp);
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// Writes every message as an .eml file, handy for local development and tests
+const fileTransport = (config) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    name: 'file',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(config.fileDir, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`;
+      await fs.writeFile(path.join(config.fileDir, fileName), info.message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const consoleTransport = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    name: 'console',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      console.log(`📧 EMAIL to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+const createTransport = (config) => {
+  const factory = transports[config.transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${config.transport}"`);
+  }
+  return factory(config);
+};
+
+module.exports = {
+  createTransport
+};
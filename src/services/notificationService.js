@@ -0,0 +1,40 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// Store the same notification in each recipient's inbox. With a dedupeKey,
+// a recipient who already has a notification with that key gets no new one.
+const notifyUsers = async (recipients, { type, title, message, payload = {}, dedupeKey }) => {
+  const ids = [...new Set(recipients.filter(Boolean).map(id => id.toString()))];
+  if (!ids.length) return [];
+
+  const notifications = ids.map(recipient => ({
+    recipient,
+    type,
+    title,
+    message,
+    payload
+  }));
+
+  if (!dedupeKey) {
+    return Notification.insertMany(notifications);
+  }
+
+  return Notification.bulkWrite(notifications.map(notification => ({
+    updateOne: {
+      filter: { recipient: notification.recipient, dedupeKey },
+      update: { $setOnInsert: { ...notification, dedupeKey } },
+      upsert: true
+    }
+  })));
+};
+
+// Store a notification for every active admin
+const notifyAdmins = async (notification) => {
+  const adminIds = await User.find({ role: 'admin', isActive: true }).distinct('_id');
+  return notifyUsers(adminIds, notification);
+};
+
+module.exports = {
+  notifyUsers,
+  notifyAdmins
+};
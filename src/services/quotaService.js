@@ -0,0 +1,128 @@
+const Ride = require('../models/Ride');
+const ErrorResponse = require('../utils/errorResponse');
+const quotaConfig = require('../config/rideQuotas');
+const { toLocalMonth, getLocalMonthRange, getLocalWeekRange } = require('../utils/time');
+
+const LIMIT_FIELDS = ['maxRidesPerWeek', 'maxMonthlySpend', 'maxRideFare'];
+
+// Ride statuses that count towards a quota; rejected and cancelled rides do not
+const QUOTA_STATUSES = ['pending', 'approved', 'in_progress', 'completed'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Limits that apply to a user: personal limit, else department default,
+// else global default. null means unlimited.
+const getEffectiveLimits = (user) => {
+  const departmentLimits = quotaConfig.departments?.[user.department] || {};
+  const userLimits = user.rideLimits || {};
+
+  return LIMIT_FIELDS.reduce((limits, field) => {
+    const candidates = [userLimits[field], departmentLimits[field], quotaConfig.default?.[field]];
+    const limit = candidates.find(value => value !== undefined && value !== null);
+    limits[field] = limit !== undefined ? limit : null;
+    return limits;
+  }, {});
+};
+
+// Rides in the week and spend in the month around a date, optionally
+// leaving out one ride (e.g. the one being updated)
+const getQuotaUsage = async (user, date = new Date(), { excludeRideId } = {}) => {
+  const week = getLocalWeekRange(date);
+  const month = toLocalMonth(date);
+  const monthRange = getLocalMonthRange(month);
+
+  const match = { userId: user._id, status: { $in: QUOTA_STATUSES } };
+  if (excludeRideId) {
+    match._id = { $ne: excludeRideId };
+  }
+
+  const ridesThisWeek = await Ride.countDocuments({
+    ...match,
+    scheduleTime: { $gte: week.start, $lt: week.end }
+  });
+
+  const [spend] = await Ride.aggregate([
+    { $match: { ...match, scheduleTime: { $gte: monthRange.start, $lt: monthRange.end } } },
+    {
+      $group: {
+        _id: null,
+        // actualFare defaults to 0, so only a completed ride's is meaningful
+        total: {
+          $sum: {
+            $cond: [{ $eq: ['$status', 'completed'] }, '$actualFare', '$estimatedFare']
+          }
+        }
+      }
+    }
+  ]);
+
+  return {
+    period: {
+      weekStart: week.start,
+      weekEnd: week.end,
+      month
+    },
+    ridesThisWeek,
+    spendThisMonth: round(spend?.total || 0)
+  };
+};
+
+// Limits, usage and what is left for a user around a date
+const getQuotaSummary = async (user, date = new Date()) => {
+  const limits = getEffectiveLimits(user);
+  const usage = await getQuotaUsage(user, date);
+  const left = (limit, used) => (limit === null ? null : round(Math.max(limit - used, 0)));
+
+  return {
+    limits,
+    period: usage.period,
+    used: {
+      ridesThisWeek: usage.ridesThisWeek,
+      spendThisMonth: usage.spendThisMonth
+    },
+    remaining: {
+      ridesThisWeek: left(limits.maxRidesPerWeek, usage.ridesThisWeek),
+      spendThisMonth: left(limits.maxMonthlySpend, usage.spendThisMonth)
+    }
+  };
+};
+
+// Throw when a ride would break one of the user's limits
+const checkRideQuota = async (user, ride) => {
+  const limits = getEffectiveLimits(user);
+
+  if (limits.maxRideFare !== null && ride.estimatedFare > limits.maxRideFare) {
+    throw new ErrorResponse(
+      `Estimated fare ${ride.estimatedFare} exceeds your single ride limit of ${limits.maxRideFare}`,
+      403,
+      'RIDE_FARE_LIMIT_EXCEEDED'
+    );
+  }
+
+  if (limits.maxRidesPerWeek === null && limits.maxMonthlySpend === null) return;
+
+  const usage = await getQuotaUsage(user, ride.scheduleTime, { excludeRideId: ride._id });
+
+  if (limits.maxRidesPerWeek !== null && usage.ridesThisWeek + 1 > limits.maxRidesPerWeek) {
+    throw new ErrorResponse(
+      `Weekly ride limit of ${limits.maxRidesPerWeek} reached`,
+      403,
+      'WEEKLY_RIDE_LIMIT_EXCEEDED'
+    );
+  }
+
+  if (limits.maxMonthlySpend !== null && usage.spendThisMonth + ride.estimatedFare > limits.maxMonthlySpend) {
+    throw new ErrorResponse(
+      `Ride would exceed your monthly spend limit of ${limits.maxMonthlySpend} (${round(limits.maxMonthlySpend - usage.spendThisMonth)} left)`,
+      403,
+      'MONTHLY_SPEND_LIMIT_EXCEEDED'
+    );
+  }
+};
+
+module.exports = {
+  getEffectiveLimits,
+  getQuotaUsage,
+  getQuotaSummary,
+  checkRideQuota
+};
@@ -0,0 +1,200 @@
+// Server-Sent Events hub. Keeps the open event streams of this process and
+// pushes ride events to the ride owner and to every connected admin.
+// Connections live in memory, so each API instance serves its own clients;
+// events go through the RealtimeEvent collection, which every instance reads,
+// so they reach clients whichever process (request or job worker) published
+// them. A stream belongs to the login session whose token opened it and is
+// closed when that session is revoked.
+const mongoose = require('mongoose');
+const RealtimeEvent = require('../models/RealtimeEvent');
+const realtimeConfig = require('../config/realtime');
+
+const HEARTBEAT_MS = 25 * 1000;
+// Events are read again for this long, so one stored a little late (or by an
+// instance with a slightly different clock) is not missed
+const RELAY_OVERLAP_MS = 5 * 1000;
+
+// userId -> Set of { res, isAdmin, sessionId }
+const clients = new Map();
+let heartbeat = null;
+let relay = null;
+// Where the relay has read up to, and the events it already streamed since
+let relayCursor = new Date();
+const relayed = new Map();
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const connectionCount = () => {
+  let count = 0;
+  clients.forEach(connections => { count += connections.size; });
+  return count;
+};
+
+// Comment lines keep proxies from closing idle streams
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    clients.forEach(connections => connections.forEach(({ res }) => res.write(': ping\n\n')));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+};
+
+const stopHeartbeatIfIdle = () => {
+  if (heartbeat && connectionCount() === 0) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+// Open an event stream for an authenticated user
+const addClient = (req, res) => {
+  const userId = req.user.id;
+  const connection = {
+    res,
+    isAdmin: req.user.role === 'admin',
+    sessionId: req.sessionId?.toString()
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  write(res, 'connected', { userId, role: req.user.role });
+
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(connection);
+  startHeartbeat();
+
+  req.on('close', () => {
+    const connections = clients.get(userId);
+    if (connections) {
+      connections.delete(connection);
+      if (!connections.size) clients.delete(userId);
+    }
+    stopHeartbeatIfIdle();
+  });
+};
+
+// Stream an event to this process's clients: the ride owner and all admins
+const dispatchEvent = ({ event, payload, createdAt }) => {
+  const ownerId = payload.userId?.toString();
+  const data = { event, ...payload, emittedAt: createdAt };
+
+  clients.forEach((connections, userId) => {
+    connections.forEach(({ res, isAdmin }) => {
+      if (isAdmin || userId === ownerId) write(res, event, data);
+    });
+  });
+};
+
+// Publish a ride event to the ride owner and all connected admins, on every
+// API instance. With a dedupeKey the event is only published once, however
+// often a retried job calls this.
+const publishRideEvent = async (event, payload, { dedupeKey } = {}) => {
+  // Store plain JSON, as it will be sent
+  const fields = { event, payload: JSON.parse(JSON.stringify(payload)), createdAt: new Date() };
+
+  if (!dedupeKey) {
+    await RealtimeEvent.create(fields);
+    return;
+  }
+  await RealtimeEvent.updateOne(
+    { dedupeKey },
+    { $setOnInsert: { ...fields, dedupeKey } },
+    { upsert: true }
+  );
+};
+
+// Stream the events published since the last look. With no client connected
+// there is nobody to stream to, so the relay just moves on.
+const relayEvents = async () => {
+  const now = new Date();
+  if (!connectionCount() || mongoose.connection.readyState !== 1) {
+    relayCursor = now;
+    relayed.clear();
+    return;
+  }
+
+  const since = new Date(relayCursor.getTime() - RELAY_OVERLAP_MS);
+  const events = await RealtimeEvent.find({ createdAt: { $gt: since } }).sort({ createdAt: 1 }).lean();
+
+  events.forEach(event => {
+    const id = event._id.toString();
+    if (relayed.has(id)) return;
+    relayed.set(id, event.createdAt);
+    dispatchEvent(event);
+  });
+
+  relayCursor = now;
+  relayed.forEach((createdAt, id) => {
+    if (createdAt <= since) relayed.delete(id);
+  });
+};
+
+const startRealtimeRelay = () => {
+  if (relay) return;
+  relayCursor = new Date();
+  relay = setInterval(() => {
+    relayEvents().catch(error => console.error('Realtime relay error:', error.message));
+  }, realtimeConfig.pollIntervalMs);
+  relay.unref();
+};
+
+const stopRealtimeRelay = () => {
+  clearInterval(relay);
+  relay = null;
+};
+
+// End the matching streams of a user, telling the client why first. The
+// client's reconnect then fails authentication.
+const closeUserStreams = (userId, matches) => {
+  const connections = clients.get(userId);
+  if (!connections) return;
+
+  connections.forEach(connection => {
+    if (!matches(connection)) return;
+    write(connection.res, 'session_ended', { userId });
+    connection.res.end();
+    connections.delete(connection);
+  });
+  if (!connections.size) clients.delete(userId);
+  stopHeartbeatIfIdle();
+};
+
+// Close the streams opened with a session that has been revoked
+const closeSessionStreams = (sessionId) => {
+  const id = sessionId.toString();
+  clients.forEach((connections, userId) => {
+    closeUserStreams(userId, connection => connection.sessionId === id);
+  });
+};
+
+// Close all streams of a user, except those of one session (e.g. the current one)
+const closeOtherSessionStreams = (userId, { exceptSessionId } = {}) => {
+  const keep = exceptSessionId?.toString();
+  closeUserStreams(userId.toString(), connection => !keep || connection.sessionId !== keep);
+};
+
+// End every open stream (used on shutdown so the server can close)
+const closeAllClients = () => {
+  clients.forEach(connections => connections.forEach(({ res }) => res.end()));
+  clients.clear();
+  stopHeartbeatIfIdle();
+};
+
+module.exports = {
+  addClient,
+  publishRideEvent,
+  relayEvents,
+  startRealtimeRelay,
+  stopRealtimeRelay,
+  closeSessionStreams,
+  closeOtherSessionStreams,
+  closeAllClients,
+  connectionCount
+};
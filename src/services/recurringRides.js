@@ -0,0 +1,129 @@
+const Ride = require('../models/Ride');
+const RideSchedule = require('../models/RideSchedule');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const schedulerConfig = require('../config/scheduler');
+const { bookRide } = require('./rideService');
+const { utcOffsetMinutes, toLocalDate, fromLocalDateTime } = require('../utils/time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rides that still take (or took) place
+const LIVE_STATUSES = ['pending', 'approved', 'in_progress', 'completed'];
+
+const isPausedAt = (schedule, scheduleTime) => {
+  return schedule.status === 'paused' &&
+    (!schedule.pausedUntil || scheduleTime < schedule.pausedUntil);
+};
+
+// Pickup times of a schedule falling within (from, to]
+const getOccurrences = (schedule, from, to, offsetMinutes = utcOffsetMinutes) => {
+  const occurrences = [];
+  // Start/end dates are calendar dates stored as UTC midnight
+  const firstDay = schedule.startDate.toISOString().slice(0, 10);
+  const lastDay = schedule.endDate ? schedule.endDate.toISOString().slice(0, 10) : null;
+  const skipDates = schedule.skipDates || [];
+
+  const lastLocalDay = Date.parse(toLocalDate(to, offsetMinutes));
+  for (let day = Date.parse(toLocalDate(from, offsetMinutes)); day <= lastLocalDay; day += DAY_MS) {
+    const localDate = new Date(day).toISOString().slice(0, 10);
+
+    if (!schedule.daysOfWeek.includes(new Date(day).getUTCDay())) continue;
+    if (localDate < firstDay || (lastDay && localDate > lastDay)) continue;
+    if (skipDates.includes(localDate)) continue;
+
+    const scheduleTime = fromLocalDateTime(localDate, schedule.time, offsetMinutes);
+    if (scheduleTime <= from || scheduleTime > to) continue;
+    if (isPausedAt(schedule, scheduleTime)) continue;
+
+    occurrences.push(scheduleTime);
+  }
+
+  return occurrences;
+};
+
+// Create the rides a schedule needs within the lookahead window.
+// Rides already generated for an occurrence (even if the employee cancelled
+// them) are not recreated; rides the schedule released are. A day that still
+// has a live ride from the schedule, e.g. one kept at its old time when the
+// schedule was edited, gets no second ride.
+const materializeSchedule = async (schedule, now = new Date()) => {
+  const user = await User.findById(schedule.userId);
+  if (!user || !user.isActive) return [];
+
+  const horizon = new Date(now.getTime() + schedulerConfig.lookaheadDays * DAY_MS);
+  const occurrences = getOccurrences(schedule, now, horizon);
+  if (occurrences.length === 0) return [];
+
+  const firstDay = fromLocalDateTime(toLocalDate(occurrences[0]), '00:00');
+  const lastDay = fromLocalDateTime(toLocalDate(occurrences[occurrences.length - 1]), '00:00');
+  const existing = await Ride.find({
+    scheduleId: schedule._id,
+    scheduleTime: { $gte: firstDay, $lt: new Date(lastDay.getTime() + DAY_MS) },
+    scheduleReleasedAt: { $exists: false }
+  }).select('scheduleTime status');
+  const existingTimes = new Set(existing.map(ride => ride.scheduleTime.getTime()));
+  const liveDays = new Set(existing
+    .filter(ride => LIVE_STATUSES.includes(ride.status))
+    .map(ride => toLocalDate(ride.scheduleTime)));
+
+  const created = [];
+  for (const scheduleTime of occurrences) {
+    if (existingTimes.has(scheduleTime.getTime()) || liveDays.has(toLocalDate(scheduleTime))) continue;
+
+    try {
+      const ride = await bookRide(user, {
+        pickup: schedule.pickup,
+        drop: schedule.drop,
+        vehicleClass: schedule.vehicleClass,
+        purpose: schedule.purpose,
+        scheduleTime
+      }, { scheduleId: schedule._id });
+      created.push(ride);
+    } catch (error) {
+      // Another run generated this occurrence first
+      if (error.code === 11000) continue;
+      // Refused by a quota or budget; a later run retries once there is room
+      if (error instanceof ErrorResponse && error.statusCode === 403) {
+        console.warn(`Skipped ${scheduleTime.toISOString()} for schedule ${schedule._id}: ${error.message}`);
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  schedule.lastGeneratedAt = now;
+  await schedule.save();
+
+  return created;
+};
+
+// Scheduler job: generate upcoming rides for every schedule still in range
+const generateScheduledRides = async (now = new Date()) => {
+  const schedules = await RideSchedule.find({
+    startDate: { $lte: new Date(now.getTime() + (schedulerConfig.lookaheadDays + 1) * DAY_MS) },
+    $or: [
+      { endDate: { $exists: false } },
+      { endDate: null },
+      { endDate: { $gte: new Date(now.getTime() - DAY_MS) } }
+    ]
+  });
+
+  let ridesCreated = 0;
+  for (const schedule of schedules) {
+    try {
+      const rides = await materializeSchedule(schedule, now);
+      ridesCreated += rides.length;
+    } catch (error) {
+      console.error(`Failed to generate rides for schedule ${schedule._id}:`, error.message);
+    }
+  }
+
+  return ridesCreated > 0 ? { schedules: schedules.length, ridesCreated } : null;
+};
+
+module.exports = {
+  getOccurrences,
+  materializeSchedule,
+  generateScheduledRides
+};
@@ -0,0 +1,272 @@
+const Ride = require('../models/Ride');
+const RidePool = require('../models/RidePool');
+const Vehicle = require('../models/Vehicle');
+const ridePoolingConfig = require('../config/ridePooling');
+const { distanceBetween } = require('../utils/geo');
+const { notifyRidePooled, notifyUserRideUpdate } = require('../controllers/notificationController');
+
+const MINUTE_MS = 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// What the ride costs on its own, before any pooling discount
+const getSoloFare = (ride) => ride.pooling?.soloFare ?? ride.estimatedFare;
+
+// Fare of a pooled trip: the longest solo fare plus a charge per extra rider,
+// never more than the riders would pay on their own
+const getPoolFare = (soloFares) => {
+  const soloFareTotal = soloFares.reduce((sum, fare) => sum + fare, 0);
+  const extra = 1 + ridePoolingConfig.extraRiderPercent / 100 * (soloFares.length - 1);
+  return round(Math.min(soloFareTotal, Math.max(...soloFares) * extra));
+};
+
+// Split the pooled fare in proportion to the solo fares and save the pool and
+// its rides. Each ride's estimatedFare becomes its share, so budgets and quotas
+// count what the employee actually pays.
+const savePool = async (pool, rides) => {
+  const soloFares = rides.map(getSoloFare);
+  const soloFareTotal = round(soloFares.reduce((sum, fare) => sum + fare, 0));
+  const fare = getPoolFare(soloFares);
+  const lead = rides.reduce((first, ride) => ride.scheduleTime < first.scheduleTime ? ride : first);
+
+  pool.scheduleTime = lead.scheduleTime;
+  pool.leadRideId = lead._id;
+  pool.soloFareTotal = soloFareTotal;
+  pool.fare = fare;
+  pool.savings = round(soloFareTotal - fare);
+  pool.riders = rides.map((ride, index) => ({
+    rideId: ride._id,
+    userId: ride.userId._id,
+    soloFare: soloFares[index],
+    fareShare: soloFareTotal ? round(fare * soloFares[index] / soloFareTotal) : 0
+  }));
+  await pool.save();
+
+  for (const [index, ride] of rides.entries()) {
+    ride.pooling.poolId = pool._id;
+    ride.pooling.lead = ride._id.equals(lead._id);
+    ride.pooling.soloFare = soloFares[index];
+    ride.pooling.pooledAt = ride.pooling.pooledAt || new Date();
+    ride.estimatedFare = pool.riders[index].fareShare;
+    await ride.save();
+  }
+};
+
+// Most riders a pool of each vehicle class can have: the configured limit,
+// lowered to the seats of the largest active vehicle of that class
+const getMaxRiders = async () => {
+  const capacities = await Vehicle.aggregate([
+    { $match: { isActive: true } },
+    { $group: { _id: '$vehicleClass', capacity: { $max: '$capacity' } } }
+  ]);
+  const byClass = new Map(capacities.map(({ _id, capacity }) => [_id, capacity]));
+
+  return (vehicleClass) => Math.min(
+    ridePoolingConfig.maxRiders,
+    byClass.get(vehicleClass) ?? ridePoolingConfig.maxRiders
+  );
+};
+
+// A ride can join a group when the group has a free seat and the ride's
+// pickup time, pickup and drop are close to those of every ride already in it
+const fitsGroup = (group, ride) => {
+  const { windowMinutes, pickupRadiusKm, dropRadiusKm } = ridePoolingConfig;
+  if (group.rides.length >= group.maxRiders) return false;
+  if (group.department !== ride.userId.department || group.vehicleClass !== ride.vehicleClass) return false;
+
+  return group.rides.every(other =>
+    Math.abs(other.scheduleTime - ride.scheduleTime) <= windowMinutes * MINUTE_MS &&
+    distanceBetween(other.pickup, ride.pickup) <= pickupRadiusKm &&
+    distanceBetween(other.drop, ride.drop) <= dropRadiusKm
+  );
+};
+
+// Scheduler job: group approved rides of employees who opted in into shared
+// trips. Rides join an existing pool when it still has room and no driver,
+// otherwise nearby rides form new pools. A ride with no match stays solo.
+const poolRides = async (now = new Date()) => {
+  if (!ridePoolingConfig.enabled) return null;
+
+  // Rides without coordinates cannot be matched by distance
+  const rides = await Ride.find({
+    status: 'approved',
+    'pooling.optIn': true,
+    vehicleClass: { $in: ridePoolingConfig.vehicleClasses },
+    'driver.name': { $exists: false },
+    'dispatch.status': { $exists: false },
+    'pickup.location.coordinates': { $exists: true },
+    'drop.location.coordinates': { $exists: true },
+    scheduleTime: { $gt: now, $lte: new Date(now.getTime() + ridePoolingConfig.lookaheadHours * 60 * MINUTE_MS) }
+  }).populate('userId', 'department').sort({ scheduleTime: 1 });
+
+  const maxRiders = await getMaxRiders();
+
+  // A pool is only open while all of its rides are still waiting for a driver
+  const poolIds = rides.filter(ride => ride.pooling.poolId).map(ride => ride.pooling.poolId);
+  const pools = await RidePool.find({ _id: { $in: poolIds }, status: 'active' });
+  const groups = pools
+    .map(pool => ({
+      pool,
+      department: pool.department,
+      vehicleClass: pool.vehicleClass,
+      maxRiders: maxRiders(pool.vehicleClass),
+      rides: rides.filter(ride => ride.pooling.poolId?.equals(pool._id)),
+      changed: false
+    }))
+    .filter(group => group.rides.length === group.pool.riders.length);
+
+  for (const ride of rides) {
+    if (ride.pooling.poolId || !ride.userId?.department) continue;
+
+    const group = groups.find(candidate => fitsGroup(candidate, ride));
+    if (group) {
+      group.rides.push(ride);
+      group.changed = true;
+    } else {
+      groups.push({
+        pool: null,
+        department: ride.userId.department,
+        vehicleClass: ride.vehicleClass,
+        maxRiders: maxRiders(ride.vehicleClass),
+        rides: [ride],
+        changed: true
+      });
+    }
+  }
+
+  const result = { pools: 0, pooled: 0 };
+  for (const group of groups) {
+    if (!group.changed || group.rides.length < 2) continue;
+
+    const joined = group.rides.filter(ride => !ride.pooling.poolId).length;
+    const pool = group.pool || new RidePool({
+      department: group.department,
+      vehicleClass: group.vehicleClass
+    });
+    await savePool(pool, group.rides);
+
+    // Everyone's share changes when someone joins
+    for (const ride of group.rides) {
+      await notifyRidePooled(ride._id);
+    }
+
+    result.pooled += joined;
+    if (!group.pool) result.pools += 1;
+  }
+
+  return result.pooled ? result : null;
+};
+
+// Take a ride out of its pool (cancelled or opted out) and restore its solo
+// fare; the caller saves the ride. The remaining riders share the fare again,
+// or pay their solo fares when only one is left.
+const leavePool = async (ride) => {
+  const poolId = ride.pooling?.poolId;
+  if (!poolId) return;
+
+  ride.estimatedFare = getSoloFare(ride);
+  ride.pooling.poolId = undefined;
+  ride.pooling.lead = undefined;
+  ride.pooling.soloFare = undefined;
+  ride.pooling.pooledAt = undefined;
+
+  const pool = await RidePool.findById(poolId);
+  if (!pool || pool.status !== 'active') return;
+
+  const others = await Ride.find({ 'pooling.poolId': poolId, _id: { $ne: ride._id } });
+
+  // Once the trip is under way the shares stay as they are
+  if (others.some(other => other.status !== 'approved')) {
+    pool.riders = pool.riders.filter(rider => !rider.rideId.equals(ride._id));
+    await pool.save();
+    return;
+  }
+
+  if (others.length >= 2) {
+    await savePool(pool, others);
+    for (const other of others) {
+      await notifyRidePooled(other._id);
+    }
+    return;
+  }
+
+  pool.status = 'dissolved';
+  pool.dissolvedAt = new Date();
+  pool.riders = pool.riders.filter(rider => !rider.rideId.equals(ride._id));
+  await pool.save();
+
+  for (const other of others) {
+    other.estimatedFare = getSoloFare(other);
+    other.pooling.poolId = undefined;
+    other.pooling.lead = undefined;
+    other.pooling.soloFare = undefined;
+    other.pooling.pooledAt = undefined;
+    await other.save();
+  }
+};
+
+// Give the other rides of the pool the driver that was assigned to this one
+const shareDriverWithPool = async (ride, adminId) => {
+  if (!ride.pooling?.poolId) return;
+
+  const others = await Ride.find({
+    'pooling.poolId': ride.pooling.poolId,
+    _id: { $ne: ride._id },
+    status: 'approved'
+  });
+
+  for (const other of others) {
+    other.set('driver', ride.toObject().driver);
+    other.driverAssignedAt = ride.driverAssignedAt;
+    await other.save();
+    await notifyUserRideUpdate(other._id, 'driver_assigned', adminId);
+  }
+};
+
+// The other rides of a lead ride's pool that are in a given status
+const findFollowers = (lead, status) => {
+  if (!lead.pooling?.poolId || !lead.pooling.lead) return [];
+  return Ride.find({
+    'pooling.poolId': lead.pooling.poolId,
+    _id: { $ne: lead._id },
+    status
+  });
+};
+
+// Start the other rides of the pool with its lead, so they are not swept as
+// no-shows
+const startPoolFollowers = async (lead, adminId) => {
+  for (const follower of await findFollowers(lead, 'approved')) {
+    follower.transitionTo('in_progress', { by: adminId, reason: 'Pool trip started' });
+    follower.startedAt = lead.startedAt;
+    await follower.save();
+    await notifyUserRideUpdate(follower._id, 'in_progress', adminId);
+  }
+};
+
+// Complete the other rides of the pool with its lead. The trip is measured on
+// the lead, so each rider's share moves with the lead's actual fare.
+const completePoolFollowers = async (lead, adminId) => {
+  const ratio = lead.estimatedFare ? lead.actualFare / lead.estimatedFare : 1;
+
+  for (const follower of await findFollowers(lead, 'in_progress')) {
+    follower.transitionTo('completed', { by: adminId, reason: 'Pool trip completed' });
+    follower.completedAt = lead.completedAt;
+    follower.actualFare = Math.round(follower.estimatedFare * ratio);
+    await follower.save();
+    await notifyUserRideUpdate(follower._id, 'completed', adminId);
+  }
+};
+
+// Rides of a pool other than its lead get their driver from the lead
+const isPoolFollower = (ride) => Boolean(ride.pooling?.poolId) && !ride.pooling.lead;
+
+module.exports = {
+  getPoolFare,
+  poolRides,
+  leavePool,
+  shareDriverWithPool,
+  startPoolFollowers,
+  completePoolFollowers,
+  isPoolFollower
+};
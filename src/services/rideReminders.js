@@ -0,0 +1,96 @@
+const Ride = require('../models/Ride');
+const rideReminderConfig = require('../config/rideReminders');
+const { logAdminAction } = require('./auditLog');
+const { notifyRideReminder, notifyUserRideUpdate } = require('../controllers/notificationController');
+
+const MINUTE_MS = 60 * 1000;
+
+// Scheduler job: remind employees of approved rides that are about to start.
+// A ride that enters several reminder windows at once (e.g. booked 10 minutes
+// ahead) gets a single reminder and all those windows are marked as sent.
+const sendRideReminders = async (now = new Date()) => {
+  const { reminderMinutes } = rideReminderConfig;
+  if (!reminderMinutes.length) return null;
+
+  const rides = await Ride.find({
+    status: 'approved',
+    scheduleTime: { $gt: now, $lte: new Date(now.getTime() + reminderMinutes[0] * MINUTE_MS) },
+    remindersSent: { $ne: reminderMinutes[reminderMinutes.length - 1] }
+  }).select('scheduleTime remindersSent');
+
+  let sent = 0;
+  for (const ride of rides) {
+    const minutesLeft = Math.ceil((ride.scheduleTime - now) / MINUTE_MS);
+    const due = reminderMinutes.filter(minutes =>
+      minutesLeft <= minutes && !ride.remindersSent.includes(minutes)
+    );
+    if (!due.length) continue;
+
+    // Claim the reminders first so two instances never send the same one
+    const result = await Ride.updateOne(
+      { _id: ride._id, status: 'approved', remindersSent: { $nin: due } },
+      { $addToSet: { remindersSent: { $each: due } } }
+    );
+    if (!result.modifiedCount) continue;
+
+    await notifyRideReminder(ride._id, minutesLeft);
+    sent += 1;
+  }
+
+  return sent > 0 ? { sent } : null;
+};
+
+// Scheduler job: close approved rides that were never started. Rides with a
+// driver become no_show, rides without one expire. Leaving the approved status
+// releases the fare they reserved against the department budget.
+const flagMissedRides = async (now = new Date()) => {
+  const { noShowGraceMinutes, expireGraceMinutes } = rideReminderConfig;
+
+  const rides = await Ride.find({
+    status: 'approved',
+    scheduleTime: { $lte: new Date(now.getTime() - Math.min(noShowGraceMinutes, expireGraceMinutes) * MINUTE_MS) }
+  });
+
+  const counts = { noShow: 0, expired: 0 };
+  for (const ride of rides) {
+    const noShow = Boolean(ride.driverAssignedAt);
+    const graceMinutes = noShow ? noShowGraceMinutes : expireGraceMinutes;
+    if (ride.scheduleTime > new Date(now.getTime() - graceMinutes * MINUTE_MS)) continue;
+
+    const status = noShow ? 'no_show' : 'expired';
+    const reason = noShow
+      ? `Ride not started within ${graceMinutes} minutes of pickup time`
+      : `No driver assigned within ${graceMinutes} minutes of pickup time`;
+
+    ride.transitionTo(status, { reason });
+    ride[noShow ? 'noShowAt' : 'expiredAt'] = now;
+    if (ride.budgetCheck?.budgetId) {
+      ride.budgetCheck.releasedAt = now;
+    }
+    await ride.save();
+
+    await logAdminAction({
+      actorType: 'system',
+      action: noShow ? 'mark_no_show' : 'expire_ride',
+      targetType: 'ride',
+      targetId: ride._id,
+      reason,
+      details: {
+        rideId: ride._id,
+        userId: ride.userId,
+        scheduleTime: ride.scheduleTime,
+        estimatedFare: ride.estimatedFare
+      }
+    });
+    await notifyUserRideUpdate(ride._id, status);
+
+    counts[noShow ? 'noShow' : 'expired'] += 1;
+  }
+
+  return counts.noShow || counts.expired ? counts : null;
+};
+
+module.exports = {
+  sendRideReminders,
+  flagMissedRides
+};
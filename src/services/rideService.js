@@ -0,0 +1,136 @@
+const Ride = require('../models/Ride');
+const ErrorResponse = require('../utils/errorResponse');
+const {
+  notifyRideCreated,
+  notifyAdminNewRide,
+  notifyManagerApproval,
+  notifyUserRideUpdate
+} = require('../controllers/notificationController');
+const { calculateFare } = require('./fareCalculator');
+const { applyApprovalPolicies } = require('./approvalPolicyEngine');
+const { buildApprovalChain, getPendingStep } = require('./approvalChain');
+const { checkRideBudget, sendBudgetAlerts } = require('./budgetService');
+const { checkRideQuota } = require('./quotaService');
+const { queueDispatch } = require('./dispatchService');
+const { toLocation, distanceBetween } = require('../utils/geo');
+
+// Trip details the fare calculator needs, taken from ride data. Used for
+// estimates and bookings alike, so both price a trip the same way: distance
+// comes from pickup/drop coordinates when both are known, otherwise the rate
+// card's default applies. Distance and duration sent by the client are ignored.
+const getTripDetails = (data) => {
+  const distanceKm = distanceBetween(toLocation(data.pickup), toLocation(data.drop));
+
+  return {
+    distanceKm: distanceKm !== null ? distanceKm : undefined,
+    vehicleClass: data.vehicleClass,
+    scheduleTime: data.scheduleTime || new Date()
+  };
+};
+
+// Replace pickupPlaceId/dropPlaceId with the user's saved place details
+const applySavedPlaces = (user, data) => {
+  ['pickup', 'drop'].forEach(field => {
+    const placeId = data[`${field}PlaceId`];
+    if (!placeId) return;
+
+    const place = user.savedPlaces.id(placeId);
+    if (!place) {
+      throw new ErrorResponse(`Saved ${field} place not found`, 404);
+    }
+
+    const { address, landmark, location } = place.toObject();
+    data[field] = { address, landmark, location };
+  });
+};
+
+// Auto-approve or flag a pending ride according to the approval policies;
+// if it still needs approval it goes through the manager/finance chain.
+// Rides over budget are never auto-approved. Used at booking and again when
+// the trip changes, so earlier policy results and approvals are dropped.
+const routeForApproval = async (ride, user) => {
+  ride.approvalPolicy = undefined;
+  ride.approvalChain = [];
+
+  if (!ride.budgetCheck?.exceeded) {
+    await applyApprovalPolicies(ride, user);
+  }
+
+  if (ride.status === 'pending') {
+    ride.approvalChain = buildApprovalChain(ride, user);
+  }
+  await ride.save();
+};
+
+const onRideAutoApproved = async (ride, user) => {
+  await notifyUserRideUpdate(ride._id, 'approved');
+  await sendBudgetAlerts(user.department, ride.scheduleTime);
+  await queueDispatch(ride);
+};
+
+// Fields a ride request may set; status, approvals, fares and the rest are
+// decided by the booking flow below. Distance is never taken from the client:
+// policies, quotas and budgets all depend on the fare it produces.
+const BOOKING_FIELDS = [
+  'pickup', 'drop', 'pickupPlaceId', 'dropPlaceId', 'scheduleTime', 'vehicleClass',
+  'purpose', 'specialRequirements'
+];
+
+const pickBookingFields = (body) => {
+  const fields = {};
+  BOOKING_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Create a ride request for a user. Used by POST /api/rides and by the
+// recurring schedule generator (which passes its scheduleId) so both go
+// through the same approval flow.
+const bookRide = async (user, rideData, { scheduleId } = {}) => {
+  const data = { ...pickBookingFields(rideData), userId: user._id };
+  if (scheduleId) data.scheduleId = scheduleId;
+  applySavedPlaces(user, data);
+
+  // Pools are formed later by the pooling job; only the choice is recorded here
+  data.pooling = { optIn: rideData.poolingOptIn === true };
+
+  // Calculate estimated fare from the rate card; without coordinates the
+  // rate card's default distance applies
+  const tripDetails = getTripDetails(data);
+  const fareBreakdown = calculateFare(tripDetails);
+  data.distanceKm = tripDetails.distanceKm;
+  data.vehicleClass = fareBreakdown.vehicleClass;
+  data.fareBreakdown = fareBreakdown;
+  data.estimatedFare = fareBreakdown.total;
+
+  // Refuse rides over the employee's own limits
+  await checkRideQuota(user, data);
+
+  // Refuse or flag rides over the department's remaining budget
+  await checkRideBudget(data, user.department);
+
+  const ride = await Ride.create(data);
+  await routeForApproval(ride, user);
+
+  await notifyRideCreated(ride);
+
+  if (ride.status === 'approved') {
+    await onRideAutoApproved(ride, user);
+  } else if (getPendingStep(ride)?.role === 'manager') {
+    await notifyManagerApproval(ride._id);
+  } else {
+    // Send notification to admin about new ride request
+    await notifyAdminNewRide(ride._id);
+  }
+
+  return ride;
+};
+
+module.exports = {
+  getTripDetails,
+  applySavedPlaces,
+  routeForApproval,
+  onRideAutoApproved,
+  bookRide
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const schedulerConfig = require('../config/scheduler');
+
+// In-process periodic job runner. Jobs only run while MongoDB is connected
+// and a job never overlaps with a still-running previous run of itself.
+const jobs = [];
+
+const registerJob = (name, handler, { intervalMinutes = schedulerConfig.intervalMinutes } = {}) => {
+  jobs.push({ name, handler, intervalMinutes, running: false, timer: null });
+};
+
+const runJob = async (job) => {
+  if (job.running || mongoose.connection.readyState !== 1) return;
+
+  job.running = true;
+  try {
+    const result = await job.handler(new Date());
+    if (result) {
+      console.log(`⏱️  Job ${job.name}: ${JSON.stringify(result)}`);
+    }
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error.message);
+  } finally {
+    job.running = false;
+  }
+};
+
+const startScheduler = () => {
+  if (!schedulerConfig.enabled) {
+    console.log('Background scheduler disabled');
+    return;
+  }
+
+  jobs.forEach(job => {
+    job.timer = setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000);
+    job.timer.unref();
+  });
+
+  // Run every job once as soon as the database is available
+  const runAll = () => jobs.forEach(runJob);
+  if (mongoose.connection.readyState === 1) {
+    runAll();
+  } else {
+    mongoose.connection.once('connected', runAll);
+  }
+
+  console.log(`Background scheduler started with ${jobs.length} job(s)`);
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const sessionConfig = require('../config/sessions');
+const { createSessionToken, generateRefreshToken, hashRefreshToken } = require('../utils/auth');
+const { closeSessionStreams, closeOtherSessionStreams } = require('./realtime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Store a new refresh token of the family and return it with a fresh access token
+const issueTokens = async (user, familyId, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    familyId,
+    tokenHash: hashRefreshToken(refreshToken),
+    expiresAt: new Date(Date.now() + sessionConfig.refreshTokenDays * DAY_MS),
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
+  return {
+    session,
+    accessToken: createSessionToken(user._id, familyId),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+// Start a login session
+const startSession = (user, req) => issueTokens(user, new mongoose.Types.ObjectId(), req);
+
+// End a login session, along with the event streams it opened
+const revokeFamily = async (familyId, reason) => {
+  const result = await Session.updateMany(
+    { familyId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  closeSessionStreams(familyId);
+  return result;
+};
+
+// End every session of a user, except the one given (e.g. the current one)
+const revokeUserSessions = async (userId, reason, { exceptFamilyId } = {}) => {
+  const query = { userId, revokedAt: { $exists: false } };
+  if (exceptFamilyId) query.familyId = { $ne: exceptFamilyId };
+
+  const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  closeOtherSessionStreams(userId, { exceptSessionId: exceptFamilyId });
+  return result;
+};
+
+// Trade a refresh token for a new access token and refresh token. Each token
+// works once; a token that was already used revokes its whole family.
+const rotateSession = async (refreshToken, req) => {
+  const session = await Session.findOne({ tokenHash: hashRefreshToken(refreshToken) });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new ErrorResponse('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  // Claiming the token atomically also catches two refreshes racing with it
+  const claimed = await Session.findOneAndUpdate(
+    { _id: session._id, rotatedAt: { $exists: false }, revokedAt: { $exists: false } },
+    { rotatedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    await revokeFamily(session.familyId, 'reuse');
+    throw new ErrorResponse('Refresh token was already used; the session has been ended', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    throw new ErrorResponse('User not found or inactive', 401);
+  }
+
+  const tokens = await issueTokens(user, session.familyId, req);
+  claimed.replacedBy = tokens.session._id;
+  await claimed.save();
+
+  return { user, ...tokens };
+};
+
+// A session is live while one of its tokens is unexpired and not revoked
+const isSessionActive = (familyId) => {
+  return Session.exists({
+    familyId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = {
+  startSession,
+  rotateSession,
+  revokeFamily,
+  revokeUserSessions,
+  isSessionActive
+};
@@ -0,0 +1,294 @@
+const Ride = require('../models/Ride');
+const Driver = require('../models/Driver');
+const TripPoint = require('../models/TripPoint');
+const ErrorResponse = require('../utils/errorResponse');
+const trackingConfig = require('../config/tracking');
+const { haversineDistanceKm, getCoordinates } = require('../utils/geo');
+const { calculateFare } = require('./fareCalculator');
+const { publishRideEvent } = require('./realtime');
+const { notifyFareDeviation } = require('../controllers/notificationController');
+
+const MINUTE_MS = 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toPoint = ({ latitude, longitude }) => ({
+  type: 'Point',
+  coordinates: [Number(longitude), Number(latitude)]
+});
+
+// Length in km of a path of [longitude, latitude] pairs
+const pathDistanceKm = (coordinates) => {
+  let distanceKm = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    distanceKm += haversineDistanceKm(coordinates[i - 1], coordinates[i]);
+  }
+  return distanceKm;
+};
+
+// Keep evenly spaced points of a long path, always including both ends
+const thinPath = (coordinates, maxPoints) => {
+  if (coordinates.length <= maxPoints) return coordinates;
+
+  const step = (coordinates.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => coordinates[Math.round(i * step)]);
+};
+
+// Remember where the driver is, for dispatch. Late pings never overwrite a
+// newer position.
+const updateDriverLocation = (driverId, ping) => {
+  const recordedAt = ping.recordedAt ? new Date(ping.recordedAt) : new Date();
+
+  return Driver.updateOne(
+    {
+      _id: driverId,
+      $or: [{ lastLocationAt: { $exists: false } }, { lastLocationAt: { $lt: recordedAt } }]
+    },
+    { lastLocation: toPoint(ping), lastLocationAt: recordedAt }
+  );
+};
+
+// Store a ping from the driver of an in-progress ride and stream it to the
+// ride owner. Everyone in a pooled trip shares the car, so the ping is stored
+// for each of the pool's rides the driver is on. The fare is measured from
+// these pings, so readings from before the trip started or that arrive too
+// late are refused.
+const recordRideLocation = async (ride, driver, ping) => {
+  const recordedAt = ping.recordedAt ? new Date(ping.recordedAt) : new Date();
+  if (ride.startedAt && recordedAt < ride.startedAt) {
+    throw new ErrorResponse('Location was recorded before the trip started', 400, 'PING_BEFORE_TRIP_START');
+  }
+  if (recordedAt.getTime() < Date.now() - trackingConfig.maxPingAgeMinutes * MINUTE_MS) {
+    throw new ErrorResponse(
+      `Location pings must be sent within ${trackingConfig.maxPingAgeMinutes} minutes of being recorded`,
+      400,
+      'PING_TOO_OLD'
+    );
+  }
+
+  const rides = ride.pooling?.poolId
+    ? await Ride.find({
+      'pooling.poolId': ride.pooling.poolId,
+      'driver.driverId': driver._id,
+      status: 'in_progress'
+    }).select('userId status')
+    : [ride];
+
+  const points = await TripPoint.insertMany(rides.map(tripRide => ({
+    rideId: tripRide._id,
+    driverId: driver._id,
+    location: toPoint(ping),
+    speedKmh: ping.speedKmh,
+    heading: ping.heading,
+    accuracyM: ping.accuracyM,
+    recordedAt
+  })));
+
+  await updateDriverLocation(driver._id, { ...ping, recordedAt });
+
+  await Promise.all(rides.map(tripRide => publishRideEvent('ride.location', {
+    rideId: tripRide._id,
+    userId: tripRide.userId,
+    status: tripRide.status,
+    latitude: Number(ping.latitude),
+    longitude: Number(ping.longitude),
+    speedKmh: ping.speedKmh,
+    heading: ping.heading,
+    recordedAt
+  })));
+
+  return points.find(point => point.rideId.equals(ride._id));
+};
+
+// Remaining distance to the drop and ETA from the latest position. The trip's
+// own average speed is used once it has been moving long enough.
+const estimateArrival = (ride, points, travelledKm) => {
+  const latest = points[points.length - 1];
+  const drop = getCoordinates(ride.drop);
+  if (ride.status !== 'in_progress' || !latest || !drop) {
+    return { remainingKm: null, speedKmh: null, etaMinutes: null, etaAt: null };
+  }
+
+  const remainingKm = round(haversineDistanceKm(latest.location.coordinates, drop) * trackingConfig.roadFactor);
+  const elapsedMinutes = (latest.recordedAt - points[0].recordedAt) / MINUTE_MS;
+  const measuredSpeed = elapsedMinutes >= trackingConfig.minMeasuredMinutes
+    ? travelledKm / (elapsedMinutes / 60)
+    : 0;
+  const speedKmh = measuredSpeed > 0 ? measuredSpeed : trackingConfig.averageSpeedKmh;
+  const etaMinutes = Math.ceil(remainingKm / speedKmh * 60);
+
+  return {
+    remainingKm,
+    speedKmh: round(speedKmh),
+    etaMinutes,
+    etaAt: new Date(latest.recordedAt.getTime() + etaMinutes * MINUTE_MS)
+  };
+};
+
+const loadTripPoints = (rideId) => {
+  return TripPoint.find({ rideId })
+    .select('location speedKmh heading recordedAt')
+    .sort({ recordedAt: 1 });
+};
+
+// Latest position, travelled path and ETA of a ride
+const getRideTrack = async (ride) => {
+  const points = await loadTripPoints(ride._id);
+
+  const coordinates = points.map(point => point.location.coordinates);
+  const travelledKm = pathDistanceKm(coordinates);
+  const latest = points[points.length - 1];
+
+  return {
+    rideId: ride._id,
+    status: ride.status,
+    latest: latest
+      ? {
+        latitude: latest.location.coordinates[1],
+        longitude: latest.location.coordinates[0],
+        speedKmh: latest.speedKmh,
+        heading: latest.heading,
+        recordedAt: latest.recordedAt
+      }
+      : null,
+    points: points.length,
+    travelledKm: round(travelledKm),
+    path: thinPath(coordinates, trackingConfig.maxPathPoints),
+    ...estimateArrival(ride, points, travelledKm)
+  };
+};
+
+// Set the actual fare of a ride being completed (the caller saves it). When the
+// driver app recorded the trip, the fare is the rate card price of the measured
+// distance and duration, with a pooled ride keeping its pooling discount; the
+// fare the admin entered is only kept for comparison. Otherwise the entered
+// fare is used. Either way, a large deviation from the estimate is flagged.
+// Ping times come from the device, so the measured trip is kept within the
+// times the server saw it start and complete.
+const settleActualFare = async (ride, enteredFare) => {
+  const points = await loadTripPoints(ride._id);
+  const measured = points.length >= trackingConfig.minFarePoints;
+
+  if (!measured && (enteredFare === undefined || enteredFare === null)) {
+    throw new ErrorResponse('No trip was recorded for this ride; enter the actual fare', 400, 'ACTUAL_FARE_REQUIRED');
+  }
+
+  const summary = { enteredFare, computedAt: new Date() };
+  if (measured) {
+    const tripStart = ride.startedAt || points[0].recordedAt;
+    const tripEnd = ride.completedAt || new Date();
+    const clamp = (date) => new Date(Math.min(Math.max(date, tripStart), tripEnd));
+
+    summary.distanceKm = round(pathDistanceKm(points.map(point => point.location.coordinates)));
+    summary.points = points.length;
+    summary.startedAt = clamp(points[0].recordedAt);
+    summary.endedAt = clamp(points[points.length - 1].recordedAt);
+    summary.durationMinutes = Math.round((summary.endedAt - summary.startedAt) / MINUTE_MS);
+    const kept = thinPath(points, trackingConfig.maxPathPoints);
+    summary.route = {
+      coordinates: kept.map(point => point.location.coordinates),
+      timestamps: kept.map(point => point.recordedAt)
+    };
+    summary.fareBreakdown = calculateFare({
+      distanceKm: summary.distanceKm,
+      durationMinutes: summary.durationMinutes,
+      vehicleClass: ride.vehicleClass,
+      scheduleTime: summary.startedAt
+    });
+
+    const poolingDiscount = ride.pooling?.soloFare ? ride.estimatedFare / ride.pooling.soloFare : 1;
+    ride.actualFare = Math.round(summary.fareBreakdown.total * poolingDiscount);
+  } else {
+    ride.actualFare = enteredFare;
+  }
+
+  summary.deviationPercent = ride.estimatedFare
+    ? round((ride.actualFare - ride.estimatedFare) / ride.estimatedFare * 100)
+    : undefined;
+  summary.fareFlagged = Math.abs(summary.deviationPercent || 0) > trackingConfig.fareDeviationPercent;
+  ride.tripSummary = summary;
+
+  return ride.tripSummary;
+};
+
+// Tell admins about a completed ride whose fare needs a look
+const reportFareDeviation = async (ride) => {
+  if (ride.tripSummary?.fareFlagged) {
+    await notifyFareDeviation(ride._id);
+  }
+};
+
+// Path of a completed ride kept on its trip summary, for when its trip points
+// have expired
+const loadSummaryRoute = async (rideId) => {
+  const ride = await Ride.findById(rideId)
+    .select('tripSummary.route.coordinates tripSummary.route.timestamps');
+  const route = ride?.tripSummary?.route;
+  if (!route?.coordinates?.length) return [];
+
+  return route.coordinates.map((coordinates, index) => ({
+    location: { coordinates },
+    recordedAt: route.timestamps[index]
+  }));
+};
+
+// Recorded route of a ride as a GeoJSON FeatureCollection: the travelled path
+// with the time of each point, plus the booked pickup and drop. The path is at
+// full resolution while the trip points are kept, and the thinned copy from the
+// trip summary after that (properties.source tells which).
+const getRouteGeoJSON = async (ride) => {
+  let points = await loadTripPoints(ride._id);
+  let source = 'trip_points';
+  if (!points.length) {
+    points = await loadSummaryRoute(ride._id);
+    source = 'trip_summary';
+  }
+
+  const coordinates = points.map(point => point.location.coordinates);
+  const features = [];
+
+  if (coordinates.length) {
+    features.push({
+      type: 'Feature',
+      geometry: coordinates.length > 1
+        ? { type: 'LineString', coordinates }
+        : { type: 'Point', coordinates: coordinates[0] },
+      properties: {
+        kind: 'route',
+        rideId: ride._id,
+        source,
+        points: points.length,
+        distanceKm: round(pathDistanceKm(coordinates)),
+        startedAt: points[0].recordedAt,
+        endedAt: points[points.length - 1].recordedAt,
+        timestamps: points.map(point => point.recordedAt)
+      }
+    });
+  }
+
+  ['pickup', 'drop'].forEach(field => {
+    const location = getCoordinates(ride[field]);
+    if (!location) return;
+
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: location },
+      properties: {
+        kind: field,
+        address: ride[field].address
+      }
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+};
+
+module.exports = {
+  pathDistanceKm,
+  updateDriverLocation,
+  recordRideLocation,
+  getRideTrack,
+  settleActualFare,
+  reportFareDeviation,
+  getRouteGeoJSON
+};
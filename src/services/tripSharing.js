@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const Ride = require('../models/Ride');
+const TripPoint = require('../models/TripPoint');
+const ErrorResponse = require('../utils/errorResponse');
+const tripSharingConfig = require('../config/tripSharing');
+const mailConfig = require('../config/mail');
+const { sendTemplateEmail } = require('./mail/mailer');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Rides that can be followed by someone else; the link is revoked when the
+// ride leaves these statuses
+const SHAREABLE_STATUSES = ['approved', 'in_progress'];
+
+const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Page of the frontend that shows a shared trip
+const shareUrl = (token) => `${mailConfig.appUrl}/trip/${token}`;
+
+// Mint a new share link for the ride; any previous link stops working. The
+// link is emailed to the employee's emergency contacts when asked.
+const shareRide = async (ride, user, { expiresInHours, notifyContacts } = {}) => {
+  if (!SHAREABLE_STATUSES.includes(ride.status)) {
+    throw new ErrorResponse(
+      `Only upcoming or in-progress rides can be shared; this ride is ${ride.status}`,
+      409,
+      'RIDE_NOT_SHAREABLE'
+    );
+  }
+
+  const hours = Math.min(expiresInHours || tripSharingConfig.defaultHours, tripSharingConfig.maxHours);
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  ride.share = {
+    tokenHash: hashShareToken(token),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + hours * HOUR_MS)
+  };
+  await ride.save();
+
+  const url = shareUrl(token);
+  const contacts = notifyContacts ? user.emergencyContacts.filter(contact => contact.email) : [];
+  for (const contact of contacts) {
+    await sendTemplateEmail('trip_share', contact.email, { contact, user, ride, url }, {
+      userId: user._id,
+      rideId: ride._id
+    });
+  }
+
+  return {
+    token,
+    url,
+    expiresAt: ride.share.expiresAt,
+    notified: contacts.map(contact => contact.email)
+  };
+};
+
+// Revoke the ride's share link; false when there was none to revoke
+const stopSharingRide = async (ride) => {
+  if (!ride.share?.createdAt || ride.share.revokedAt) return false;
+
+  ride.share.revokedAt = new Date();
+  await ride.save();
+  return true;
+};
+
+// What the holder of a share link may see: status, driver and vehicle, and
+// the latest position while the ride is in progress
+const getSharedTrip = async (token) => {
+  const ride = await Ride.findOne({ 'share.tokenHash': hashShareToken(token) })
+    .select('status share driver');
+
+  if (!ride) {
+    throw new ErrorResponse('Shared trip not found', 404);
+  }
+  if (ride.share.revokedAt || ride.share.expiresAt <= new Date() || !SHAREABLE_STATUSES.includes(ride.status)) {
+    throw new ErrorResponse('This trip is no longer shared', 410, 'SHARE_LINK_EXPIRED');
+  }
+
+  const latest = ride.status === 'in_progress'
+    ? await TripPoint.findOne({ rideId: ride._id }).sort({ recordedAt: -1 })
+    : null;
+
+  return {
+    status: ride.status,
+    statusDisplay: ride.statusDisplay,
+    driver: ride.driver?.name
+      ? {
+        name: ride.driver.name,
+        vehicle: ride.driver.vehicle,
+        registrationNumber: ride.driver.registrationNumber,
+        rating: ride.driver.rating
+      }
+      : null,
+    location: latest
+      ? {
+        latitude: latest.location.coordinates[1],
+        longitude: latest.location.coordinates[0],
+        heading: latest.heading,
+        recordedAt: latest.recordedAt
+      }
+      : null,
+    expiresAt: ride.share.expiresAt
+  };
+};
+
+module.exports = {
+  shareRide,
+  stopSharingRide,
+  getSharedTrip
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookConfig = require('../config/webhooks');
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Rapido-Signature: sha256=<hex>
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Ride fields shared with subscribers
+const rideWebhookData = (ride) => ({
+  rideId: ride._id,
+  userId: ride.userId?._id || ride.userId,
+  status: ride.status,
+  pickup: ride.pickup?.address,
+  drop: ride.drop?.address,
+  scheduleTime: ride.scheduleTime,
+  vehicleClass: ride.vehicleClass,
+  estimatedFare: ride.estimatedFare,
+  actualFare: ride.actualFare,
+  approvedBy: ride.approvedBy?._id || ride.approvedBy,
+  autoApproved: ride.autoApproved,
+  rejectionReason: ride.rejectionReason,
+  cancellationReason: ride.cancellationReason
+});
+
+// User fields shared with subscribers
+const userWebhookData = (user) => ({
+  userId: user._id,
+  employeeId: user.employeeId,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  department: user.department,
+  role: user.role,
+  isActive: user.isActive
+});
+
+// Send a delivery once and record the outcome. Failed attempts are scheduled
+// for a retry with exponential backoff until maxAttempts is reached.
+const attemptDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Rapido-Corporate-Webhooks/1.0',
+        'X-Rapido-Event': delivery.event,
+        'X-Rapido-Delivery': delivery._id.toString(),
+        'X-Rapido-Timestamp': timestamp,
+        'X-Rapido-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(webhookConfig.timeoutMs)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, 1000);
+    if (!response.ok) {
+      throw new Error(`Receiver responded with ${response.status}`);
+    }
+
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+    if (delivery.attempts >= webhookConfig.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      const delaySeconds = webhookConfig.retryBaseSeconds * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+    }
+  }
+
+  await delivery.save();
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    {
+      lastDeliveryAt: delivery.lastAttemptAt,
+      lastDeliveryStatus: delivery.status === 'succeeded' ? 'succeeded' : 'failed'
+    }
+  );
+
+  return delivery;
+};
+
+// Store a delivery before its first attempt. It is already due for the retry
+// job once that attempt should have finished, so a delivery whose process
+// stopped mid-attempt is still sent; a finished attempt moves nextAttemptAt.
+const createDelivery = (fields) => {
+  return WebhookDelivery.create({
+    ...fields,
+    nextAttemptAt: new Date(Date.now() + webhookConfig.timeoutMs + webhookConfig.retryBaseSeconds * 1000)
+  });
+};
+
+// Queue an event for every active subscription listening to it and make the
+// first delivery attempt in the background. With a dedupeKey a subscription
+// gets the event once, however often this is called. Never throws.
+const emitWebhookEvent = async (event, data, { dedupeKey } = {}) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({
+      isActive: true,
+      events: { $in: [event, '*'] }
+    }).select('+secret');
+    if (!subscriptions.length) return;
+
+    // Store exactly what is signed and sent
+    const payload = JSON.parse(JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date(),
+      data
+    }));
+
+    for (const subscription of subscriptions) {
+      let delivery;
+      try {
+        delivery = await createDelivery({
+          subscriptionId: subscription._id,
+          event,
+          payload,
+          dedupeKey
+        });
+      } catch (error) {
+        // Already queued for this subscription; the retry job takes it from there
+        if (dedupeKey && error.code === 11000) continue;
+        throw error;
+      }
+      attemptDelivery(delivery, subscription)
+        .catch(error => console.error(`Webhook delivery ${delivery._id} failed:`, error.message));
+    }
+  } catch (error) {
+    console.error(`Error emitting webhook event ${event}:`, error.message);
+  }
+};
+
+// Send a stored delivery again as a new delivery and wait for the result
+const redeliver = async (delivery, subscription) => {
+  const copy = await createDelivery({
+    subscriptionId: subscription._id,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  });
+  return attemptDelivery(copy, subscription);
+};
+
+// Scheduler job: retry deliveries whose backoff has elapsed
+const retryDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now }
+  }).sort({ nextAttemptAt: 1 }).limit(100);
+
+  let retried = 0;
+  for (const delivery of due) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+    if (!subscription || !subscription.isActive) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      delivery.lastError = 'Subscription deleted or inactive';
+      await delivery.save();
+      continue;
+    }
+
+    await attemptDelivery(delivery, subscription);
+    retried += 1;
+  }
+
+  return retried > 0 ? { retried } : null;
+};
+
+module.exports = {
+  signPayload,
+  rideWebhookData,
+  userWebhookData,
+  emitWebhookEvent,
+  redeliver,
+  retryDueDeliveries
+};
@@ -1,36 +1,30 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const sessionConfig = require('../config/sessions');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
-  );
-};
-
-// Send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
+// Send token response with the tokens of a session (see services/sessionService)
+const sendTokenResponse = (user, statusCode, res, { accessToken, refreshToken, refreshTokenExpiresAt }) => {
+  // The cookie lasts as long as the access token in it
+  const expiresAt = new Date(jwt.decode(accessToken).exp * 1000);
 
   const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 30) * 24 * 60 * 60 * 1000
-    ),
+    expires: expiresAt,
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
     sameSite: 'strict'
   };
 
   res.status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', accessToken, options)
     .json({
       success: true,
       message: 'Authentication successful',
       data: {
-        token,
+        token: accessToken,
+        expiresAt,
+        refreshToken,
+        refreshTokenExpiresAt,
         user: {
           _id: user._id,
           firstName: user.firstName,
@@ -146,34 +140,23 @@ const isTokenExpired = (token) => {
   }
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { id: userId, type: 'refresh' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+// Generate refresh token; an opaque random string, stored only as a hash
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
 };
 
-// Verify refresh token
-const verifyRefreshToken = (token) => {
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.type !== 'refresh') {
-      throw new Error('Invalid token type');
-    }
-    return decoded;
-  } catch (error) {
-    throw new Error('Invalid refresh token');
-  }
+// Hash refresh token
+const hashRefreshToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
-// Create session token
+// Create access token for a login session; it is only accepted while the
+// session is active
 const createSessionToken = (userId, sessionId) => {
   return jwt.sign(
     { id: userId, sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: sessionConfig.accessTokenExpire }
   );
 };
 
@@ -191,7 +174,6 @@ const sendLogoutResponse = (res) => {
 };
 
 module.exports = {
-  generateToken,
   sendTokenResponse,
   hashPassword,
   comparePassword,
@@ -203,7 +185,7 @@ module.exports = {
   sanitizeUser,
   isTokenExpired,
   generateRefreshToken,
-  verifyRefreshToken,
+  hashRefreshToken,
   createSessionToken,
   sendLogoutResponse
 };
@@ -0,0 +1,10 @@
+// Error carrying an HTTP status (and optional machine-readable code) for errorHandler
+class ErrorResponse extends Error {
+  constructor(message, statusCode, code) {
+    super(message);
+    this.statusCode = statusCode;
+    if (code) this.code = code;
+  }
+}
+
+module.exports = ErrorResponse;
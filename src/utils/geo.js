@@ -0,0 +1,76 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isCoordinate = (value) => value !== undefined && value !== null && value !== '' && !isNaN(Number(value));
+
+// Great-circle distance in km between two [longitude, latitude] pairs
+const haversineDistanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Normalize a location from any accepted client form into the stored shape:
+// - a plain address string (legacy mobile clients)
+// - { address, latitude, longitude, landmark }
+// - { address, location: { type: 'Point', coordinates: [lng, lat] }, landmark }
+const toLocation = (input) => {
+  if (input === undefined || input === null || input === '') return undefined;
+
+  if (typeof input === 'string') {
+    return { address: input.trim() };
+  }
+
+  // Already normalized (e.g. a mongoose subdocument)
+  if (typeof input.toObject === 'function') {
+    input = input.toObject();
+  }
+
+  const location = {
+    address: typeof input.address === 'string' ? input.address.trim() : input.address
+  };
+
+  if (input.landmark) {
+    location.landmark = input.landmark;
+  }
+
+  if (isCoordinate(input.latitude) && isCoordinate(input.longitude)) {
+    location.location = {
+      type: 'Point',
+      coordinates: [Number(input.longitude), Number(input.latitude)]
+    };
+  } else if (input.location && Array.isArray(input.location.coordinates) && input.location.coordinates.length === 2) {
+    location.location = {
+      type: 'Point',
+      coordinates: input.location.coordinates.map(Number)
+    };
+  }
+
+  return location;
+};
+
+// [longitude, latitude] of a normalized location, or null when unknown
+const getCoordinates = (location) => {
+  const coordinates = location && location.location && location.location.coordinates;
+  return coordinates && coordinates.length === 2 ? [coordinates[0], coordinates[1]] : null;
+};
+
+// Distance in km (2 decimals) between two locations, or null without coordinates
+const distanceBetween = (from, to) => {
+  const fromCoordinates = getCoordinates(from);
+  const toCoordinates = getCoordinates(to);
+  if (!fromCoordinates || !toCoordinates) return null;
+
+  return Math.round(haversineDistanceKm(fromCoordinates, toCoordinates) * 100) / 100;
+};
+
+module.exports = {
+  haversineDistanceKm,
+  toLocation,
+  getCoordinates,
+  distanceBetween
+};
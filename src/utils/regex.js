@@ -0,0 +1,6 @@
+// Escape a user-supplied string so it matches literally inside a $regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex
+};
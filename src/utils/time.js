@@ -0,0 +1,75 @@
+// Offset of the local time zone used for schedules and policies (IST by default)
+const utcOffsetMinutes = process.env.APP_UTC_OFFSET_MINUTES !== undefined
+  ? parseInt(process.env.APP_UTC_OFFSET_MINUTES, 10)
+  : 330;
+
+const shift = (date, offsetMinutes) => new Date(new Date(date).getTime() + offsetMinutes * 60 * 1000);
+
+// YYYY-MM-DD of a date in local time
+const toLocalDate = (date, offsetMinutes = utcOffsetMinutes) => {
+  return shift(date, offsetMinutes).toISOString().slice(0, 10);
+};
+
+// UTC instant of a local YYYY-MM-DD date and HH:mm time
+const fromLocalDateTime = (localDate, time, offsetMinutes = utcOffsetMinutes) => {
+  return new Date(Date.parse(`${localDate}T${time}:00.000Z`) - offsetMinutes * 60 * 1000);
+};
+
+// "YYYY-MM-DD HH:mm" of a date in local time, for messages
+const formatLocalDateTime = (date, offsetMinutes = utcOffsetMinutes) => {
+  return shift(date, offsetMinutes).toISOString().slice(0, 16).replace('T', ' ');
+};
+
+// YYYY-MM of a date in local time
+const toLocalMonth = (date, offsetMinutes = utcOffsetMinutes) => {
+  return toLocalDate(date, offsetMinutes).slice(0, 7);
+};
+
+// UTC instants bounding a local YYYY-MM month: [start, end)
+const getLocalMonthRange = (month, offsetMinutes = utcOffsetMinutes) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const next = new Date(Date.UTC(year, monthIndex, 1)).toISOString().slice(0, 10);
+  return {
+    start: fromLocalDateTime(`${month}-01`, '00:00', offsetMinutes),
+    end: fromLocalDateTime(next, '00:00', offsetMinutes)
+  };
+};
+
+// UTC instants bounding the local Monday-Sunday week containing a date: [start, end)
+const getLocalWeekRange = (date, offsetMinutes = utcOffsetMinutes) => {
+  const localDate = toLocalDate(date, offsetMinutes);
+  const day = new Date(`${localDate}T00:00:00.000Z`);
+  const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+  const nextMonday = new Date(monday.getTime() + 7 * 24 * 60 * 60 * 1000);
+  return {
+    start: fromLocalDateTime(monday.toISOString().slice(0, 10), '00:00', offsetMinutes),
+    end: fromLocalDateTime(nextMonday.toISOString().slice(0, 10), '00:00', offsetMinutes)
+  };
+};
+
+// Local weekday (0 = Sunday) and minutes since local midnight
+const getLocalTime = (date, offsetMinutes = utcOffsetMinutes) => {
+  const local = shift(date, offsetMinutes);
+  return {
+    day: local.getUTCDay(),
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+};
+
+// Minutes since midnight of an HH:mm string
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+module.exports = {
+  utcOffsetMinutes,
+  toLocalDate,
+  toLocalMonth,
+  formatLocalDateTime,
+  fromLocalDateTime,
+  getLocalMonthRange,
+  getLocalWeekRange,
+  getLocalTime,
+  parseTime
+};
@@ -0,0 +1,77 @@
+jest.mock('../../src/models/Ride', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/models/RideSchedule', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/rideService', () => ({
+  applySavedPlaces: jest.fn()
+}));
+jest.mock('../../src/services/recurringRides', () => ({
+  materializeSchedule: jest.fn()
+}));
+jest.mock('../../src/services/ridePooling', () => ({
+  leavePool: jest.fn()
+}));
+jest.mock('../../src/services/dispatchService', () => ({
+  cancelOpenOffers: jest.fn()
+}));
+jest.mock('../../src/controllers/notificationController', () => ({
+  notifyRideCancelled: jest.fn()
+}));
+
+const Ride = require('../../src/models/Ride');
+const RideSchedule = require('../../src/models/RideSchedule');
+const { materializeSchedule } = require('../../src/services/recurringRides');
+const { updateSchedule } = require('../../src/controllers/rideScheduleController');
+
+const upcomingRide = (id, status, fields = {}) => ({
+  _id: id,
+  status,
+  driver: {},
+  dispatch: {},
+  ...fields,
+  transitionTo: jest.fn(function (to) { this.status = to; }),
+  save: jest.fn()
+});
+
+describe('rideScheduleController.updateSchedule', () => {
+  const schedule = { _id: 'schedule-1', userId: 'user-1', set: jest.fn(), save: jest.fn() };
+  let rides;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RideSchedule.findById.mockResolvedValue(schedule);
+    materializeSchedule.mockResolvedValue([]);
+  });
+
+  const update = async () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    Ride.find.mockResolvedValue(rides);
+
+    await updateSchedule({ params: { id: 'schedule-1' }, user: { id: 'user-1' }, body: { time: '09:00' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  it('releases approved rides without a driver so they are booked at the new time', async () => {
+    rides = [
+      upcomingRide('pending', 'pending'),
+      upcomingRide('approved', 'approved'),
+      upcomingRide('dispatching', 'approved', { dispatch: { status: 'offered' } }),
+      upcomingRide('assigned', 'approved', { driver: { name: 'Ravi' }, dispatch: { status: 'assigned' } })
+    ];
+
+    const res = await update();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const released = rides.filter(ride => ride.scheduleReleasedAt).map(ride => ride._id);
+    expect(released).toEqual(['pending', 'approved']);
+    expect(rides[1].status).toBe('cancelled');
+    expect(rides[2].status).toBe('approved');
+    expect(rides[3].status).toBe('approved');
+    expect(materializeSchedule).toHaveBeenCalledWith(schedule);
+  });
+});
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Ride = require('../../src/models/Ride');
+
+describe('Ride status transitions', () => {
+  it.each([
+    ['pending', 'approved'],
+    ['pending', 'rejected'],
+    ['pending', 'cancelled'],
+    ['approved', 'in_progress'],
+    ['approved', 'cancelled'],
+    ['approved', 'no_show'],
+    ['approved', 'expired'],
+    ['in_progress', 'completed']
+  ])('allows %s -> %s', (from, to) => {
+    expect(Ride.canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['pending', 'in_progress'],
+    ['pending', 'completed'],
+    ['approved', 'pending'],
+    ['in_progress', 'cancelled'],
+    ['completed', 'cancelled'],
+    ['cancelled', 'approved'],
+    ['rejected', 'approved'],
+    ['no_show', 'completed'],
+    ['unknown', 'approved']
+  ])('refuses %s -> %s', (from, to) => {
+    expect(Ride.canTransition(from, to)).toBe(false);
+  });
+
+  it('records who moved the ride and why', () => {
+    const by = new mongoose.Types.ObjectId();
+    const ride = new Ride({ status: 'pending' });
+
+    ride.transitionTo('cancelled', { by, reason: 'Plans changed' });
+
+    expect(ride.status).toBe('cancelled');
+    expect(ride.statusHistory).toHaveLength(1);
+    expect(ride.statusHistory[0]).toMatchObject({ from: 'pending', to: 'cancelled', reason: 'Plans changed' });
+    expect(ride.statusHistory[0].changedBy.equals(by)).toBe(true);
+  });
+
+  it('throws a 409 for an illegal transition and leaves the ride as it was', () => {
+    const ride = new Ride({ status: 'completed' });
+
+    expect(() => ride.transitionTo('cancelled')).toThrow(expect.objectContaining({
+      statusCode: 409,
+      code: 'INVALID_STATUS_TRANSITION'
+    }));
+    expect(ride.status).toBe('completed');
+    expect(ride.statusHistory).toHaveLength(0);
+  });
+});
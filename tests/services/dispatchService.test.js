@@ -0,0 +1,92 @@
+jest.mock('../../src/models/Ride', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/models/DispatchOffer', () => ({
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/driverService', () => ({
+  BOOKED_STATUSES: ['approved', 'in_progress'],
+  assignDriverToRide: jest.fn()
+}));
+jest.mock('../../src/services/jobQueue', () => ({
+  registerJobHandler: jest.fn(),
+  enqueueJob: jest.fn()
+}));
+jest.mock('../../src/services/auditLog', () => ({
+  logAdminAction: jest.fn()
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  emitWebhookEvent: jest.fn(),
+  rideWebhookData: (ride) => ({ rideId: ride._id })
+}));
+jest.mock('../../src/services/ridePooling', () => ({
+  shareDriverWithPool: jest.fn(),
+  isPoolFollower: () => false
+}));
+jest.mock('../../src/controllers/notificationController', () => ({
+  notifyUserRideUpdate: jest.fn(),
+  notifyDispatchFailed: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Ride = require('../../src/models/Ride');
+const DispatchOffer = require('../../src/models/DispatchOffer');
+const { assignDriverToRide } = require('../../src/services/driverService');
+const { acceptOffer } = require('../../src/services/dispatchService');
+
+describe('dispatchService.acceptOffer', () => {
+  const driver = { _id: new mongoose.Types.ObjectId() };
+  let offer;
+  let ride;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    offer = {
+      _id: 'offer-1',
+      rideId: 'ride-1',
+      driverId: driver._id,
+      vehicleId: 'vehicle-1',
+      status: 'offered',
+      save: jest.fn()
+    };
+    ride = { _id: 'ride-1', status: 'approved', driver: {}, dispatch: { status: 'offered' }, save: jest.fn() };
+    Ride.findById.mockResolvedValue(ride);
+    DispatchOffer.findById.mockResolvedValue(offer);
+  });
+
+  it('claims the offer only while it is open and assigns the driver', async () => {
+    DispatchOffer.findOneAndUpdate.mockResolvedValue({ ...offer, status: 'accepted' });
+
+    await acceptOffer('offer-1', driver);
+
+    expect(DispatchOffer.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'offer-1', driverId: driver._id, status: 'offered' }),
+      expect.objectContaining({ status: 'accepted' }),
+      { new: true }
+    );
+    expect(assignDriverToRide).toHaveBeenCalledWith(ride, { driverId: driver._id, vehicleId: 'vehicle-1' });
+    expect(ride.dispatch.status).toBe('assigned');
+  });
+
+  it('refuses an offer already answered, e.g. by a racing request', async () => {
+    DispatchOffer.findOneAndUpdate.mockResolvedValue(null);
+    offer.status = 'accepted';
+
+    await expect(acceptOffer('offer-1', driver)).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'OFFER_CLOSED'
+    });
+    expect(assignDriverToRide).not.toHaveBeenCalled();
+  });
+
+  it('refuses an offer for a ride that was cancelled', async () => {
+    const claimed = { ...offer, status: 'accepted' };
+    DispatchOffer.findOneAndUpdate.mockResolvedValue(claimed);
+    ride.status = 'cancelled';
+
+    await expect(acceptOffer('offer-1', driver)).rejects.toMatchObject({ statusCode: 409 });
+    expect(claimed.status).toBe('cancelled');
+    expect(assignDriverToRide).not.toHaveBeenCalled();
+  });
+});
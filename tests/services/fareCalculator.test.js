@@ -0,0 +1,135 @@
+const { calculateFare } = require('../../src/services/fareCalculator');
+
+// Sedan, 10 km in 20 minutes: 60 base + 140 distance + 40 time
+const trip = (scheduleTime, overrides = {}) => ({
+  distanceKm: 10,
+  durationMinutes: 20,
+  vehicleClass: 'sedan',
+  scheduleTime: new Date(scheduleTime),
+  ...overrides
+});
+
+const surchargeCodes = (fare) => fare.surcharges.map(surcharge => surcharge.code);
+
+describe('fareCalculator.calculateFare', () => {
+  it('prices a daytime trip from base, distance and time', () => {
+    // Saturday 14:00 IST
+    const fare = calculateFare(trip('2026-10-17T08:30:00.000Z'));
+
+    expect(fare).toMatchObject({
+      currency: 'INR',
+      vehicleClass: 'sedan',
+      baseFare: 60,
+      distanceFare: 140,
+      timeFare: 40,
+      surcharges: [],
+      minimumFareApplied: false,
+      total: 240
+    });
+  });
+
+  it('uses the default distance and average speed when only the class is known', () => {
+    const fare = calculateFare({ vehicleClass: 'sedan', scheduleTime: new Date('2026-10-17T08:30:00.000Z') });
+
+    expect(fare.distanceKm).toBe(10);
+    expect(fare.durationMinutes).toBe(24);
+    expect(fare.total).toBe(248);
+  });
+
+  describe('night surcharge', () => {
+    it('applies before midnight', () => {
+      // Saturday 23:30 IST
+      const fare = calculateFare(trip('2026-10-17T18:00:00.000Z'));
+
+      expect(fare.surcharges).toEqual([{ code: 'night', label: 'Night surcharge', amount: 60 }]);
+      expect(fare.total).toBe(300);
+    });
+
+    it('applies after midnight, on the next local day', () => {
+      // Sunday 02:00 IST, still Saturday in UTC
+      const fare = calculateFare(trip('2026-10-17T20:30:00.000Z'));
+
+      expect(surchargeCodes(fare)).toEqual(['night']);
+      expect(fare.total).toBe(300);
+    });
+
+    it('starts at 22:00 and ends at 06:00 local time', () => {
+      expect(surchargeCodes(calculateFare(trip('2026-10-17T16:29:00.000Z')))).toEqual([]);
+      expect(surchargeCodes(calculateFare(trip('2026-10-17T16:30:00.000Z')))).toEqual(['night']);
+      expect(surchargeCodes(calculateFare(trip('2026-10-18T00:29:00.000Z')))).toEqual(['night']);
+      expect(surchargeCodes(calculateFare(trip('2026-10-18T00:30:00.000Z')))).toEqual([]);
+    });
+  });
+
+  describe('peak surcharge', () => {
+    it('applies on weekday mornings and evenings', () => {
+      // Monday 09:00 and 18:00 IST
+      const morning = calculateFare(trip('2026-10-19T03:30:00.000Z'));
+      const evening = calculateFare(trip('2026-10-19T12:30:00.000Z'));
+
+      expect(morning.surcharges).toEqual([{ code: 'peak', label: 'Peak hour surcharge', amount: 48 }]);
+      expect(morning.total).toBe(288);
+      expect(surchargeCodes(evening)).toEqual(['peak']);
+    });
+
+    it('does not apply at the weekend', () => {
+      // Saturday 09:00 IST
+      expect(surchargeCodes(calculateFare(trip('2026-10-17T03:30:00.000Z')))).toEqual([]);
+    });
+
+    it('ends at the end of the window', () => {
+      // Monday 11:00 IST
+      expect(surchargeCodes(calculateFare(trip('2026-10-19T05:30:00.000Z')))).toEqual([]);
+    });
+  });
+
+  it('reads night and peak hours in the app time zone', () => {
+    const offset = process.env.APP_UTC_OFFSET_MINUTES;
+    process.env.APP_UTC_OFFSET_MINUTES = '0';
+
+    try {
+      jest.isolateModules(() => {
+        const { calculateFare: calculateUtcFare } = require('../../src/services/fareCalculator');
+
+        // Saturday 23:30 UTC is night; Monday 09:00 UTC is peak
+        expect(surchargeCodes(calculateUtcFare(trip('2026-10-17T23:30:00.000Z')))).toEqual(['night']);
+        expect(surchargeCodes(calculateUtcFare(trip('2026-10-19T09:00:00.000Z')))).toEqual(['peak']);
+        // Saturday 18:00 UTC would be night in IST
+        expect(surchargeCodes(calculateUtcFare(trip('2026-10-17T18:00:00.000Z')))).toEqual([]);
+      });
+    } finally {
+      if (offset === undefined) delete process.env.APP_UTC_OFFSET_MINUTES;
+      else process.env.APP_UTC_OFFSET_MINUTES = offset;
+    }
+  });
+
+  it('charges the minimum fare for short trips', () => {
+    const fare = calculateFare(trip('2026-10-17T08:30:00.000Z', {
+      vehicleClass: 'bike',
+      distanceKm: 1,
+      durationMinutes: 2
+    }));
+
+    expect(fare.minimumFareApplied).toBe(true);
+    expect(fare.total).toBe(80);
+  });
+
+  it('compares the minimum fare with the fare including surcharges', () => {
+    // 28 + 25% night surcharge is still below the minimum
+    const fare = calculateFare(trip('2026-10-17T18:00:00.000Z', {
+      vehicleClass: 'bike',
+      distanceKm: 1,
+      durationMinutes: 2
+    }));
+
+    expect(surchargeCodes(fare)).toEqual(['night']);
+    expect(fare.minimumFareApplied).toBe(true);
+    expect(fare.total).toBe(80);
+  });
+
+  it('rejects an unknown vehicle class', () => {
+    expect(() => calculateFare(trip('2026-10-17T08:30:00.000Z', { vehicleClass: 'truck' }))).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'Unknown vehicle class: truck' })
+    );
+  });
+});
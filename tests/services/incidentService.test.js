@@ -0,0 +1,82 @@
+jest.mock('../../src/models/Incident', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyUsers: jest.fn(),
+  notifyAdmins: jest.fn()
+}));
+jest.mock('../../src/services/realtime', () => ({
+  publishRideEvent: jest.fn()
+}));
+jest.mock('../../src/services/mail/mailer', () => ({
+  sendTemplateEmail: jest.fn()
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  emitWebhookEvent: jest.fn(),
+  rideWebhookData: (ride) => ({ rideId: ride._id })
+}));
+
+const Incident = require('../../src/models/Incident');
+const { notifyAdmins } = require('../../src/services/notificationService');
+const { sendTemplateEmail } = require('../../src/services/mail/mailer');
+const { raiseSos } = require('../../src/services/incidentService');
+
+describe('incidentService.raiseSos', () => {
+  const ride = { _id: 'ride-1', pickup: { address: 'Office' }, drop: { address: 'Home' } };
+  const user = {
+    _id: 'user-1',
+    firstName: 'Jane',
+    lastName: 'Doe',
+    emergencyContacts: [{ name: 'Sam', email: 'sam@example.com' }]
+  };
+  let incidents;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    incidents = [];
+
+    Incident.findOne.mockImplementation(async () => incidents.find(incident => incident.status !== 'resolved') || null);
+    Incident.create.mockImplementation(async (fields) => {
+      const incident = { _id: `incident-${incidents.length + 1}`, status: 'open', ...fields, save: jest.fn() };
+      incidents.push(incident);
+      return incident;
+    });
+  });
+
+  const sos = () => raiseSos(ride, user, { latitude: 12.97, longitude: 77.59 });
+
+  it('alerts admins and contacts and records when it did', async () => {
+    const { incident, created } = await sos();
+
+    expect(created).toBe(true);
+    expect(notifyAdmins).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'sos_alert',
+      dedupeKey: 'sos:incident-1'
+    }));
+    expect(sendTemplateEmail).toHaveBeenCalledWith('sos_alert', 'sam@example.com', expect.any(Object), expect.any(Object));
+    expect(incident.alertedAt).toBeInstanceOf(Date);
+  });
+
+  it('alerts again on a repeated SOS when the first alert failed', async () => {
+    notifyAdmins.mockRejectedValueOnce(new Error('database unavailable'));
+    await expect(sos()).rejects.toThrow('database unavailable');
+    expect(incidents[0].alertedAt).toBeUndefined();
+
+    const { incident, created } = await sos();
+
+    expect(created).toBe(false);
+    expect(incident).toBe(incidents[0]);
+    expect(notifyAdmins).toHaveBeenCalledTimes(2);
+    expect(sendTemplateEmail).toHaveBeenCalledTimes(1);
+    expect(incident.alertedAt).toBeInstanceOf(Date);
+  });
+
+  it('does not alert again once the alert went out', async () => {
+    await sos();
+    await sos();
+
+    expect(Incident.create).toHaveBeenCalledTimes(1);
+    expect(notifyAdmins).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../../../src/models/EmailLog', () => ({
+  create: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../../src/services/jobQueue', () => ({
+  registerJobHandler: jest.fn(),
+  enqueueJob: jest.fn()
+}));
+jest.mock('../../../src/services/mail/transports', () => ({
+  createTransport: jest.fn()
+}));
+
+const EmailLog = require('../../../src/models/EmailLog');
+const { registerJobHandler, enqueueJob } = require('../../../src/services/jobQueue');
+const { createTransport } = require('../../../src/services/mail/transports');
+const { sendTemplateEmail } = require('../../../src/services/mail/mailer');
+
+const sendJob = registerJobHandler.mock.calls.find(([name]) => name === 'mail.send')[1];
+
+describe('mailer', () => {
+  const transport = { name: 'console', send: jest.fn() };
+  let log;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createTransport.mockReturnValue(transport);
+
+    EmailLog.create.mockImplementation(async (fields) => {
+      log = { _id: 'log-1', status: 'pending', attempts: 0, ...fields, save: jest.fn() };
+      return log;
+    });
+    EmailLog.findById.mockReturnValue({ select: async () => log });
+  });
+
+  const queueResetEmail = () => sendTemplateEmail('reset_password', 'jane@company.com', {
+    user: { firstName: 'Jane' },
+    resetUrl: 'http://localhost:3000/reset-password/abc',
+    expiresInMinutes: 10
+  });
+
+  it('renders the email and queues its delivery instead of sending it', async () => {
+    await queueResetEmail();
+
+    expect(log.body.text).toContain('http://localhost:3000/reset-password/abc');
+    expect(enqueueJob).toHaveBeenCalledWith('mail.send', { emailLogId: 'log-1' }, { maxAttempts: 3, key: 'mail.send:log-1' });
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+
+  it('sends the queued email and drops the stored body', async () => {
+    await queueResetEmail();
+    transport.send.mockResolvedValue({ messageId: 'm-1' });
+
+    await sendJob({ emailLogId: 'log-1' }, { attempts: 1, maxAttempts: 3 });
+
+    expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jane@company.com',
+      text: expect.stringContaining('reset-password/abc')
+    }));
+    expect(log).toMatchObject({ status: 'sent', messageId: 'm-1', attempts: 1, body: undefined });
+  });
+
+  it('throws so the queue retries, and marks the email failed on the last attempt', async () => {
+    await queueResetEmail();
+    transport.send.mockRejectedValue(new Error('SMTP down'));
+
+    await expect(sendJob({ emailLogId: 'log-1' }, { attempts: 1, maxAttempts: 3 })).rejects.toThrow('SMTP down');
+    expect(log.status).toBe('pending');
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(sendJob({ emailLogId: 'log-1' }, { attempts: 3, maxAttempts: 3 })).rejects.toThrow('SMTP down');
+    expect(log).toMatchObject({ status: 'failed', lastError: 'SMTP down', body: undefined });
+    console.error.mockRestore();
+  });
+
+  it('does not send an email again once it was sent', async () => {
+    await queueResetEmail();
+    log.status = 'sent';
+
+    await sendJob({ emailLogId: 'log-1' }, { attempts: 2, maxAttempts: 3 });
+
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../src/models/Ride', () => ({
+  countDocuments: jest.fn(),
+  aggregate: jest.fn()
+}));
+
+const Ride = require('../../src/models/Ride');
+const { checkRideQuota, getQuotaUsage } = require('../../src/services/quotaService');
+
+// Just enough of the aggregation language to run the quota pipelines
+// against an in-memory list of rides
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc[expression.slice(1)];
+  }
+  if (expression && expression.$cond) {
+    const [condition, whenTrue, whenFalse] = expression.$cond;
+    return evaluate(condition, doc) ? evaluate(whenTrue, doc) : evaluate(whenFalse, doc);
+  }
+  if (expression && expression.$eq) {
+    const [left, right] = expression.$eq;
+    return evaluate(left, doc) === evaluate(right, doc);
+  }
+  if (expression && expression.$ifNull) {
+    const [value, fallback] = expression.$ifNull;
+    const result = evaluate(value, doc);
+    return result === undefined || result === null ? evaluate(fallback, doc) : result;
+  }
+  return expression;
+};
+
+const matches = (ride, match) => (
+  match.status.$in.includes(ride.status) &&
+  (!match._id || ride._id !== match._id.$ne)
+);
+
+describe('quotaService', () => {
+  const user = {
+    _id: 'user-1',
+    department: 'Engineering',
+    rideLimits: { maxMonthlySpend: 500 }
+  };
+  const scheduleTime = new Date('2026-10-14T04:30:00.000Z');
+  let rides;
+
+  // Store the ride the way bookRide does once the quota check passes
+  const book = async (ride) => {
+    const booked = {
+      _id: `ride-${rides.length + 1}`,
+      userId: user._id,
+      status: 'pending',
+      actualFare: 0,
+      scheduleTime,
+      ...ride
+    };
+    await checkRideQuota(user, booked);
+    rides.push(booked);
+    return booked;
+  };
+
+  beforeEach(() => {
+    rides = [];
+
+    Ride.countDocuments.mockImplementation(async (match) => (
+      rides.filter(ride => matches(ride, match)).length
+    ));
+
+    Ride.aggregate.mockImplementation(async ([{ $match: match }, { $group: group }]) => {
+      const selected = rides.filter(ride => matches(ride, match));
+      if (!selected.length) return [];
+      const total = selected.reduce((sum, ride) => sum + evaluate(group.total.$sum, ride), 0);
+      return [{ _id: null, total }];
+    });
+  });
+
+  it('counts the estimated fare of pending rides towards monthly spend', async () => {
+    await book({ estimatedFare: 300 });
+
+    const usage = await getQuotaUsage(user, scheduleTime);
+    expect(usage.spendThisMonth).toBe(300);
+  });
+
+  it('rejects a second pending ride that would exceed the spend limit', async () => {
+    await book({ estimatedFare: 300 });
+
+    await expect(book({ estimatedFare: 300 })).rejects.toMatchObject({
+      statusCode: 403,
+      code: 'MONTHLY_SPEND_LIMIT_EXCEEDED'
+    });
+    expect(rides).toHaveLength(1);
+  });
+
+  it('counts the actual fare of completed rides', async () => {
+    rides.push({
+      _id: 'ride-0',
+      status: 'completed',
+      estimatedFare: 100,
+      actualFare: 420,
+      scheduleTime
+    });
+
+    await expect(book({ estimatedFare: 100 })).rejects.toMatchObject({
+      code: 'MONTHLY_SPEND_LIMIT_EXCEEDED'
+    });
+  });
+
+  it('leaves the ride being updated out of its own usage', async () => {
+    const ride = await book({ estimatedFare: 300 });
+
+    await expect(checkRideQuota(user, { ...ride, estimatedFare: 450 })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('mongoose', () => ({
+  connection: { readyState: 1 }
+}));
+jest.mock('../../src/models/RealtimeEvent', () => ({
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  find: jest.fn()
+}));
+
+const RealtimeEvent = require('../../src/models/RealtimeEvent');
+const { addClient, publishRideEvent, relayEvents, closeAllClients } = require('../../src/services/realtime');
+
+// An open event stream; returns the events written to it
+const connect = (user) => {
+  const written = [];
+  const res = {
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: (chunk) => written.push(chunk),
+    end: jest.fn()
+  };
+  addClient({ user, on: jest.fn() }, res);
+  return () => written.filter(chunk => chunk.startsWith('event: ride.')).map(chunk => chunk.split('\n')[0]);
+};
+
+describe('realtime', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = [];
+    RealtimeEvent.find.mockImplementation(({ createdAt }) => ({
+      sort: () => ({ lean: async () => stored.filter(event => event.createdAt > createdAt.$gt) })
+    }));
+  });
+
+  afterEach(() => {
+    closeAllClients();
+  });
+
+  const storedEvent = (id, event, payload) => ({ _id: id, event, payload, createdAt: new Date() });
+
+  it('stores published events for every instance to stream', async () => {
+    await publishRideEvent('ride.location', { rideId: 'ride-1', userId: 'user-1' });
+    await publishRideEvent('ride.created', { rideId: 'ride-1' }, { dedupeKey: 'job-1:event' });
+
+    expect(RealtimeEvent.create).toHaveBeenCalledWith(expect.objectContaining({ event: 'ride.location' }));
+    expect(RealtimeEvent.updateOne).toHaveBeenCalledWith(
+      { dedupeKey: 'job-1:event' },
+      { $setOnInsert: expect.objectContaining({ event: 'ride.created', dedupeKey: 'job-1:event' }) },
+      { upsert: true }
+    );
+  });
+
+  it('streams stored events to the ride owner and admins once each', async () => {
+    const ownerEvents = connect({ id: 'user-1', role: 'employee' });
+    const otherEvents = connect({ id: 'user-2', role: 'employee' });
+    const adminEvents = connect({ id: 'admin-1', role: 'admin' });
+    stored.push(storedEvent('event-1', 'ride.approved', { rideId: 'ride-1', userId: 'user-1' }));
+
+    await relayEvents();
+    await relayEvents();
+
+    expect(ownerEvents()).toEqual(['event: ride.approved']);
+    expect(adminEvents()).toEqual(['event: ride.approved']);
+    expect(otherEvents()).toEqual([]);
+  });
+
+  it('does not read events while nobody is connected', async () => {
+    await relayEvents();
+
+    expect(RealtimeEvent.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../../src/models/Ride', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/rideService', () => ({
+  bookRide: jest.fn()
+}));
+
+const Ride = require('../../src/models/Ride');
+const User = require('../../src/models/User');
+const { bookRide } = require('../../src/services/rideService');
+const { getOccurrences, materializeSchedule } = require('../../src/services/recurringRides');
+
+const IST = 330;
+
+// Monday 2026-10-19 00:00 IST to the following Monday
+const from = new Date('2026-10-18T18:30:00.000Z');
+const to = new Date('2026-10-25T18:30:00.000Z');
+
+// Mondays, Wednesdays and Fridays at 08:30 local time
+const schedule = (overrides = {}) => ({
+  startDate: new Date('2026-10-01T00:00:00.000Z'),
+  daysOfWeek: [1, 3, 5],
+  time: '08:30',
+  skipDates: [],
+  status: 'active',
+  ...overrides
+});
+
+const toISO = (dates) => dates.map(date => date.toISOString());
+
+describe('recurringRides.getOccurrences', () => {
+  it('returns the local pickup times on the schedule days', () => {
+    expect(toISO(getOccurrences(schedule(), from, to, IST))).toEqual([
+      '2026-10-19T03:00:00.000Z',
+      '2026-10-21T03:00:00.000Z',
+      '2026-10-23T03:00:00.000Z'
+    ]);
+  });
+
+  it('uses the local weekday for times just after midnight', () => {
+    // Monday 00:15 IST is Sunday in UTC
+    const occurrences = getOccurrences(schedule({ daysOfWeek: [1], time: '00:15' }), from, to, IST);
+
+    expect(toISO(occurrences)).toEqual(['2026-10-18T18:45:00.000Z']);
+  });
+
+  it('excludes the start of the window and includes its end', () => {
+    const occurrences = getOccurrences(
+      schedule(),
+      new Date('2026-10-19T03:00:00.000Z'),
+      new Date('2026-10-21T03:00:00.000Z'),
+      IST
+    );
+
+    expect(toISO(occurrences)).toEqual(['2026-10-21T03:00:00.000Z']);
+  });
+
+  it('keeps within the start and end dates, both inclusive', () => {
+    const occurrences = getOccurrences(schedule({
+      startDate: new Date('2026-10-21T00:00:00.000Z'),
+      endDate: new Date('2026-10-21T00:00:00.000Z')
+    }), from, to, IST);
+
+    expect(toISO(occurrences)).toEqual(['2026-10-21T03:00:00.000Z']);
+  });
+
+  it('leaves out skipped dates', () => {
+    const occurrences = getOccurrences(schedule({ skipDates: ['2026-10-21'] }), from, to, IST);
+
+    expect(toISO(occurrences)).toEqual(['2026-10-19T03:00:00.000Z', '2026-10-23T03:00:00.000Z']);
+  });
+
+  it('leaves out occurrences while the schedule is paused', () => {
+    const pausedUntil = getOccurrences(schedule({
+      status: 'paused',
+      pausedUntil: new Date('2026-10-20T18:30:00.000Z')
+    }), from, to, IST);
+    const pausedIndefinitely = getOccurrences(schedule({ status: 'paused' }), from, to, IST);
+
+    expect(toISO(pausedUntil)).toEqual(['2026-10-21T03:00:00.000Z', '2026-10-23T03:00:00.000Z']);
+    expect(pausedIndefinitely).toEqual([]);
+  });
+});
+
+describe('recurringRides.materializeSchedule', () => {
+  // Monday 05:30 IST; the week ahead has Monday, Wednesday and Friday rides
+  const now = new Date('2026-10-19T00:00:00.000Z');
+  let existing;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    existing = [];
+    User.findById.mockResolvedValue({ _id: 'user-1', isActive: true });
+    Ride.find.mockReturnValue({ select: async () => existing });
+    bookRide.mockImplementation(async (user, { scheduleTime }) => ({ scheduleTime }));
+  });
+
+  const booked = () => bookRide.mock.calls.map(([, { scheduleTime }]) => scheduleTime.toISOString());
+
+  it('books a ride for every occurrence without one', async () => {
+    await materializeSchedule({ ...schedule(), save: jest.fn() }, now);
+
+    expect(booked()).toEqual([
+      '2026-10-19T03:00:00.000Z',
+      '2026-10-21T03:00:00.000Z',
+      '2026-10-23T03:00:00.000Z'
+    ]);
+  });
+
+  it('does not book a second ride on a day that kept a live ride at another time', async () => {
+    existing = [
+      // Kept at 07:30 when the schedule moved to 08:30
+      { scheduleTime: new Date('2026-10-21T02:00:00.000Z'), status: 'approved' },
+      // Cancelled, so the day is free for the new time
+      { scheduleTime: new Date('2026-10-23T02:00:00.000Z'), status: 'cancelled' }
+    ];
+
+    await materializeSchedule({ ...schedule(), save: jest.fn() }, now);
+
+    expect(booked()).toEqual(['2026-10-19T03:00:00.000Z', '2026-10-23T03:00:00.000Z']);
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../../src/models/TripPoint', () => ({
+  find: jest.fn(),
+  insertMany: jest.fn()
+}));
+jest.mock('../../src/models/Driver', () => ({
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/services/realtime', () => ({
+  publishRideEvent: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Ride = require('../../src/models/Ride');
+const TripPoint = require('../../src/models/TripPoint');
+const { recordRideLocation, settleActualFare } = require('../../src/services/tracking');
+
+const MINUTE_MS = 60 * 1000;
+
+// Points along a straight road at the given device times
+const pointsAt = (times) => times.map((recordedAt, index) => ({
+  location: { coordinates: [77.59 + index * 0.01, 12.97] },
+  recordedAt: new Date(recordedAt)
+}));
+
+const mockTripPoints = (points) => {
+  TripPoint.find.mockReturnValue({
+    select: () => ({ sort: async () => points })
+  });
+};
+
+describe('tracking', () => {
+  const driver = { _id: new mongoose.Types.ObjectId() };
+  let ride;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ride = new Ride({
+      userId: new mongoose.Types.ObjectId(),
+      status: 'in_progress',
+      vehicleClass: 'sedan',
+      estimatedFare: 300,
+      startedAt: new Date(Date.now() - 20 * MINUTE_MS),
+      driver: { driverId: driver._id, name: 'Ravi' }
+    });
+    TripPoint.insertMany.mockImplementation(async (points) => points);
+  });
+
+  describe('recordRideLocation', () => {
+    const ping = (recordedAt) => ({ latitude: 12.97, longitude: 77.59, recordedAt });
+
+    it('stores a ping taken during the trip', async () => {
+      const point = await recordRideLocation(ride, driver, ping(new Date(Date.now() - MINUTE_MS).toISOString()));
+
+      expect(TripPoint.insertMany).toHaveBeenCalledTimes(1);
+      expect(point.rideId.equals(ride._id)).toBe(true);
+    });
+
+    it('refuses a ping recorded before the trip started', async () => {
+      const before = new Date(ride.startedAt.getTime() - MINUTE_MS).toISOString();
+
+      await expect(recordRideLocation(ride, driver, ping(before))).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'PING_BEFORE_TRIP_START'
+      });
+      expect(TripPoint.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('refuses a ping sent long after it was recorded', async () => {
+      ride.startedAt = new Date(Date.now() - 3 * 60 * MINUTE_MS);
+      const stale = new Date(Date.now() - 2 * 60 * MINUTE_MS).toISOString();
+
+      await expect(recordRideLocation(ride, driver, ping(stale))).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'PING_TOO_OLD'
+      });
+      expect(TripPoint.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settleActualFare', () => {
+    it('measures the trip within the times it was started and completed', async () => {
+      ride.startedAt = new Date('2026-10-17T08:00:00.000Z');
+      ride.completedAt = new Date('2026-10-17T08:30:00.000Z');
+      // The first ping claims the trip began an hour before it was started
+      mockTripPoints(pointsAt([
+        '2026-10-17T07:00:00.000Z',
+        '2026-10-17T08:15:00.000Z',
+        '2026-10-17T08:30:00.000Z'
+      ]));
+
+      const summary = await settleActualFare(ride);
+
+      expect(summary.startedAt).toEqual(ride.startedAt);
+      expect(summary.endedAt).toEqual(ride.completedAt);
+      expect(summary.durationMinutes).toBe(30);
+      expect(summary.fareBreakdown.durationMinutes).toBe(30);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  toLocalDate,
+  toLocalMonth,
+  formatLocalDateTime,
+  fromLocalDateTime,
+  getLocalMonthRange,
+  getLocalWeekRange,
+  getLocalTime,
+  parseTime
+} = require('../../src/utils/time');
+
+const IST = 330;
+
+describe('utils/time', () => {
+  it('reads the local date, which may be a day ahead of UTC', () => {
+    expect(toLocalDate('2026-10-18T18:29:00.000Z', IST)).toBe('2026-10-18');
+    expect(toLocalDate('2026-10-18T18:30:00.000Z', IST)).toBe('2026-10-19');
+  });
+
+  it('reads the local date west of UTC', () => {
+    expect(toLocalDate('2026-10-19T03:00:00.000Z', -300)).toBe('2026-10-18');
+  });
+
+  it('reads the local month', () => {
+    expect(toLocalMonth('2026-10-31T19:00:00.000Z', IST)).toBe('2026-11');
+  });
+
+  it('formats local date and time for messages', () => {
+    expect(formatLocalDateTime('2026-10-19T03:30:00.000Z', IST)).toBe('2026-10-19 09:00');
+  });
+
+  it('converts a local date and time to a UTC instant', () => {
+    expect(fromLocalDateTime('2026-10-19', '09:00', IST).toISOString()).toBe('2026-10-19T03:30:00.000Z');
+    expect(fromLocalDateTime('2026-10-19', '00:15', IST).toISOString()).toBe('2026-10-18T18:45:00.000Z');
+  });
+
+  it('bounds a local month, including across the year end', () => {
+    const { start, end } = getLocalMonthRange('2026-12', IST);
+
+    expect(start.toISOString()).toBe('2026-11-30T18:30:00.000Z');
+    expect(end.toISOString()).toBe('2026-12-31T18:30:00.000Z');
+  });
+
+  it('bounds the local Monday to Sunday week of a date', () => {
+    const monday = { start: '2026-10-18T18:30:00.000Z', end: '2026-10-25T18:30:00.000Z' };
+    const toISO = ({ start, end }) => ({ start: start.toISOString(), end: end.toISOString() });
+
+    // Monday 00:30 IST (Sunday in UTC) and Sunday 23:00 IST
+    expect(toISO(getLocalWeekRange('2026-10-18T19:00:00.000Z', IST))).toEqual(monday);
+    expect(toISO(getLocalWeekRange('2026-10-25T17:30:00.000Z', IST))).toEqual(monday);
+  });
+
+  it('reads the local weekday and minutes since midnight', () => {
+    // Monday 00:15 IST
+    expect(getLocalTime('2026-10-18T18:45:00.000Z', IST)).toEqual({ day: 1, minutes: 15 });
+  });
+
+  it('parses HH:mm times', () => {
+    expect(parseTime('00:00')).toBe(0);
+    expect(parseTime('08:45')).toBe(525);
+    expect(parseTime('23:59')).toBe(1439);
+  });
+});